@@ -1,8 +1,44 @@
+#!/usr/bin/env node
 /**
  * TMT to FHIR Converter
  * 
  * This application processes TMT data from Excel files and populates a FHIR CodeSystem template.
+ * 
+ * When required as a module it exposes the programmatic API; when run directly
+ * it delegates to the command-line interface.
  */
+const { convert, processTMTData, diffReleases, validateParentChildReferences } = require('./src/index');
+const { loadConfig, mergeConfig } = require('./src/config');
+const { registerProcessor, getRegisteredEntityTypes } = require('./src/modules/processorRegistry');
+const { diffCodeSystems } = require('./src/modules/releaseDiff');
+const { buildValueSets } = require('./src/modules/valueSetBuilder');
+const { createTerminologyServer } = require('./src/modules/terminologyServer');
+const { ConceptSearchIndex } = require('./src/modules/conceptSearch');
+const BaseProcessor = require('./src/modules/BaseProcessor');
+const errors = require('./src/utils/errors');
+
+module.exports = {
+  convert,
+  processTMTData,
+  diffReleases,
+  diffCodeSystems,
+  buildValueSets,
+  createTerminologyServer,
+  ConceptSearchIndex,
+  validateParentChildReferences,
+  loadConfig,
+  mergeConfig,
+  BaseProcessor,
+  registerProcessor,
+  getRegisteredEntityTypes,
+  errors
+};
+
+// Only run the command-line interface when executed directly
+if (require.main === module) {
+  const { main } = require('./src/cli');
 
-// Delegate all functionality to the refactored codebase
-require('./src/index');
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
@@ -0,0 +1,590 @@
+/**
+ * Command-line interface for the TMT to FHIR converter
+ *
+ * Parses subcommands and flags, merges the flags over config.json and maps
+ * the outcome of each command to a process exit code.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, mergeConfig, resolvePaths } = require('./config');
+const { processTMTData, diffReleases, serveCodeSystem, searchConcepts, inspectConcept } = require('./index');
+const { HIERARCHY_FORMATTERS } = require('./modules/hierarchyExplorer');
+const { ensureDir, writeJsonFile } = require('./utils/fileUtils');
+const { createErrorSummary } = require('./utils/errors');
+
+// Exit codes returned by the CLI; errors raised by the converter carry their own exit code
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  VALIDATION_FAILED: 3
+};
+
+// Exit codes of the converter error types, listed in the help text
+const ERROR_EXIT_CODES = [
+  [10, 'zip file missing or cannot be extracted'],
+  [11, 'required directory missing from the release'],
+  [12, 'concept file missing'],
+  [13, 'relationship file missing'],
+  [14, 'spreadsheet cannot be read'],
+  [15, 'template missing or invalid'],
+  [16, 'invalid configuration (e.g. missing configuration file or unknown processor)']
+];
+
+// Supported flags; boolean flags can be negated with a "no-" prefix
+const OPTIONS = {
+  config: { type: 'string', description: 'Path to the configuration file (default: config.json)' },
+  version: { type: 'string', description: 'TMT release version in YYYYMMDD format' },
+  'fhir-version': { type: 'string', description: 'Target FHIR version: r4, r4b or r5 (default: r4)' },
+  processors: { type: 'string', description: 'Comma-separated TMT classes to include (e.g. SUBS,VTM,GP)' },
+  zip: { type: 'string', description: 'Path to the TMT release zip (default: input/TMTRF<version>.zip)' },
+  template: { type: 'string', description: 'Path to the CodeSystem template' },
+  out: { type: 'string', description: 'Path to the output CodeSystem file' },
+  'output-mode': { type: 'string', description: 'Output mode: single, ndjson, per-class or chunked (default: single)' },
+  'chunk-size': { type: 'string', description: 'Number of concepts per file in chunked mode (default: 10000)' },
+  minify: { type: 'boolean', description: 'Write the CodeSystem without whitespace' },
+  gzip: { type: 'boolean', description: 'Compress the CodeSystem with gzip (adds .gz to the file name)' },
+  previous: { type: 'string', description: 'Previous output CodeSystem; writes a fragment with the concepts changed since' },
+  format: { type: 'string', description: 'Comma-separated diff report formats: json, md, html (default: all)' },
+  class: { type: 'string', description: 'Comma-separated TMT classes to search (e.g. TPU,GPU)' },
+  limit: { type: 'string', description: 'Maximum number of search results (default: 20)' },
+  graph: { type: 'string', description: 'Print the inspect hierarchy as a graph: dot or mermaid' },
+  depth: { type: 'string', description: 'Number of hierarchy levels inspect follows up and down (default: all)' },
+  host: { type: 'string', description: 'Address the terminology server listens on (default: 127.0.0.1)' },
+  port: { type: 'string', description: 'Port of the terminology server, 0 for any free port (default: 8080)' },
+  'temp-dir': { type: 'string', description: 'Directory to extract the zip file into' },
+  cleanup: { type: 'boolean', description: 'Remove the temp directory after the run (--no-cleanup keeps it)' },
+  snapshot: { type: 'boolean', description: 'Add attributes from the SNAPSHOT file (--no-snapshot skips them)' },
+  designations: { type: 'boolean', description: 'Add Thai and English designations (--no-designations skips them)' },
+  'value-sets': { type: 'boolean', description: 'Write the ValueSets of the CodeSystem and of each class (--no-value-sets skips them)' },
+  'concept-maps': { type: 'boolean', description: 'Write ConceptMaps from trade to generic products (--no-concept-maps skips them)' },
+  sqlite: { type: 'boolean', description: 'Export the CodeSystem to a SQLite database' },
+  'flat-export': { type: 'string', description: 'Write concepts and relationships as flat files: csv or tsv' },
+  medications: { type: 'boolean', description: 'Write MedicationKnowledge and Medication NDJSON for TPU and GPU concepts' },
+  expansion: { type: 'boolean', description: 'Add pre-computed expansions to the ValueSets' },
+  'cleanup-invalid-refs': { type: 'boolean', description: 'Remove parent/child references to unknown concepts' },
+  report: { type: 'boolean', description: 'Write validation-report.json when invalid references are found' },
+  help: { type: 'boolean', description: 'Show this help' }
+};
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = ['config', 'help'];
+
+// Options selecting the release and how it is converted
+const CONVERSION_OPTIONS = ['version', 'processors', 'fhir-version', 'snapshot', 'designations', 'zip', 'template', 'temp-dir', 'cleanup', 'cleanup-invalid-refs', 'report'];
+
+// Options of commands converting releases given as arguments, which write no validation report
+const RELEASE_OPTIONS = CONVERSION_OPTIONS.filter(name => !['version', 'zip', 'report'].includes(name));
+
+// Progress messages of commands printing their result to stdout go to stderr, so the output can be piped
+const STDERR_LOGGER = { log: (...args) => console.error(...args) };
+
+/**
+ * Error raised for invalid command-line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses command-line arguments into a command, positionals and options
+ * @param {Array<string>} argv - The arguments (without node and script path)
+ * @returns {Object} Object with command, positionals and options
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+    const equalsIndex = name.indexOf('=');
+    if (equalsIndex !== -1) {
+      value = name.slice(equalsIndex + 1);
+      name = name.slice(0, equalsIndex);
+    }
+
+    // Negated boolean flag, e.g. --no-cleanup
+    if (!OPTIONS[name] && name.startsWith('no-') && OPTIONS[name.slice(3)] && OPTIONS[name.slice(3)].type === 'boolean') {
+      options[name.slice(3)] = false;
+      continue;
+    }
+
+    const option = OPTIONS[name];
+    if (!option) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+
+    if (option.type === 'boolean') {
+      options[name] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Option --${name} requires a value`);
+      }
+    }
+    options[name] = value;
+  }
+
+  return {
+    command: positionals.length > 0 ? positionals.shift() : 'convert',
+    positionals,
+    options
+  };
+}
+
+/**
+ * Converts parsed CLI options into configuration overrides.
+ * Paths given on the command line are resolved against the current working directory.
+ * @param {Object} options - The parsed options
+ * @returns {Object} Configuration overrides
+ */
+function optionsToConfig(options) {
+  if (options.version !== undefined && !/^\d{8}$/.test(options.version)) {
+    throw new UsageError(`Invalid version "${options.version}", expected YYYYMMDD`);
+  }
+
+  const resolve = value => (value === undefined ? undefined : path.resolve(value));
+  const out = resolve(options.out);
+
+  const processors = options.processors === undefined
+    ? undefined
+    : options.processors.split(',').map(entityType => entityType.trim().toUpperCase()).filter(Boolean);
+
+  let chunkSize;
+  if (options['chunk-size'] !== undefined) {
+    chunkSize = Number(options['chunk-size']);
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new UsageError(`Invalid chunk size "${options['chunk-size']}", expected a positive integer`);
+    }
+  }
+
+  let port;
+  if (options.port !== undefined) {
+    port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new UsageError(`Invalid port "${options.port}", expected an integer from 0 to 65535`);
+    }
+  }
+
+  const formats = options.format === undefined
+    ? undefined
+    : options.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+
+  return {
+    version: options.version,
+    fhirVersion: options['fhir-version'],
+    processors,
+    input: {
+      zipFile: resolve(options.zip),
+      templateFile: resolve(options.template),
+      previousFile: resolve(options.previous)
+    },
+    output: {
+      dir: out && path.dirname(out),
+      fileName: out && path.basename(out),
+      mode: options['output-mode'],
+      chunkSize,
+      minify: options.minify,
+      gzip: options.gzip
+    },
+    snapshot: {
+      enabled: options.snapshot
+    },
+    designations: {
+      enabled: options.designations
+    },
+    valueSets: {
+      enabled: options['value-sets'],
+      expansion: options.expansion
+    },
+    conceptMaps: {
+      enabled: options['concept-maps']
+    },
+    sqlite: {
+      enabled: options.sqlite
+    },
+    flatExport: {
+      enabled: options['flat-export'] === undefined ? undefined : true,
+      format: options['flat-export'] && options['flat-export'].toLowerCase()
+    },
+    medications: {
+      enabled: options.medications
+    },
+    diff: {
+      formats
+    },
+    server: {
+      host: options.host,
+      port
+    },
+    temp: {
+      dir: resolve(options['temp-dir']),
+      cleanup: options.cleanup
+    },
+    validation: {
+      cleanupInvalidReferences: options['cleanup-invalid-refs'],
+      generateReport: options.report
+    }
+  };
+}
+
+/**
+ * Builds the effective configuration for a run
+ * @param {Object} options - The parsed options
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {Object} The configuration with CLI overrides applied
+ */
+function buildConfig(options, logger = console) {
+  const configPath = options.config ? path.resolve(options.config) : undefined;
+  return mergeConfig(loadConfig(configPath, logger), optionsToConfig(options));
+}
+
+/**
+ * Writes a machine-readable summary of the error that ended a run
+ * @param {Object} config - The configuration of the failed run
+ * @param {Error} error - The error that ended the run
+ */
+function writeErrorSummary(config, error) {
+  try {
+    const paths = resolvePaths(config);
+    ensureDir(paths.outputDir);
+    writeJsonFile(paths.errorSummaryFile, createErrorSummary(error, {
+      version: config.version,
+      zipFile: paths.zipFile
+    }));
+    console.error(`Error summary saved to: ${paths.errorSummaryFile}`);
+  } catch (summaryError) {
+    console.error('Unable to write error summary:', summaryError.message);
+  }
+}
+
+/**
+ * Runs the conversion for a configuration, writing an error summary if it fails
+ * @param {Object} config - The configuration for this run
+ * @param {Object} [options] - Options passed to processTMTData
+ * @returns {Promise<Object>} The result of processTMTData
+ */
+async function runConversion(config, options) {
+  try {
+    return await processTMTData(config, options);
+  } catch (error) {
+    writeErrorSummary(config, error);
+    throw error;
+  }
+}
+
+/**
+ * Runs a full conversion and writes the CodeSystem; the run fails when the
+ * validation finds invalid references, even though they were written
+ * @param {Object} options - The parsed options
+ * @returns {Promise<number>} The exit code
+ */
+async function runConvert(options) {
+  const result = await runConversion(buildConfig(options));
+  return result.validation.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+}
+
+/**
+ * Runs the conversion pipeline without writing the CodeSystem and reports
+ * whether all parent-child references are valid
+ * @param {Object} options - The parsed options
+ * @returns {Promise<number>} The exit code
+ */
+async function runValidate(options) {
+  const config = buildConfig(options);
+
+  // Report invalid references instead of silently removing them
+  config.validation = { ...config.validation, cleanupInvalidReferences: false };
+
+  const result = await runConversion(config, { writeOutput: false });
+  const { valid, shapeIssues } = result.validation;
+  return valid && shapeIssues.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+}
+
+/**
+ * Compares two releases, given as converted CodeSystem files or release zips,
+ * and writes the change report
+ * @param {Object} options - The parsed options
+ * @param {Array<string>} positionals - The previous and current release
+ * @returns {Promise<number>} The exit code
+ */
+async function runDiff(options, positionals) {
+  if (positionals.length !== 2) {
+    throw new UsageError('diff requires two releases: diff <previous> <current>');
+  }
+
+  const config = buildConfig(options);
+  const [previous, current] = positionals.map(source => path.resolve(source));
+
+  // --out names the report; each format is written with its own extension
+  const outputBase = options.out
+    ? path.resolve(options.out).replace(/\.(json|md|html)$/i, '')
+    : undefined;
+
+  await diffReleases(config, previous, current, { outputBase });
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Serves a CodeSystem with the local terminology server until the process is interrupted
+ * @param {Object} options - The parsed options
+ * @param {Array<string>} positionals - The CodeSystem file or zip to serve (defaults to the output file)
+ * @returns {Promise<number>} The exit code
+ */
+async function runServe(options, positionals) {
+  if (positionals.length > 1) {
+    throw new UsageError('serve takes at most one CodeSystem: serve [codesystem]');
+  }
+
+  const config = buildConfig(options);
+  const source = positionals.length > 0 ? path.resolve(positionals[0]) : undefined;
+  const { server } = await serveCodeSystem(config, source);
+
+  console.log('Press Ctrl+C to stop');
+  await new Promise(resolve => {
+    const stop = () => {
+      console.log('Stopping the terminology server...');
+      server.close(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Searches the concepts of a CodeSystem and prints the ranked results
+ * @param {Object} options - The parsed options
+ * @param {Array<string>} positionals - The search text and optionally the CodeSystem file or zip
+ * @returns {Promise<number>} The exit code
+ */
+async function runSearch(options, positionals) {
+  if (positionals.length < 1 || positionals.length > 2) {
+    throw new UsageError('search requires a query: search <query> [codesystem]');
+  }
+
+  let limit;
+  if (options.limit !== undefined) {
+    limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new UsageError(`Invalid limit "${options.limit}", expected a positive integer`);
+    }
+  }
+
+  const classes = options.class === undefined
+    ? undefined
+    : options.class.split(',').map(entityType => entityType.trim().toUpperCase()).filter(Boolean);
+
+  const [query, source] = positionals;
+  const results = await searchConcepts(buildConfig(options, STDERR_LOGGER), query, {
+    source: source && path.resolve(source),
+    classes,
+    limit,
+    logger: STDERR_LOGGER
+  });
+
+  if (results.length === 0) {
+    console.log(`No concepts found for "${query}"`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const codeWidth = Math.max(...results.map(result => result.code.length));
+  results.forEach(result => {
+    const status = result.active ? '' : ' (inactive)';
+    console.log(`${result.code.padEnd(codeWidth)}  ${String(result.class || '').padEnd(4)}  ${result.display}${status}`);
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Prints a concept with its properties and its ancestor and descendant trees
+ * @param {Object} options - The parsed options
+ * @param {Array<string>} positionals - The concept code and optionally the CodeSystem file or zip
+ * @returns {Promise<number>} The exit code
+ */
+async function runInspect(options, positionals) {
+  if (positionals.length < 1 || positionals.length > 2) {
+    throw new UsageError('inspect requires a concept code: inspect <code> [codesystem]');
+  }
+
+  // Without --graph the hierarchy is printed as text
+  const format = options.graph === undefined ? 'text' : options.graph.toLowerCase();
+  if (options.graph !== undefined && (format === 'text' || !HIERARCHY_FORMATTERS[format])) {
+    throw new UsageError(`Invalid graph format "${options.graph}", expected dot or mermaid`);
+  }
+
+  let maxDepth;
+  if (options.depth !== undefined) {
+    maxDepth = Number(options.depth);
+    if (!Number.isInteger(maxDepth) || maxDepth <= 0) {
+      throw new UsageError(`Invalid depth "${options.depth}", expected a positive integer`);
+    }
+  }
+
+  const [code, source] = positionals;
+  const hierarchy = await inspectConcept(buildConfig(options, STDERR_LOGGER), code, {
+    source: source && path.resolve(source),
+    maxDepth,
+    logger: STDERR_LOGGER
+  });
+  if (!hierarchy) {
+    console.error(`Code ${code} is not in the CodeSystem`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const output = HIERARCHY_FORMATTERS[format](hierarchy);
+  if (options.out) {
+    const outFile = path.resolve(options.out);
+    ensureDir(path.dirname(outFile));
+    fs.writeFileSync(outFile, output);
+    console.log(`Hierarchy of ${code} saved to: ${outFile}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+// Available subcommands
+const COMMANDS = {
+  convert: {
+    usage: 'convert [options]',
+    description: 'Convert a TMT release zip into a FHIR CodeSystem (default command)',
+    options: [...CONVERSION_OPTIONS, 'previous', 'value-sets', 'expansion', 'concept-maps', 'medications', 'sqlite', 'flat-export', 'output-mode', 'chunk-size', 'minify', 'gzip', 'out'],
+    run: runConvert
+  },
+  validate: {
+    usage: 'validate [options]',
+    description: 'Run the conversion without writing output and check parent-child references and the FHIR shape',
+    options: CONVERSION_OPTIONS,
+    run: runValidate
+  },
+  diff: {
+    usage: 'diff <previous> <current>',
+    description: 'Report concepts added, retired, renamed, reclassified and re-parented between two releases (CodeSystem files or zips)',
+    options: [...RELEASE_OPTIONS, 'format', 'out'],
+    run: runDiff
+  },
+  serve: {
+    usage: 'serve [codesystem]',
+    description: 'Serve $lookup, $validate-code, $subsumes and ValueSet $expand for a CodeSystem file or zip (default: the output file)',
+    options: [...RELEASE_OPTIONS, 'host', 'port'],
+    run: runServe
+  },
+  search: {
+    usage: 'search <query> [codesystem]',
+    description: 'Search concepts by code, English or Thai name in a CodeSystem file or zip (default: the output file)',
+    options: [...RELEASE_OPTIONS, 'class', 'limit'],
+    run: runSearch
+  },
+  inspect: {
+    usage: 'inspect <code> [codesystem]',
+    description: 'Print a concept, its properties and its ancestor and descendant trees (default: from the output file)',
+    options: [...RELEASE_OPTIONS, 'graph', 'depth', 'out'],
+    run: runInspect
+  }
+};
+
+/**
+ * Builds the help text
+ * @returns {string} The usage information
+ */
+function getHelpText() {
+  const lines = ['Usage: tmt-to-fhir <command> [options]', '', 'Commands:'];
+
+  for (const command of Object.values(COMMANDS)) {
+    lines.push(`  ${command.usage.padEnd(28)} ${command.description}`);
+  }
+
+  lines.push('', 'Options:');
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    let flag = option.type === 'boolean' ? `--[no-]${name}` : `--${name} <value>`;
+    if (name === 'help') {
+      flag = '-h, --help';
+    }
+    lines.push(`  ${flag.padEnd(28)} ${option.description}`);
+  }
+
+  lines.push('', 'Exit codes:');
+  lines.push(`  ${EXIT_CODES.SUCCESS}  success`);
+  lines.push(`  ${EXIT_CODES.FAILURE}  conversion failed`);
+  lines.push(`  ${EXIT_CODES.USAGE}  invalid command-line usage`);
+  lines.push(`  ${EXIT_CODES.VALIDATION_FAILED}  convert found invalid references, or validate found them or FHIR shape issues`);
+  for (const [code, description] of ERROR_EXIT_CODES) {
+    lines.push(`  ${code} ${description}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Entry point for the command-line interface
+ * @param {Array<string>} argv - The arguments (without node and script path)
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(getHelpText());
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.options.help || parsed.command === 'help') {
+    console.log(getHelpText());
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const command = COMMANDS[parsed.command];
+  if (!command) {
+    console.error(`Unknown command: ${parsed.command}`);
+    console.error(getHelpText());
+    return EXIT_CODES.USAGE;
+  }
+
+  // Options of other commands would otherwise be silently ignored
+  const unsupported = Object.keys(parsed.options)
+    .find(name => !GLOBAL_OPTIONS.includes(name) && !command.options.includes(name));
+  if (unsupported) {
+    console.error(`Option --${unsupported} is not supported by the ${parsed.command} command`);
+    console.error(getHelpText());
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await command.run(parsed.options, parsed.positionals);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`Error (${error.code || error.name}):`, error.message);
+    return Number.isInteger(error.exitCode) ? error.exitCode : EXIT_CODES.FAILURE;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  main
+};
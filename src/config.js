@@ -0,0 +1,98 @@
+/**
+ * Configuration loading, merging and path resolution
+ */
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile } = require('./utils/fileUtils');
+const { ConfigurationError } = require('./utils/errors');
+
+// Base directory of the application; relative paths in config.json are resolved against it
+const BASE_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(BASE_DIR, 'config.json');
+
+// The defaults are the values of the shipped config.json; a file given with --config is merged over them
+const DEFAULT_CONFIG = readJsonFile(DEFAULT_CONFIG_FILE);
+
+/**
+ * Checks whether a value is a plain object (and not an array or null)
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deeply merges override values over a base configuration.
+ * Undefined override values are ignored so that unset CLI flags keep the base value.
+ * @param {Object} base - The base configuration
+ * @param {Object} overrides - The values to merge over the base
+ * @returns {Object} A new merged configuration object
+ */
+function mergeConfig(base, overrides) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value === undefined) continue;
+
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Loads a configuration file and merges it over the defaults from config.json
+ * @param {string} [configPath] - Path to the configuration file (defaults to config.json in the base directory)
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {Object} The loaded configuration
+ */
+function loadConfig(configPath, logger = console) {
+  // An explicitly requested config file must exist
+  if (configPath && !fs.existsSync(configPath)) {
+    throw new ConfigurationError(`Configuration file not found: ${configPath}`, { path: configPath });
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, configPath ? readJsonFile(configPath) : {});
+  logger.log('Configuration loaded successfully');
+  return config;
+}
+
+/**
+ * Resolves all file and directory paths used by a conversion run
+ * @param {Object} config - The configuration object
+ * @returns {Object} Object with absolute paths
+ */
+function resolvePaths(config) {
+  const inputDir = path.resolve(BASE_DIR, config.input.dir);
+  const outputDir = path.resolve(BASE_DIR, config.output.dir);
+
+  // Compressed CodeSystems get a .gz extension
+  const outputName = fileName => (config.output.gzip && !fileName.endsWith('.gz') ? `${fileName}.gz` : fileName);
+
+  return {
+    inputDir,
+    outputDir,
+    zipFile: path.resolve(inputDir, config.input.zipFile || `TMTRF${config.version}.zip`),
+    templateFile: path.resolve(inputDir, config.input.templateFile),
+    extractDir: path.resolve(BASE_DIR, config.temp.dir),
+    outputFile: path.resolve(outputDir, outputName(config.output.fileName)),
+    deltaFile: path.resolve(outputDir, outputName(config.output.deltaFileName)),
+    previousFile: config.input.previousFile ? path.resolve(BASE_DIR, config.input.previousFile) : null,
+    sqliteFile: path.resolve(outputDir, config.sqlite ? config.sqlite.fileName : 'TMT.sqlite'),
+    reportFile: path.resolve(outputDir, 'validation-report.json'),
+    errorSummaryFile: path.resolve(outputDir, config.output.errorSummaryFileName)
+  };
+}
+
+module.exports = {
+  BASE_DIR,
+  DEFAULT_CONFIG,
+  mergeConfig,
+  loadConfig,
+  resolvePaths
+};
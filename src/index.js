@@ -4,53 +4,41 @@
  * This application processes TMT data from Excel files and populates a FHIR CodeSystem template.
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { 
   ensureDir, 
   extractZip, 
   readJsonFile, 
   writeJsonFile, 
+  writeCodeSystemFile, 
+  writeNdjsonFile, 
   exploreDirectory, 
   cleanupDir 
 } = require('./utils/fileUtils');
-const { processGPData } = require('./modules/gpProcessor');
-const { processTPUData } = require('./modules/tpuProcessor');
-const { processTPData } = require('./modules/tpProcessor');
-const { processGPUData } = require('./modules/gpuProcessor');
-const { processGPPData } = require('./modules/gppProcessor');
-const { processTPPData } = require('./modules/tppProcessor');
-const { processVTMData } = require('./modules/vtmProcessor');
-const { processSUBSData } = require('./modules/subsProcessor');
+const { BASE_DIR, DEFAULT_CONFIG, resolvePaths } = require('./config');
+const { MissingDirectoryError, TemplateInvalidError, ConfigurationError } = require('./utils/errors');
+const TMTRelease = require('./utils/TMTRelease');
+const { getProcessors, getRelationshipFilePatterns } = require('./modules/processorRegistry');
+const { processSnapshotData } = require('./modules/snapshotProcessor');
+const { processDesignationData } = require('./modules/designationProcessor');
+const { diffCodeSystems, formatMarkdownReport, formatHtmlReport } = require('./modules/releaseDiff');
+const { buildDeltaCodeSystem } = require('./modules/deltaCodeSystem');
+const { retireMissingConcepts } = require('./modules/retirementProcessor');
+const { buildValueSets } = require('./modules/valueSetBuilder');
+const { buildConceptMaps } = require('./modules/conceptMapBuilder');
+const { buildMedicationResources } = require('./modules/medicationBuilder');
+const { getFhirTarget, applyFhirTarget, adaptConceptMap, validateCodeSystemShape } = require('./modules/fhirTarget');
+const { OUTPUT_MODES, getManifestFile, writeCodeSystemOutput, readCodeSystemOutput } = require('./modules/outputWriter');
+const { exportToSqlite } = require('./modules/sqliteExporter');
+const { FLAT_FORMATS, exportFlatFiles } = require('./modules/flatExporter');
+const { createTerminologyServer } = require('./modules/terminologyServer');
+const { ConceptSearchIndex } = require('./modules/conceptSearch');
+const { buildHierarchy } = require('./modules/hierarchyExplorer');
 
-// Load configuration
-let config;
-try {
-  const configPath = path.join(__dirname, '..', 'config.json');
-  config = readJsonFile(configPath);
-  console.log('Configuration loaded successfully');
-} catch (error) {
-  console.error('Error loading configuration:', error);
-  console.log('Using default configuration');
-  config = {
-    version: "20250407",
-    output: {
-      fileName: "TMT-CS.json"
-    },
-    validation: {
-      cleanupInvalidReferences: true,
-      generateReport: true
-    }
-  };
-}
-
-// Constants
-const BASE_DIR = path.join(__dirname, '..');
-const INPUT_DIR = path.join(BASE_DIR, 'input');
-const OUTPUT_DIR = path.join(BASE_DIR, 'output');
-const TEMPLATE_FILE = path.join(INPUT_DIR, 'TMT-CS-template.json');
-const ZIP_FILE = path.join(INPUT_DIR, `TMTRF${config.version}.zip`);
-const EXTRACT_DIR = path.join(BASE_DIR, 'temp');
-const OUTPUT_FILE = path.join(OUTPUT_DIR, config.output.fileName);
+// Template bundled with the application
+const DEFAULT_TEMPLATE_FILE = path.join(BASE_DIR, 'input', 'TMT-CS-template.json');
 
 /**
  * Formats a date string in the format YYYYMMDD to YYYY-MM-DD
@@ -72,15 +60,16 @@ function formatDateFromVersion(versionDate) {
 /**
  * Removes duplicate concepts from the template based on concept.code
  * @param {Object} templateJson - The template JSON object
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
  * @returns {number} The number of duplicate concepts removed
  */
-function removeDuplicateConcepts(templateJson) {
+function removeDuplicateConcepts(templateJson, logger = console) {
   if (!templateJson.concept || !Array.isArray(templateJson.concept)) {
-    console.log('No concepts found in template');
+    logger.log('No concepts found in template');
     return 0;
   }
 
-  console.log(`Total concepts before deduplication: ${templateJson.concept.length}`);
+  logger.log(`Total concepts before deduplication: ${templateJson.concept.length}`);
   
   // Create a map to store unique concepts by code
   const uniqueConceptsMap = new Map();
@@ -103,20 +92,80 @@ function removeDuplicateConcepts(templateJson) {
   // Update the template with deduplicated concepts
   templateJson.concept = uniqueConcepts;
   
-  console.log(`Removed ${removedCount} duplicate concepts`);
-  console.log(`Total concepts after deduplication: ${templateJson.concept.length}`);
+  logger.log(`Removed ${removedCount} duplicate concepts`);
+  logger.log(`Total concepts after deduplication: ${templateJson.concept.length}`);
   
   return removedCount;
 }
 
+/**
+ * Finds parent-child pairs that are only recorded on one end, i.e. a concept lists a
+ * parent that does not list it as a child, or a child that does not list it as a parent.
+ * References to non-existent concepts are ignored here; they are reported as invalid references.
+ * @param {Array} concepts - The concepts of the code system
+ * @returns {Array} Asymmetric references with the concept, the reference and the property that lacks a counterpart
+ */
+function findAsymmetricReferences(concepts) {
+  const parentsByCode = new Map();
+  const childrenByCode = new Map();
+  
+  // Collect the recorded parents and children of every concept
+  concepts.forEach(concept => {
+    if (!concept || !concept.code) return;
+    
+    if (!parentsByCode.has(concept.code)) {
+      parentsByCode.set(concept.code, new Set());
+      childrenByCode.set(concept.code, new Set());
+    }
+    
+    (concept.property || []).forEach(property => {
+      if (property.code === "parent" && property.valueCode) {
+        parentsByCode.get(concept.code).add(property.valueCode);
+      }
+      if (property.code === "child" && property.valueCode) {
+        childrenByCode.get(concept.code).add(property.valueCode);
+      }
+    });
+  });
+  
+  const asymmetricReferences = [];
+  
+  for (const [code, parents] of parentsByCode) {
+    parents.forEach(parentCode => {
+      if (childrenByCode.has(parentCode) && !childrenByCode.get(parentCode).has(code)) {
+        asymmetricReferences.push({
+          concept: code,
+          property: "parent",
+          reference: parentCode
+        });
+      }
+    });
+  }
+  
+  for (const [code, children] of childrenByCode) {
+    children.forEach(childCode => {
+      if (parentsByCode.has(childCode) && !parentsByCode.get(childCode).has(code)) {
+        asymmetricReferences.push({
+          concept: code,
+          property: "child",
+          reference: childCode
+        });
+      }
+    });
+  }
+  
+  return asymmetricReferences;
+}
+
 /**
  * Validates that all parent and child references in the code system point to existing concepts
  * @param {Object} templateJson - The template JSON object
  * @param {boolean} cleanupInvalidRefs - Whether to remove invalid references
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
  * @returns {Object} Object containing invalid references and statistics
  */
-function validateParentChildReferences(templateJson, cleanupInvalidRefs = false) {
-  console.log('Validating parent-child references...');
+function validateParentChildReferences(templateJson, cleanupInvalidRefs = false, logger = console) {
+  logger.log('Validating parent-child references...');
   
   // Create a set of all concept codes for quick lookup
   const conceptCodes = new Set();
@@ -191,163 +240,647 @@ function validateParentChildReferences(templateJson, cleanupInvalidRefs = false)
     }
   });
   
+  // Check that every parent-child pair is recorded on both ends
+  const asymmetricReferences = findAsymmetricReferences(templateJson.concept);
+  
   // Log results
   const totalInvalid = invalidReferences.parent.length + invalidReferences.child.length;
-  if (totalInvalid === 0) {
-    console.log('All parent-child references are valid.');
-  } else {
-    console.log(`Found ${totalInvalid} invalid references:`);
-    console.log(`- ${invalidReferences.parent.length} invalid parent references`);
-    console.log(`- ${invalidReferences.child.length} invalid child references`);
+  if (totalInvalid === 0 && asymmetricReferences.length === 0) {
+    logger.log('All parent-child references are valid.');
+  } else if (totalInvalid > 0) {
+    logger.log(`Found ${totalInvalid} invalid references:`);
+    logger.log(`- ${invalidReferences.parent.length} invalid parent references`);
+    logger.log(`- ${invalidReferences.child.length} invalid child references`);
     
     if (cleanupInvalidRefs) {
-      console.log(`Removed ${removedCount} invalid references`);
+      logger.log(`Removed ${removedCount} invalid references`);
     }
     
     // Log some examples if there are many invalid references
     if (invalidReferences.parent.length > 0) {
       const examples = invalidReferences.parent.slice(0, Math.min(5, invalidReferences.parent.length));
-      console.log('Example invalid parent references:');
+      logger.log('Example invalid parent references:');
       examples.forEach(example => {
-        console.log(`  Concept ${example.concept} references non-existent parent ${example.reference}`);
+        logger.log(`  Concept ${example.concept} references non-existent parent ${example.reference}`);
       });
     }
     
     if (invalidReferences.child.length > 0) {
       const examples = invalidReferences.child.slice(0, Math.min(5, invalidReferences.child.length));
-      console.log('Example invalid child references:');
+      logger.log('Example invalid child references:');
       examples.forEach(example => {
-        console.log(`  Concept ${example.concept} references non-existent child ${example.reference}`);
+        logger.log(`  Concept ${example.concept} references non-existent child ${example.reference}`);
       });
     }
   }
   
+  if (asymmetricReferences.length > 0) {
+    logger.log(`Found ${asymmetricReferences.length} asymmetric parent-child references`);
+    
+    const examples = asymmetricReferences.slice(0, Math.min(5, asymmetricReferences.length));
+    logger.log('Example asymmetric references:');
+    examples.forEach(example => {
+      const counterpart = example.property === "parent" ? "child" : "parent";
+      logger.log(`  Concept ${example.concept} has ${example.property} ${example.reference}, which does not list it as ${counterpart}`);
+    });
+  }
+  
   return {
-    valid: totalInvalid === 0,
+    valid: totalInvalid === 0 && asymmetricReferences.length === 0,
     invalidReferences,
+    asymmetricReferences,
     stats: {
       totalConcepts: templateJson.concept.length,
       invalidParentRefs: invalidReferences.parent.length,
       invalidChildRefs: invalidReferences.child.length,
+      asymmetricRefs: asymmetricReferences.length,
       removedCount: cleanupInvalidRefs ? removedCount : 0
     }
   };
 }
 
 /**
- * Main function to process the TMT data
+ * Finds the TMT and TMT bonus directories in the extracted zip contents
+ * @param {string} extractDir - Directory the zip file was extracted to
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {Object} Object with tmtDir and tmtBonusDir file entries
  */
-async function processTMTData() {
-  console.log('TMT to FHIR Converter started');
-  console.log(`Using version: ${config.version}`);
-  console.log(`Using zip file: TMTRF${config.version}.zip`);
+function findTMTDirectories(extractDir, logger = console) {
+  // Explore directory to find the TMT folders
+  logger.log('Exploring extracted files...');
+  const extractedFiles = exploreDirectory(extractDir);
+  logger.log(`Found ${extractedFiles.length} files`);
+  
+  // Find the TMT directory (with format TMTRFYYYYMMDD)
+  const tmtDirPattern = /^TMTRF\d{8}$/;
+  const tmtBonusDirPattern = /^TMTRF\d{8}_BONUS$/;
+  
+  const tmtDir = extractedFiles.find(file => 
+    tmtDirPattern.test(file.name) && file.isDirectory
+  );
+  
+  const tmtBonusDir = extractedFiles.find(file => 
+    tmtBonusDirPattern.test(file.name) && file.isDirectory
+  );
+  
+  if (!tmtDir || !tmtBonusDir) {
+    logger.log('Directory structure:', extractedFiles.map(f => `${f.name} (${f.isDirectory ? 'dir' : 'file'})`).join('\n'));
+    throw new MissingDirectoryError('Required TMT directories not found in the zip file', {
+      tmtDir: tmtDir ? tmtDir.path : null,
+      tmtBonusDir: tmtBonusDir ? tmtBonusDir.path : null
+    });
+  }
   
+  return { tmtDir, tmtBonusDir };
+}
+
+/**
+ * Reads the CodeSystem template and checks its basic shape
+ * @param {string} templatePath - Path to the template file
+ * @returns {Object} The parsed template
+ */
+function readTemplate(templatePath) {
+  let templateJson;
   try {
-    // Ensure output and temp directories exist
-    ensureDir(OUTPUT_DIR);
-    ensureDir(EXTRACT_DIR);
+    templateJson = readJsonFile(templatePath);
+  } catch (error) {
+    throw new TemplateInvalidError(`Unable to read template ${templatePath}: ${error.message}`, { path: templatePath });
+  }
+  
+  validateTemplate(templateJson, templatePath);
+  return templateJson;
+}
+
+/**
+ * Checks that a template is a CodeSystem the processors can populate
+ * @param {Object} templateJson - The template JSON object
+ * @param {string} [source] - Where the template came from, for error details
+ */
+function validateTemplate(templateJson, source = 'template') {
+  if (!templateJson || templateJson.resourceType !== 'CodeSystem') {
+    throw new TemplateInvalidError(`Template ${source} is not a FHIR CodeSystem`, { path: source });
+  }
+  
+  if (templateJson.concept !== undefined && !Array.isArray(templateJson.concept)) {
+    throw new TemplateInvalidError(`Template ${source} has a non-array "concept" element`, { path: source });
+  }
+  
+  if (!Array.isArray(templateJson.property)) {
+    throw new TemplateInvalidError(`Template ${source} does not declare a "property" array`, { path: source });
+  }
+}
+
+/**
+ * Converts a TMT release zip into a FHIR CodeSystem without writing any output files
+ * @param {Object} params - Conversion parameters
+ * @param {string} params.zipPath - Path to the TMTRFYYYYMMDD.zip release file
+ * @param {string} [params.templatePath] - Path to the CodeSystem template (defaults to the bundled template)
+ * @param {Object} [params.template] - CodeSystem template object, used instead of templatePath
+ * @param {string} params.version - TMT release version in YYYYMMDD format
+ * @param {Object} [params.options] - Conversion options
+ * @param {string} [params.options.extractDir] - Directory to extract the zip into (defaults to a new OS temp directory)
+ * @param {boolean} [params.options.cleanup=true] - Whether to remove the extracted files afterwards
+ * @param {boolean} [params.options.cleanupInvalidReferences=false] - Whether to remove invalid parent/child references
+ * @param {Array<string>} [params.options.processors] - Entity types to include, in processing order (defaults to all registered processors)
+ * @param {Object} [params.options.snapshot] - SNAPSHOT attribute configuration (defaults to the snapshot section of the default configuration)
+ * @param {Object} [params.options.designations] - Designation configuration (defaults to the designations section of the default configuration)
+ * @param {Object} [params.options.history] - Change history column configuration (defaults to the history section of the default configuration)
+ * @param {Object} [params.options.previous] - CodeSystem of the previous release; when given, a fragment CodeSystem with the changed concepts is built
+ * @param {boolean} [params.options.retireMissing=true] - Whether to keep concepts of the previous release that are missing from this release as retired concepts
+ * @param {Object} [params.options.conceptMaps] - ConceptMap configuration (defaults to the conceptMaps section of the default configuration)
+ * @param {string} [params.options.fhirVersion="r4"] - Target FHIR version (r4, r4b or r5)
+ * @param {Object} [params.options.logger=console] - Receives the progress messages through its log method
+ * @returns {Promise<Object>} Object with the CodeSystem, the validation result, the ConceptMaps, the relationship graph and, with a previous CodeSystem, the delta
+ */
+async function convert({ zipPath, templatePath, template, version, options = {} }) {
+  if (!zipPath) {
+    throw new ConfigurationError('zipPath is required', { parameter: 'zipPath' });
+  }
+  if (!version) {
+    throw new ConfigurationError('version is required', { parameter: 'version' });
+  }
+  
+  // Resolve the selected processors before doing any work
+  const processors = getProcessors(options.processors);
+  const target = getFhirTarget(options.fhirVersion);
+  
+  const extractDir = options.extractDir || fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-to-fhir-'));
+  const cleanup = options.cleanup !== undefined ? options.cleanup : true;
+  const logger = options.logger || console;
+  
+  try {
+    ensureDir(extractDir);
     
     // Step 1: Extract the zip file
-    console.log('Extracting zip file...');
-    extractZip(ZIP_FILE, EXTRACT_DIR);
-    console.log('Zip file extracted successfully');
+    logger.log('Extracting zip file...');
+    extractZip(zipPath, extractDir);
+    logger.log('Zip file extracted successfully');
     
     // Read the template file
-    console.log('Reading template file...');
-    const templateJson = readJsonFile(TEMPLATE_FILE);
+    logger.log('Reading template file...');
+    let templateJson;
+    if (template) {
+      validateTemplate(template);
+      templateJson = JSON.parse(JSON.stringify(template));
+    } else {
+      templateJson = readTemplate(templatePath || DEFAULT_TEMPLATE_FILE);
+    }
     
     // Update version and date in the template
-    templateJson.version = config.version;
-    templateJson.date = formatDateFromVersion(config.version);
-    templateJson.title = `Thai Medicines Terminology (TMT) ${config.version}`;
+    templateJson.version = version;
+    templateJson.date = formatDateFromVersion(version);
+    templateJson.title = `Thai Medicines Terminology (TMT) ${version}`;
+    
+    // Bind the declared properties to the concept properties of the target FHIR version
+    logger.log(`Targeting FHIR ${target.name} (${target.fhirVersion})`);
+    applyFhirTarget(templateJson, target);
     
     // Remove the TEMPLATE concept from the template before adding new concepts
-    console.log('Removing template concept from JSON...');
-    templateJson.concept = templateJson.concept.filter(concept => concept.code !== 'TEMPLATE');
+    logger.log('Removing template concept from JSON...');
+    templateJson.concept = (templateJson.concept || []).filter(concept => concept.code !== 'TEMPLATE');
     
-    // Explore directory to find the TMT folders
-    console.log('Exploring extracted files...');
-    const extractedFiles = exploreDirectory(EXTRACT_DIR);
-    console.log(`Found ${extractedFiles.length} files`);
+    const { tmtDir, tmtBonusDir } = findTMTDirectories(extractDir, logger);
     
-    // Find the TMT directory (with format TMTRFYYYYMMDD)
-    const tmtDirPattern = /^TMTRF\d{8}$/;
-    const tmtBonusDirPattern = /^TMTRF\d{8}_BONUS$/;
+    logger.log(`Processing data from ${tmtDir.name}...`);
     
-    const tmtDir = extractedFiles.find(file => 
-      tmtDirPattern.test(file.name) && file.isDirectory
-    );
+    // Shared access to the release so each spreadsheet is parsed only once
+    const release = new TMTRelease(tmtDir.path, tmtBonusDir.path, logger);
     
-    const tmtBonusDir = extractedFiles.find(file => 
-      tmtBonusDirPattern.test(file.name) && file.isDirectory
-    );
+    // Build the relationship graph from the files consumed by the selected processors
+    const graph = release.getRelationshipGraph(getRelationshipFilePatterns(processors));
     
-    if (!tmtDir || !tmtBonusDir) {
-      console.log('Directory structure:', extractedFiles.map(f => `${f.name} (${f.isDirectory ? 'dir' : 'file'})`).join('\n'));
-      throw new Error('Required TMT directories not found in the zip file');
+    // Process data in sequence
+    const history = options.history || DEFAULT_CONFIG.history;
+    processors.forEach(processor => {
+      processor.process(templateJson, release, { history, logger });
+    });
+    
+    // Add attributes from the SNAPSHOT file
+    const snapshotConfig = options.snapshot || DEFAULT_CONFIG.snapshot;
+    if (snapshotConfig.enabled !== false) {
+      processSnapshotData(templateJson, release, snapshotConfig, logger);
     }
     
-    console.log(`Processing data from ${tmtDir.name}...`);
+    // Add Thai and English designations from the concept and SNAPSHOT files
+    const designationConfig = options.designations || DEFAULT_CONFIG.designations;
+    if (designationConfig.enabled !== false) {
+      processDesignationData(
+        templateJson,
+        release,
+        processors.map(processor => processor.entityType),
+        designationConfig,
+        snapshotConfig,
+        logger
+      );
+    }
     
-    // Process data in sequence
-    // Step 2: Process SUBS data
-    processSUBSData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Drop the parsed spreadsheets before validating and deduplicating
+    release.clear();
     
-    // Step 3: Process VTM data
-    processVTMData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Keep concepts of the converted classes that disappeared since the previous release as
+    // retired concepts, before validating and deduplicating so they are checked like the others
+    if (options.previous && options.retireMissing !== false) {
+      retireMissingConcepts(templateJson, options.previous, templateJson.date, processors.map(processor => processor.entityType), logger);
+    }
     
-    // Step 4: Process GP data
-    processGPData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // New Step: Validate parent-child references
+    const validationResult = validateParentChildReferences(templateJson, Boolean(options.cleanupInvalidReferences), logger);
     
-    // Step 5: Process GPU data
-    processGPUData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Step 10: Remove duplicate concepts
+    logger.log('Removing duplicate concepts...');
+    removeDuplicateConcepts(templateJson, logger);
     
-    // Step 6: Process GPP data
-    processGPPData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Build ConceptMaps from the relationship files linking trade and generic products
+    const conceptMapConfig = options.conceptMaps || DEFAULT_CONFIG.conceptMaps;
+    const conceptMaps = conceptMapConfig.enabled !== false
+      ? buildConceptMaps(templateJson, graph, conceptMapConfig, logger).map(conceptMap => adaptConceptMap(conceptMap, target))
+      : [];
     
-    // Step 7: Process TPU data
-    processTPUData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Check the CodeSystem against the shape of the target FHIR version
+    validationResult.fhirVersion = target.name;
+    validationResult.shapeIssues = validateCodeSystemShape(templateJson, target);
+    validationResult.shapeIssues.forEach(issue => {
+      console.warn(`Warning: ${issue.message}${issue.count > 1 ? ` (${issue.count} times)` : ''}`);
+    });
     
-    // Step 8: Process TP data
-    processTPData(templateJson, tmtDir.path, tmtBonusDir.path);
+    // Build the fragment with the concepts changed since the previous release
+    let delta = null;
+    if (options.previous) {
+      delta = buildDeltaCodeSystem(templateJson, options.previous);
+      logger.log(`${delta.concept.length} concepts changed since release ${options.previous.version}`);
+    }
     
-    // Step 9: Process TPP data
-    processTPPData(templateJson, tmtDir.path, tmtBonusDir.path);
+    return {
+      codeSystem: templateJson,
+      validation: validationResult,
+      delta,
+      conceptMaps,
+      graph
+    };
+  } finally {
+    // Clean up the extracted files
+    if (cleanup) {
+      logger.log('Cleaning up temporary files...');
+      cleanupDir(extractDir);
+    } else {
+      logger.log(`Keeping temporary files in: ${extractDir}`);
+    }
+  }
+}
+
+/**
+ * Builds the convert() options from the application configuration
+ * @param {Object} config - The merged configuration
+ * @param {Object} paths - The resolved paths of the configuration
+ * @returns {Object} Options for convert()
+ */
+function getConvertOptions(config, paths) {
+  return {
+    extractDir: paths.extractDir,
+    cleanup: !config.temp || config.temp.cleanup !== false,
+    cleanupInvalidReferences: Boolean(config.validation && config.validation.cleanupInvalidReferences),
+    processors: config.processors,
+    snapshot: config.snapshot,
+    designations: config.designations,
+    history: config.history,
+    conceptMaps: config.conceptMaps,
+    fhirVersion: config.fhirVersion,
+    retireMissing: !config.retirement || config.retirement.enabled !== false
+  };
+}
+
+/**
+ * Main function to process the TMT data using the application configuration
+ * @param {Object} config - The merged configuration for this run
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.writeOutput=true] - Whether to write the CodeSystem to the output file
+ * @returns {Promise<Object>} Result with the output, delta, ValueSet, ConceptMap, SQLite, flat and medication files and the validation result
+ * @throws {TMTError} When the release or template cannot be processed
+ */
+async function processTMTData(config, options = {}) {
+  const writeOutput = options.writeOutput !== undefined ? options.writeOutput : true;
+  const paths = resolvePaths(config);
+  
+  console.log('TMT to FHIR Converter started');
+  console.log(`Using version: ${config.version}`);
+  console.log(`Using zip file: ${paths.zipFile}`);
+  
+  const outputMode = config.output.mode || 'single';
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    throw new ConfigurationError(
+      `Unknown output mode "${outputMode}". Supported modes: ${OUTPUT_MODES.join(', ')}`,
+      { mode: outputMode, supported: OUTPUT_MODES }
+    );
+  }
+  
+  const flatExport = config.flatExport && config.flatExport.enabled ? config.flatExport : null;
+  if (flatExport && !FLAT_FORMATS[flatExport.format || 'csv']) {
+    throw new ConfigurationError(
+      `Unknown flat export format "${flatExport.format}". Supported formats: ${Object.keys(FLAT_FORMATS).join(', ')}`,
+      { format: flatExport.format, supported: Object.keys(FLAT_FORMATS) }
+    );
+  }
+  
+  // Ensure output directory exists
+  ensureDir(paths.outputDir);
+  
+  // Load the previous release's output to build the delta against
+  let previous;
+  if (paths.previousFile) {
+    console.log(`Using previous output: ${paths.previousFile}`);
+    previous = await loadCodeSystem(paths.previousFile, config);
+  }
+  
+  const { codeSystem, delta, conceptMaps, graph, validation: validationResult } = await convert({
+    zipPath: paths.zipFile,
+    templatePath: paths.templateFile,
+    version: config.version,
+    options: { ...getConvertOptions(config, paths), previous }
+  });
+  
+  // Write the output file
+  let outputFiles = [];
+  let manifestFile = null;
+  const valueSetFiles = [];
+  const conceptMapFiles = [];
+  const medicationFiles = [];
+  let flatFiles = [];
+  if (writeOutput) {
+    console.log('Writing output file...');
+    const writeOptions = {
+      minify: Boolean(config.output.minify),
+      gzip: Boolean(config.output.gzip)
+    };
+    ({ files: outputFiles, manifestFile } = await writeCodeSystemOutput(codeSystem, paths.outputFile, config.output));
     
-    // New Step: Validate parent-child references
-    const cleanupInvalidRefs = config.validation && config.validation.cleanupInvalidReferences !== undefined 
-      ? config.validation.cleanupInvalidReferences 
-      : false;
-    const validationResult = validateParentChildReferences(templateJson, cleanupInvalidRefs);
+    if (manifestFile) {
+      console.log(`Conversion completed. ${outputFiles.length} files listed in: ${manifestFile}`);
+    } else {
+      console.log(`Conversion completed. Output saved to: ${paths.outputFile}`);
+    }
     
-    // Step 10: Remove duplicate concepts
-    console.log('Removing duplicate concepts...');
-    removeDuplicateConcepts(templateJson);
+    if (delta) {
+      await writeCodeSystemFile(paths.deltaFile, delta, writeOptions);
+      console.log(`Delta saved to: ${paths.deltaFile}`);
+    }
     
-    // Write the output file
-    console.log('Writing output file...');
-    writeJsonFile(OUTPUT_FILE, templateJson);
+    // Write the ValueSets of the whole CodeSystem and of each class
+    if (config.valueSets && config.valueSets.enabled) {
+      buildValueSets(codeSystem, config.valueSets).forEach(valueSet => {
+        const valueSetFile = path.join(paths.outputDir, `ValueSet-${valueSet.id}.json`);
+        writeJsonFile(valueSetFile, valueSet);
+        valueSetFiles.push(valueSetFile);
+      });
+      console.log(`${valueSetFiles.length} ValueSets saved to: ${paths.outputDir}`);
+    }
     
-    console.log(`Conversion completed. Output saved to: ${OUTPUT_FILE}`);
+    conceptMaps.forEach(conceptMap => {
+      const conceptMapFile = path.join(paths.outputDir, `ConceptMap-${conceptMap.id}.json`);
+      writeJsonFile(conceptMapFile, conceptMap);
+      conceptMapFiles.push(conceptMapFile);
+    });
+    if (conceptMapFiles.length > 0) {
+      console.log(`${conceptMapFiles.length} ConceptMaps saved to: ${paths.outputDir}`);
+    }
+    
+    // Export the CodeSystem to a SQLite database for ad-hoc queries
+    if (config.sqlite && config.sqlite.enabled) {
+      await exportToSqlite(codeSystem, paths.sqliteFile);
+      console.log(`SQLite database saved to: ${paths.sqliteFile}`);
+    }
+    
+    // Write concepts and relationships as CSV or TSV for spreadsheets and BI tools
+    if (flatExport) {
+      flatFiles = await exportFlatFiles(codeSystem, paths.outputDir, flatExport, graph, config.snapshot);
+      console.log(`Flat files saved to: ${flatFiles.join(' and ')}`);
+    }
+    
+    // Write MedicationKnowledge and Medication resources as NDJSON, one file per resource type
+    if (config.medications && config.medications.enabled) {
+      if (getFhirTarget(config.fhirVersion).name === 'r5') {
+        console.warn('Warning: Medication resources are written in the FHIR R4 shape');
+      }
+      const { medicationKnowledge, medication } = buildMedicationResources(codeSystem, config.medications);
+      const medicationKnowledgeFile = path.join(paths.outputDir, 'MedicationKnowledge.ndjson');
+      const medicationFile = path.join(paths.outputDir, 'Medication.ndjson');
+      await writeNdjsonFile(medicationKnowledgeFile, medicationKnowledge);
+      await writeNdjsonFile(medicationFile, medication);
+      medicationFiles.push(medicationKnowledgeFile, medicationFile);
+      console.log(`Medication resources saved to: ${medicationKnowledgeFile} and ${medicationFile}`);
+    }
+  }
+  
+  // Write validation results to a separate file if there are invalid references or shape issues
+  const hasIssues = !validationResult.valid || validationResult.shapeIssues.length > 0;
+  if (hasIssues && config.validation && config.validation.generateReport) {
+    writeJsonFile(paths.reportFile, {
+      version: config.version,
+      date: new Date().toISOString(),
+      validation: validationResult
+    });
+    console.log(`Validation report saved to: ${paths.reportFile}`);
+  }
+  
+  return {
+    outputFile: writeOutput && outputMode === 'single' ? paths.outputFile : null,
+    outputFiles,
+    manifestFile,
+    sqliteFile: writeOutput && config.sqlite && config.sqlite.enabled ? paths.sqliteFile : null,
+    deltaFile: writeOutput && delta ? paths.deltaFile : null,
+    valueSetFiles,
+    conceptMapFiles,
+    medicationFiles,
+    flatFiles,
+    validation: validationResult
+  };
+}
+
+/**
+ * Loads the CodeSystem of a release from a converted CodeSystem file or by converting a release zip.
+ * Output written in the ndjson, per-class or chunked mode is read through its manifest, given
+ * directly or found next to the output file name (e.g. output/TMT-CS-manifest.json for output/TMT-CS.json).
+ * @param {string} source - Path to a CodeSystem JSON file, an output manifest or a TMTRFYYYYMMDD.zip release file
+ * @param {Object} config - The merged configuration, used when converting a zip
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {Promise<Object>} The CodeSystem
+ * @throws {ConfigurationError} When the file is missing, is not a CodeSystem or the zip name has no version
+ */
+async function loadCodeSystem(source, config, logger = console) {
+  if (/\.zip$/i.test(source)) {
+    const match = path.basename(source).match(/TMTRF(\d{8})/i);
+    if (!match) {
+      throw new ConfigurationError(`Unable to read the release version from ${source}, expected a TMTRF<YYYYMMDD>.zip file name`, { path: source });
+    }
     
-    // Write validation results to a separate file if there are invalid references
-    if (!validationResult.valid && config.validation && config.validation.generateReport) {
-      const validationFilePath = path.join(OUTPUT_DIR, 'validation-report.json');
-      writeJsonFile(validationFilePath, {
-        version: config.version,
-        date: new Date().toISOString(),
-        validation: validationResult
+    const version = match[1];
+    const paths = resolvePaths(config);
+    const convertOptions = getConvertOptions(config, paths);
+    const createsTempDir = !fs.existsSync(paths.extractDir);
+    logger.log(`Converting release ${version} from ${source}`);
+
+    // Each release is extracted into its own directory, which convert removes
+    try {
+      const { codeSystem } = await convert({
+        zipPath: source,
+        templatePath: paths.templateFile,
+        version,
+        options: { ...convertOptions, extractDir: path.join(paths.extractDir, version), logger }
       });
-      console.log(`Validation report saved to: ${validationFilePath}`);
+      return codeSystem;
+    } finally {
+      // The temp directory holding it goes too when this run created it
+      if (convertOptions.cleanup && createsTempDir) {
+        cleanupDir(paths.extractDir);
+      }
     }
-  } catch (error) {
-    console.error('Error processing TMT data:', error);
-  } finally {
-    // Clean up the temp directory
-    console.log('Cleaning up temporary files...');
-    cleanupDir(EXTRACT_DIR);
   }
+  
+  if (!fs.existsSync(source)) {
+    const manifestFile = getManifestFile(source);
+    if (fs.existsSync(manifestFile)) {
+      logger.log(`Reading the CodeSystem from the files listed in ${manifestFile}`);
+      return readCodeSystemOutput(manifestFile);
+    }
+    throw new ConfigurationError(`CodeSystem file not found: ${source}`, { path: source });
+  }
+  
+  const content = readJsonFile(source);
+  if (content && content.mode && Array.isArray(content.files)) {
+    return readCodeSystemOutput(source);
+  }
+  
+  const codeSystem = content;
+  if (!codeSystem || codeSystem.resourceType !== 'CodeSystem') {
+    throw new ConfigurationError(`${source} is not a FHIR CodeSystem`, { path: source });
+  }
+  return codeSystem;
+}
+
+// Writers of the diff report per format
+const REPORT_FORMATTERS = {
+  json: (file, diff) => writeJsonFile(file, { date: new Date().toISOString(), ...diff }),
+  md: (file, diff) => fs.writeFileSync(file, formatMarkdownReport(diff)),
+  html: (file, diff) => fs.writeFileSync(file, formatHtmlReport(diff))
+};
+
+/**
+ * Compares two releases and writes the change report
+ * @param {Object} config - The merged configuration
+ * @param {string} previousSource - CodeSystem file or zip of the previous release
+ * @param {string} currentSource - CodeSystem file or zip of the current release
+ * @param {Object} [options] - Report options
+ * @param {string} [options.outputBase] - Report path without extension (defaults to output/TMT-diff-<previous>-<current>)
+ * @returns {Promise<Object>} Result with the diff and the report files written
+ */
+async function diffReleases(config, previousSource, currentSource, options = {}) {
+  const formats = (config.diff && config.diff.formats) || DEFAULT_CONFIG.diff.formats;
+  const unknownFormats = formats.filter(format => !REPORT_FORMATTERS[format]);
+  if (unknownFormats.length > 0) {
+    throw new ConfigurationError(`Unknown diff report format: ${unknownFormats.join(', ')} (expected json, md or html)`, { formats: unknownFormats });
+  }
+  
+  const previous = await loadCodeSystem(previousSource, config);
+  const current = await loadCodeSystem(currentSource, config);
+  
+  console.log(`Comparing release ${previous.version} with ${current.version}...`);
+  const diff = diffCodeSystems(previous, current);
+  
+  const paths = resolvePaths(config);
+  const outputBase = options.outputBase || path.join(paths.outputDir, `TMT-diff-${previous.version}-${current.version}`);
+  ensureDir(path.dirname(outputBase));
+  
+  const files = [];
+  formats.forEach(format => {
+    const file = `${outputBase}.${format}`;
+    REPORT_FORMATTERS[format](file, diff);
+    files.push(file);
+    console.log(`Diff report saved to: ${file}`);
+  });
+  
+  const { total } = diff.summary;
+  console.log(`Added: ${total.added}, retired: ${total.retired}, renamed: ${total.renamed}, reclassified: ${total.reclassified}, re-parented: ${total.reparented}`);
+  
+  return { diff, files };
+}
+
+/**
+ * Loads a CodeSystem and starts the local terminology server for it
+ * @param {Object} config - The merged configuration
+ * @param {string} [source] - CodeSystem file or zip to serve (defaults to the configured output file)
+ * @returns {Promise<Object>} Object with the listening server and its base URL
+ * @throws {ConfigurationError} When the CodeSystem cannot be loaded or the port cannot be used
+ */
+async function serveCodeSystem(config, source) {
+  const serverConfig = config.server || DEFAULT_CONFIG.server;
+  const codeSystem = await loadCodeSystem(source || resolvePaths(config).outputFile, config);
+  
+  const server = createTerminologyServer(codeSystem, {
+    fhirVersion: getFhirTarget(config.fhirVersion).fhirVersion,
+    maxExpansionSize: serverConfig.maxExpansionSize
+  });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', error => {
+      reject(new ConfigurationError(
+        `Unable to listen on ${serverConfig.host}:${serverConfig.port}: ${error.message}`,
+        { host: serverConfig.host, port: serverConfig.port }
+      ));
+    });
+    server.listen(serverConfig.port, serverConfig.host, resolve);
+  });
+  
+  // Port 0 picks a free port, so report the one actually used
+  const url = `http://${serverConfig.host}:${server.address().port}`;
+  console.log(`Serving ${codeSystem.url}|${codeSystem.version} (${(codeSystem.concept || []).length} concepts) at ${url}`);
+  return { server, url };
+}
+
+/**
+ * Searches the concepts of a CodeSystem by code, display and designations
+ * @param {Object} config - The merged configuration
+ * @param {string} query - The search text (English or Thai)
+ * @param {Object} [options] - Search options
+ * @param {string} [options.source] - CodeSystem file or zip to search (defaults to the configured output file)
+ * @param {Array<string>} [options.classes] - Only return concepts of these classes
+ * @param {boolean} [options.activeOnly=false] - Leave inactive concepts out
+ * @param {number} [options.limit=20] - Maximum number of results
+ * @param {Object} [options.logger=console] - Receives the progress messages through its log method
+ * @returns {Promise<Array<Object>>} Results with code, display, class, active and score, best match first
+ */
+async function searchConcepts(config, query, options = {}) {
+  const logger = options.logger || console;
+  const codeSystem = await loadCodeSystem(options.source || resolvePaths(config).outputFile, config, logger);
+  
+  logger.log(`Indexing ${(codeSystem.concept || []).length} concepts...`);
+  const index = new ConceptSearchIndex(codeSystem);
+  return index.search(query, options);
+}
+
+/**
+ * Builds the ancestor and descendant trees of a concept
+ * @param {Object} config - The merged configuration
+ * @param {string} code - The concept code
+ * @param {Object} [options] - Explorer options
+ * @param {string} [options.source] - CodeSystem file or zip to read (defaults to the configured output file)
+ * @param {number} [options.maxDepth] - Number of levels to follow up and down (defaults to all)
+ * @param {Object} [options.logger=console] - Receives the progress messages through its log method
+ * @returns {Promise<Object>} The concept with its ancestors and descendants, or null if the code is unknown
+ */
+async function inspectConcept(config, code, options = {}) {
+  const codeSystem = await loadCodeSystem(options.source || resolvePaths(config).outputFile, config, options.logger);
+  return buildHierarchy(codeSystem, code, options);
 }
 
-// Start the application
-processTMTData(); 
\ No newline at end of file
+module.exports = {
+  convert,
+  processTMTData,
+  loadCodeSystem,
+  diffReleases,
+  serveCodeSystem,
+  searchConcepts,
+  inspectConcept,
+  formatDateFromVersion,
+  removeDuplicateConcepts,
+  validateParentChildReferences,
+  findAsymmetricReferences
+};
@@ -1,68 +1,89 @@
 /**
  * Base class for TMT data processors
+ *
+ * A processor is configured by its entity type and a declarative specification
+ * of the relationship files it consumes. The base class finds, validates and
+ * reads those files and adds one concept per row of the entity's concept file.
  */
-const path = require('path');
-const { readExcelFile, findFiles } = require('../utils/fileUtils');
+const { MissingRelationshipFileError } = require('../utils/errors');
+const { resolveHistoryColumns, applyConceptHistory } = require('./historyProcessor');
 
 class BaseProcessor {
   /**
    * Constructor for the BaseProcessor
    * @param {string} entityType - The type of entity being processed (e.g., "SUBS", "GP")
+   * @param {Object} [relationships] - Relationship files the processor consumes, as filename patterns
+   *   (e.g. { parents: ['gputogpp', 'gpptogpp'], children: ['gpptotpp'] })
+   * @param {Array<string>} [relationships.parents] - Files whose child column holds this entity type;
+   *   the parent column provides the concept's parents
+   * @param {Array<string>} [relationships.children] - Files whose parent column holds this entity type;
+   *   the child column provides the concept's children
    */
-  constructor(entityType) {
+  constructor(entityType, relationships = {}) {
     this.entityType = entityType;
+    this.relationships = {
+      parents: relationships.parents || [],
+      children: relationships.children || []
+    };
+  }
+
+  /**
+   * Get the filename patterns of all relationship files the processor consumes
+   * @returns {Array<string>} Unique relationship file patterns
+   */
+  getRelationshipFilePatterns() {
+    return Array.from(new Set([...this.relationships.parents, ...this.relationships.children]));
   }
 
   /**
    * Process data and update the template
    * @param {Object} templateJson - The template JSON object to update
-   * @param {string} tmtDirPath - Path to the TMT directory
-   * @param {string} tmtBonusDirPath - Path to the TMT bonus directory
+   * @param {TMTRelease} release - The extracted TMT release to read files from
+   * @param {Object} [options] - Processing options
+   * @param {Object} [options.history] - History configuration; when enabled, status and effective date columns are read
+   * @param {Object} [options.logger=console] - Receives the progress messages through its log method
    */
-  process(templateJson, tmtDirPath, tmtBonusDirPath) {
-    console.log(`Processing ${this.entityType} data...`);
+  process(templateJson, release, options = {}) {
+    const logger = options.logger || console;
+    logger.log(`Processing ${this.entityType} data...`);
     
     try {
-      // Find the Concept directory with entity file
-      const conceptDir = path.join(tmtBonusDirPath, 'Concept');
+      // Find the entity file in the Concept directory
+      const entityFile = release.findConceptFile(this.entityType);
+      logger.log(`Found ${this.entityType} file: ${entityFile}`);
       
-      // Find the entity file
-      const entityFilePattern = new RegExp(`^${this.entityType}\\d{8}\\.xls$`, 'i');
-      const entityFiles = findFiles(conceptDir, entityFilePattern);
+      // Find specific relationship files in the Relationship directory
+      const relationshipFiles = this.findRelationshipFiles(release);
       
-      if (entityFiles.length === 0) {
-        throw new Error(`${this.entityType} file not found`);
-      }
+      this.validateRelationshipFiles(relationshipFiles, logger);
       
-      const entityFile = entityFiles[0];
-      console.log(`Found ${this.entityType} file: ${entityFile}`);
+      // Read all necessary files (shared with other processors through the release)
+      const entityRows = release.getConceptRows(entityFile);
+      const relationshipIndexes = this.readRelationshipFiles(relationshipFiles, release);
+      const graph = release.getRelationshipGraph(this.getRelationshipFilePatterns());
       
-      // Find relationship files in the Relationship directory
-      const relationshipDir = path.join(tmtBonusDirPath, 'Relationship');
-      
-      // Find specific relationship files
-      const relationshipFiles = this.findRelationshipFiles(relationshipDir);
-      
-      this.validateRelationshipFiles(relationshipFiles);
-      
-      // Read all necessary files
-      const entityRows = readExcelFile(entityFile);
-      const relationshipRows = this.readRelationshipFiles(relationshipFiles);
-      
-      this.logFilesLoaded(entityRows, relationshipRows);
+      this.logFilesLoaded(entityRows, relationshipIndexes, logger);
       
       // Skip the header row if present
-      let startIndex = this.determineStartIndex(entityRows);
+      let startIndex = this.determineStartIndex(entityRows, logger);
+      
+      // History columns can only be located through the header row; files without them get no history properties
+      const historyColumns = options.history && options.history.enabled !== false && startIndex > 0
+        ? resolveHistoryColumns(entityRows[0], options.history)
+        : null;
+      const history = historyColumns ? { columns: historyColumns, config: options.history } : null;
       
       // Process each entity row
       let processedCount = this.processRows(
         templateJson, 
         entityRows, 
-        relationshipRows, 
-        startIndex
+        graph, 
+        startIndex,
+        history,
+        logger
       );
       
-      console.log(`Added ${processedCount} ${this.entityType} concepts to the template`);
+      logger.log(`Added ${processedCount} ${this.entityType} concepts to the template`);
       
       return processedCount;
     } catch (error) {
@@ -72,63 +93,103 @@ class BaseProcessor {
   }
 
   /**
-   * Find relationship files with specific patterns
-   * @param {string} relationshipDir - Path to the relationship directory
-   * @returns {Object} Object with paths to found files
+   * Format a relationship file pattern for log messages (e.g. "gptotp" becomes "GPtoTP")
+   * @param {string} pattern - The relationship file pattern
+   * @returns {string} The formatted name
    */
-  findRelationshipFiles(relationshipDir) {
-    // To be implemented by subclasses
-    throw new Error('findRelationshipFiles must be implemented by subclasses');
+  formatRelationshipName(pattern) {
+    return pattern.split('to').map(part => part.toUpperCase()).join('to');
   }
 
   /**
-   * Find a relationship file with a specific pattern
-   * @param {string} relationshipDir - Path to the relationship directory
-   * @param {string} pattern - Pattern to match in the filename
-   * @returns {string} Path to the found file
+   * Find the relationship files declared by the processor
+   * @param {TMTRelease} release - The extracted TMT release
+   * @returns {Object} Object with paths to found files, keyed by pattern
    */
-  findRelationshipFile(relationshipDir, pattern) {
-    const files = findFiles(relationshipDir, new RegExp(pattern, 'i'));
-    return files.length > 0 ? files[0] : null;
+  findRelationshipFiles(release) {
+    const relationshipFiles = {};
+    this.getRelationshipFilePatterns().forEach(pattern => {
+      relationshipFiles[pattern] = release.findRelationshipFile(pattern);
+    });
+    return relationshipFiles;
   }
 
   /**
    * Validate that all required relationship files were found
    * @param {Object} relationshipFiles - Object with paths to relationship files
+   * @param {Object} [logger=console] - Receives the progress messages through its log method
    */
-  validateRelationshipFiles(relationshipFiles) {
-    // To be implemented by subclasses
-    throw new Error('validateRelationshipFiles must be implemented by subclasses');
+  validateRelationshipFiles(relationshipFiles, logger = console) {
+    const missing = this.getMissingRelationshipFiles(relationshipFiles);
+    
+    if (missing.length > 0) {
+      const status = Object.keys(relationshipFiles)
+        .map(pattern => `${this.formatRelationshipName(pattern).replace('to', '->')}: ${relationshipFiles[pattern] ? 'Found' : 'Not found'}`)
+        .join('\n        ');
+      
+      throw new MissingRelationshipFileError(`One or more relationship files not found for ${this.entityType}. 
+        ${status}`, {
+        entityType: this.entityType,
+        missing
+      });
+    }
+    
+    const found = Object.keys(relationshipFiles)
+      .map(pattern => `- ${this.formatRelationshipName(pattern)}: ${relationshipFiles[pattern]}`)
+      .join('\n      ');
+    
+    logger.log(`Found relationship files for ${this.entityType}: 
+      ${found}`);
   }
 
   /**
-   * Read relationship files and return their contents
+   * List the relationship files that were not found
    * @param {Object} relationshipFiles - Object with paths to relationship files
-   * @returns {Object} Object with contents of relationship files
+   * @returns {Array<string>} Keys of the missing relationship files
    */
-  readRelationshipFiles(relationshipFiles) {
-    // To be implemented by subclasses
-    throw new Error('readRelationshipFiles must be implemented by subclasses');
+  getMissingRelationshipFiles(relationshipFiles) {
+    return Object.keys(relationshipFiles).filter(key => !relationshipFiles[key]);
+  }
+
+  /**
+   * Read relationship files and return an index for each of them
+   * @param {Object} relationshipFiles - Object with paths to relationship files
+   * @param {TMTRelease} release - The extracted TMT release that caches parsed files
+   * @returns {Object} Object with a RelationshipIndex per relationship file
+   */
+  readRelationshipFiles(relationshipFiles, release) {
+    const relationshipIndexes = {};
+    Object.keys(relationshipFiles).forEach(pattern => {
+      relationshipIndexes[pattern] = release.getRelationshipIndex(relationshipFiles[pattern]);
+    });
+    return relationshipIndexes;
   }
 
   /**
    * Log information about loaded files
    * @param {Array} entityRows - The entity data rows
-   * @param {Object} relationshipRows - Object with relationship data rows
+   * @param {Object} relationshipIndexes - Object with relationship indexes
+   * @param {Object} [logger=console] - Receives the message through its log method
    */
-  logFilesLoaded(entityRows, relationshipRows) {
-    // To be implemented by subclasses
-    throw new Error('logFilesLoaded must be implemented by subclasses');
+  logFilesLoaded(entityRows, relationshipIndexes, logger = console) {
+    const lines = [`- ${this.entityType}: ${entityRows.length} rows`];
+    Object.keys(relationshipIndexes).forEach(pattern => {
+      lines.push(`- ${this.formatRelationshipName(pattern)}: ${relationshipIndexes[pattern].rowCount} rows`);
+    });
+    
+    logger.log(`Files loaded:
+      ${lines.join('\n      ')}`);
   }
 
   /**
    * Determine the starting index based on header presence
    * @param {Array} rows - The rows from the Excel file
+   * @param {Object} [logger=console] - Receives the progress messages through its log method
    * @returns {number} The starting index
    */
-  determineStartIndex(rows) {
+  determineStartIndex(rows, logger = console) {
     if (rows.length > 0 && rows[0] && rows[0][0] === `TMTID(${this.entityType})`) {
-      console.log('Header row found, starting from row 1');
+      logger.log('Header row found, starting from row 1');
       return 1;
     }
     return 0;
@@ -138,13 +199,43 @@ class BaseProcessor {
    * Process entity rows and add concepts to the template
    * @param {Object} templateJson - The template to update
    * @param {Array} entityRows - The entity data rows
-   * @param {Object} relationshipRows - Object with relationship data rows
+   * @param {RelationshipGraph} graph - The graph of all hierarchy edges
    * @param {number} startIndex - The starting index
+   * @param {Object} [history] - Resolved history columns and configuration
+   * @param {Object} [logger=console] - Receives the progress messages through its log method
    * @returns {number} The number of processed concepts
    */
-  processRows(templateJson, entityRows, relationshipRows, startIndex) {
-    // To be implemented by subclasses
-    throw new Error('processRows must be implemented by subclasses');
+  processRows(templateJson, entityRows, graph, startIndex, history, logger = console) {
+    let processedCount = 0;
+    
+    for (let i = startIndex; i < entityRows.length; i++) {
+      if (!entityRows[i] || !entityRows[i][0]) continue; // Skip empty rows
+      
+      const code = String(entityRows[i][0]);
+      const display = String(entityRows[i][1] || '');
+      
+      // Create a new concept entry
+      const concept = this.createConcept(code, display);
+      
+      // Set status and effective date from the history columns
+      if (history) {
+        applyConceptHistory(concept, entityRows[i], history.columns, history.config);
+      }
+      
+      // Add parent and child relationships from the relationship graph
+      this.addHierarchyRelationships(concept, code, graph);
+      
+      // Add the concept to the template
+      templateJson.concept.push(concept);
+      processedCount++;
+      
+      // Log progress every 100 items
+      if (processedCount % 100 === 0) {
+        logger.log(`Processed ${processedCount} ${this.entityType} concepts...`);
+      }
+    }
+    
+    return processedCount;
   }
 
   /**
@@ -174,6 +265,25 @@ class BaseProcessor {
     };
   }
 
+  /**
+   * Add the parent and child relationships of a concept from the relationship graph.
+   * Parents come from the files declared under relationships.parents and children from
+   * the files declared under relationships.children. Both ends of every edge are emitted
+   * from the same graph, which keeps the hierarchy symmetric.
+   * @param {Object} concept - The concept object to add the relationships to
+   * @param {string} conceptCode - The concept code
+   * @param {RelationshipGraph} graph - The graph of all hierarchy edges
+   */
+  addHierarchyRelationships(concept, conceptCode, graph) {
+    graph.getParents(conceptCode, this.relationships.parents).forEach(parentCode => {
+      this.addParentRelationship(concept, parentCode, conceptCode);
+    });
+    
+    graph.getChildren(conceptCode, this.relationships.children).forEach(childCode => {
+      this.addChildRelationship(concept, childCode, conceptCode);
+    });
+  }
+
   /**
    * Check and add parent relationship, preventing self-references
    * @param {Object} concept - The concept object to add the parent to
@@ -219,4 +329,4 @@ class BaseProcessor {
   }
 }
 
-module.exports = BaseProcessor; 
\ No newline at end of file
+module.exports = BaseProcessor; 
@@ -0,0 +1,106 @@
+/**
+ * Module for building ConceptMaps from the TMT relationship files
+ *
+ * Relationship files such as GPUtoTPU link each trade product to its generic
+ * product. Each configured map turns the edges of one relationship file into
+ * a ConceptMap from the trade class (the child column) to the generic class
+ * (the parent column).
+ */
+const { indexConcepts } = require('../utils/conceptUtils');
+
+/**
+ * Build the ConceptMap of one relationship file
+ * @param {Object} codeSystem - The CodeSystem the mapped concepts belong to
+ * @param {RelationshipGraph} graph - The graph of all hierarchy edges
+ * @param {Object} mapConfig - The map configuration
+ * @param {string} mapConfig.source - Class of the source concepts (child column)
+ * @param {string} mapConfig.target - Class of the target concepts (parent column)
+ * @param {string} mapConfig.relationship - Relationship file pattern (e.g. "gputotpu")
+ * @param {string} mapConfig.equivalence - Equivalence of each mapping (e.g. "wider")
+ * @param {Map} conceptsByCode - Map of concept code to concept
+ * @returns {Object} The ConceptMap
+ */
+function buildConceptMap(codeSystem, graph, mapConfig, conceptsByCode) {
+  const name = codeSystem.name || 'TMT';
+  const slug = `${mapConfig.source}-to-${mapConfig.target}`;
+  const valueSetBase = codeSystem.valueSet || `${codeSystem.url}/vs`;
+
+  // Group the targets by source concept, skipping codes that are not in the CodeSystem
+  const targetsBySource = new Map();
+  for (const edge of graph.edges()) {
+    if (!edge.sources.includes(mapConfig.relationship)) continue;
+    if (!conceptsByCode.has(edge.child) || !conceptsByCode.has(edge.parent)) continue;
+
+    if (!targetsBySource.has(edge.child)) {
+      targetsBySource.set(edge.child, []);
+    }
+    targetsBySource.get(edge.child).push(edge.parent);
+  }
+
+  const element = Array.from(targetsBySource.entries()).map(([code, targetCodes]) => ({
+    code,
+    display: conceptsByCode.get(code).display,
+    target: targetCodes.map(targetCode => ({
+      code: targetCode,
+      display: conceptsByCode.get(targetCode).display,
+      equivalence: mapConfig.equivalence
+    }))
+  }));
+
+  return {
+    resourceType: "ConceptMap",
+    id: `${name}-${slug}`,
+    url: `${codeSystem.url}/cm/${slug.toLowerCase()}`,
+    version: codeSystem.version,
+    name: `${name}_${mapConfig.source}_to_${mapConfig.target}`,
+    title: `${name} - ${mapConfig.source} to ${mapConfig.target}`,
+    status: codeSystem.status,
+    experimental: codeSystem.experimental,
+    date: codeSystem.date,
+    publisher: codeSystem.publisher,
+    copyright: codeSystem.copyright,
+    sourceCanonical: `${valueSetBase}/${mapConfig.source.toLowerCase()}`,
+    targetCanonical: `${valueSetBase}/${mapConfig.target.toLowerCase()}`,
+    group: [{
+      source: codeSystem.url,
+      sourceVersion: codeSystem.version,
+      target: codeSystem.url,
+      targetVersion: codeSystem.version,
+      element
+    }]
+  };
+}
+
+/**
+ * Build the configured ConceptMaps
+ * @param {Object} codeSystem - The CodeSystem the mapped concepts belong to
+ * @param {RelationshipGraph} graph - The graph of all hierarchy edges
+ * @param {Object} conceptMapConfig - The ConceptMap configuration
+ * @param {Array<Object>} conceptMapConfig.maps - The maps to build (see buildConceptMap)
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {Array<Object>} The ConceptMaps
+ */
+function buildConceptMaps(codeSystem, graph, conceptMapConfig, logger = console) {
+  logger.log('Building ConceptMaps...');
+
+  const conceptsByCode = indexConcepts(codeSystem);
+  const conceptMaps = [];
+
+  (conceptMapConfig.maps || []).forEach(mapConfig => {
+    // Only relationship files read for the selected processors are in the graph
+    if (!graph.sources.includes(mapConfig.relationship)) {
+      console.warn(`Warning: Relationship file "${mapConfig.relationship}" was not read, skipping the ${mapConfig.source} to ${mapConfig.target} ConceptMap`);
+      return;
+    }
+
+    const conceptMap = buildConceptMap(codeSystem, graph, mapConfig, conceptsByCode);
+    logger.log(`Built ${conceptMap.id} ConceptMap with ${conceptMap.group[0].element.length} elements`);
+    conceptMaps.push(conceptMap);
+  });
+
+  return conceptMaps;
+}
+
+module.exports = {
+  buildConceptMaps
+};
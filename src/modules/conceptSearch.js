@@ -0,0 +1,305 @@
+/**
+ * Full-text search over the concepts of a CodeSystem
+ *
+ * Displays and designations are split into words: Thai text with the
+ * dictionary-based Intl.Segmenter (or character bigrams where the runtime has
+ * no Thai segmentation) and other text on non-letter characters. Queries are
+ * tokenized the same way, so every query word must match a concept word
+ * exactly or as a prefix for the concept to be found. Thai query words that
+ * match no word (the dictionary splits transliterated drug names where a
+ * partly typed name is not split) fall back to the character bigrams of the
+ * Thai text.
+ */
+const { getPropertyValue, isActive, indexConcepts } = require('../utils/conceptUtils');
+
+// Matches a run of Thai characters
+const THAI_RUN_PATTERN = /[\u0E00-\u0E7F]+/g;
+
+// Matches text made of Thai characters only
+const THAI_TEXT_PATTERN = /^[\u0E00-\u0E7F]+$/;
+
+// Matches the words of non-Thai text
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Weight of a match per field; the display ranks above the other names of a concept
+const FIELD_WEIGHTS = {
+  display: 3,
+  designation: 2
+};
+
+// Score of a concept whose code is the whole query
+const CODE_MATCH_SCORE = 1000;
+
+// Share of the field weight a prefix match earns compared with a whole-word match
+const PREFIX_FACTOR = 0.6;
+
+/**
+ * Create the Thai word segmenter, if the runtime supports Thai segmentation
+ * @returns {Intl.Segmenter} The segmenter, or null when it is not available
+ */
+function createThaiSegmenter() {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+    return null;
+  }
+  if (Intl.Segmenter.supportedLocalesOf(['th']).length === 0) {
+    return null;
+  }
+  return new Intl.Segmenter('th', { granularity: 'word' });
+}
+
+const thaiSegmenter = createThaiSegmenter();
+
+/**
+ * Split text into overlapping character bigrams
+ * @param {string} text - The text
+ * @returns {Array<string>} The bigrams, or the text itself when it is a single character
+ */
+function toBigrams(text) {
+  if (text.length < 2) {
+    return [text];
+  }
+  const bigrams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    bigrams.push(text.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Split a run of Thai characters into words
+ * @param {string} text - The Thai text
+ * @param {Intl.Segmenter} [segmenter] - The segmenter; character bigrams are used without one
+ * @returns {Array<string>} The words
+ */
+function segmentThai(text, segmenter) {
+  if (!segmenter) {
+    return toBigrams(text);
+  }
+  return Array.from(segmenter.segment(text))
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+}
+
+/**
+ * Split text into lower-case search tokens
+ * @param {string} text - The text
+ * @param {Intl.Segmenter} [segmenter] - Thai segmenter (defaults to the runtime's, if any)
+ * @returns {Array<string>} The tokens in text order
+ */
+function tokenize(text, segmenter = thaiSegmenter) {
+  if (text === undefined || text === null) {
+    return [];
+  }
+
+  const normalized = String(text).normalize('NFC').toLowerCase();
+  const tokens = [];
+
+  // Thai runs are segmented on their own; the text around them is split on non-letters
+  let lastIndex = 0;
+  for (const match of normalized.matchAll(THAI_RUN_PATTERN)) {
+    tokens.push(...(normalized.slice(lastIndex, match.index).match(WORD_PATTERN) || []));
+    tokens.push(...segmentThai(match[0], segmenter));
+    lastIndex = match.index + match[0].length;
+  }
+  tokens.push(...(normalized.slice(lastIndex).match(WORD_PATTERN) || []));
+
+  return tokens;
+}
+
+/**
+ * Find the first index of a sorted array whose value is not less than a value
+ * @param {Array<string>} sorted - The sorted array
+ * @param {string} value - The value
+ * @returns {number} The index
+ */
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sorted[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Record that a concept contains a token, keeping the weight of its best field
+ * @param {Map} postings - Map of token to Map of concept code to weight
+ * @param {string} token - The token
+ * @param {string} code - The concept code
+ * @param {number} weight - The weight of the field the token comes from
+ */
+function addPosting(postings, token, code, weight) {
+  if (!postings.has(token)) {
+    postings.set(token, new Map());
+  }
+  const codes = postings.get(token);
+  if (!codes.has(code) || codes.get(code) < weight) {
+    codes.set(code, weight);
+  }
+}
+
+class ConceptSearchIndex {
+  /**
+   * Constructor for the ConceptSearchIndex
+   * @param {Object} codeSystem - The CodeSystem whose concepts are searched
+   * @param {Object} [options] - Index options
+   * @param {Intl.Segmenter} [options.segmenter] - Thai segmenter (defaults to the runtime's; null uses bigrams)
+   */
+  constructor(codeSystem, options = {}) {
+    this.segmenter = options.segmenter !== undefined ? options.segmenter : thaiSegmenter;
+    this.conceptsByCode = indexConcepts(codeSystem);
+
+    // Map of token to Map of concept code to the weight of the best field containing the token
+    this.postings = new Map();
+
+    // Same for the bigrams of Thai runs; only needed when Thai is segmented into words
+    this.bigramPostings = this.segmenter ? new Map() : null;
+
+    for (const concept of this.conceptsByCode.values()) {
+      this.addText(concept.code, concept.display, FIELD_WEIGHTS.display);
+      (concept.designation || []).forEach(designation => {
+        this.addText(concept.code, designation.value, FIELD_WEIGHTS.designation);
+      });
+    }
+
+    // Sorted tokens, so a query word finds the tokens it is a prefix of by binary search
+    this.vocabulary = Array.from(this.postings.keys()).sort();
+  }
+
+  /**
+   * Add the tokens of a text to the index
+   * @param {string} code - The concept code
+   * @param {string} text - The text
+   * @param {number} weight - The weight of the field the text comes from
+   */
+  addText(code, text, weight) {
+    tokenize(text, this.segmenter).forEach(token => addPosting(this.postings, token, code, weight));
+
+    if (this.bigramPostings && text) {
+      const thaiRuns = String(text).normalize('NFC').match(THAI_RUN_PATTERN) || [];
+      thaiRuns.forEach(run => {
+        toBigrams(run).forEach(bigram => addPosting(this.bigramPostings, bigram, code, weight));
+      });
+    }
+  }
+
+  /**
+   * Score the concepts whose Thai text contains all bigrams of a Thai query token
+   * @param {string} token - The Thai query token
+   * @returns {Map} Map of concept code to score
+   */
+  scoreThaiBigrams(token) {
+    let scores = null;
+    for (const bigram of new Set(toBigrams(token))) {
+      const codes = this.bigramPostings.get(bigram) || new Map();
+      if (scores === null) {
+        scores = new Map(Array.from(codes, ([code, weight]) => [code, weight * PREFIX_FACTOR]));
+      } else {
+        for (const code of scores.keys()) {
+          if (!codes.has(code)) {
+            scores.delete(code);
+          }
+        }
+      }
+    }
+    return scores || new Map();
+  }
+
+  /**
+   * Score the concepts matching one query token
+   * @param {string} token - The query token
+   * @returns {Map} Map of concept code to score
+   */
+  scoreToken(token) {
+    const scores = new Map();
+    const start = lowerBound(this.vocabulary, token);
+
+    for (let i = start; i < this.vocabulary.length && this.vocabulary[i].startsWith(token); i++) {
+      const candidate = this.vocabulary[i];
+      const factor = candidate === token ? 1 : PREFIX_FACTOR;
+      for (const [code, weight] of this.postings.get(candidate)) {
+        const score = weight * factor;
+        if (!scores.has(code) || scores.get(code) < score) {
+          scores.set(code, score);
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Search the concepts by code, display and designations
+   * @param {string} query - The search text
+   * @param {Object} [options] - Search options
+   * @param {Array<string>} [options.classes] - Only return concepts of these classes (e.g. ["TPU", "GPU"])
+   * @param {boolean} [options.activeOnly=false] - Leave inactive concepts out
+   * @param {number} [options.limit=20] - Maximum number of results
+   * @returns {Array<Object>} Results with code, display, class, active and score, best match first
+   */
+  search(query, options = {}) {
+    const limit = options.limit > 0 ? options.limit : 20;
+    const classes = options.classes && options.classes.length > 0 ? options.classes : null;
+    const normalizedQuery = String(query || '').normalize('NFC').trim().toLowerCase();
+    const tokens = Array.from(new Set(tokenize(normalizedQuery, this.segmenter)));
+
+    // Every query token has to match; the scores of the tokens add up
+    let scores = null;
+    for (const token of tokens) {
+      let tokenScores = this.scoreToken(token);
+      if (tokenScores.size === 0 && this.bigramPostings && THAI_TEXT_PATTERN.test(token)) {
+        tokenScores = this.scoreThaiBigrams(token);
+      }
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        for (const [code, score] of scores) {
+          if (tokenScores.has(code)) {
+            scores.set(code, score + tokenScores.get(code));
+          } else {
+            scores.delete(code);
+          }
+        }
+      }
+    }
+    scores = scores || new Map();
+
+    // A code typed in full is the best possible match
+    if (this.conceptsByCode.has(normalizedQuery)) {
+      scores.set(normalizedQuery, CODE_MATCH_SCORE);
+    }
+
+    const results = [];
+    for (const [code, score] of scores) {
+      const concept = this.conceptsByCode.get(code);
+      const conceptClass = getPropertyValue(concept, 'class');
+      const active = isActive(concept);
+      if (classes && !classes.includes(conceptClass)) continue;
+      if (options.activeOnly && !active) continue;
+
+      // Displays starting with the query (e.g. while typing) rank above other matches
+      const display = String(concept.display || '').toLowerCase();
+      const bonus = display === normalizedQuery ? 2 : display.startsWith(normalizedQuery) ? 1 : 0;
+
+      results.push({ code, display: concept.display, class: conceptClass, active, score: score + bonus });
+    }
+
+    return results
+      .sort((a, b) =>
+        b.score - a.score ||
+        Number(b.active) - Number(a.active) ||
+        String(a.display).length - String(b.display).length ||
+        a.code.localeCompare(b.code))
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  ConceptSearchIndex,
+  tokenize
+};
@@ -0,0 +1,69 @@
+/**
+ * Module for building delta CodeSystems
+ *
+ * A delta is a CodeSystem with content "fragment" holding only the concepts
+ * that are new or changed compared to a previous output, so a terminology
+ * server can apply a release without reloading the complete CodeSystem.
+ */
+const { indexConcepts } = require('../utils/conceptUtils');
+
+/**
+ * Serialize a concept independent of the order of its properties and designations
+ * @param {Object} concept - The concept
+ * @returns {string} The canonical serialization
+ */
+function serializeConcept(concept) {
+  const sortedJson = items => (items || []).map(item => JSON.stringify(item)).sort();
+
+  return JSON.stringify({
+    ...concept,
+    property: sortedJson(concept.property),
+    designation: sortedJson(concept.designation)
+  });
+}
+
+/**
+ * Find the concepts that are new or changed compared to a previous CodeSystem
+ * @param {Object} codeSystem - The current CodeSystem
+ * @param {Object} previousCodeSystem - The previous CodeSystem
+ * @returns {Array} The new and changed concepts in current order
+ */
+function findChangedConcepts(codeSystem, previousCodeSystem) {
+  const previousConcepts = indexConcepts(previousCodeSystem);
+
+  return (codeSystem.concept || []).filter(concept => {
+    const previousConcept = previousConcepts.get(concept.code);
+    return !previousConcept || serializeConcept(previousConcept) !== serializeConcept(concept);
+  });
+}
+
+/**
+ * Build a fragment CodeSystem with the concepts changed since a previous CodeSystem
+ * @param {Object} codeSystem - The complete CodeSystem of the current release
+ * @param {Object} previousCodeSystem - The complete CodeSystem of the previous release
+ * @returns {Object} The fragment CodeSystem
+ */
+function buildDeltaCodeSystem(codeSystem, previousCodeSystem) {
+  const { concept, ...metadata } = codeSystem;
+  const changedConcepts = findChangedConcepts(codeSystem, previousCodeSystem);
+
+  const delta = {
+    ...metadata,
+    content: "fragment",
+    concept: changedConcepts
+  };
+
+  if (delta.id) {
+    delta.id = `${delta.id}-delta`;
+  }
+  if (delta.title) {
+    delta.title = `${delta.title} (changes since ${previousCodeSystem.version})`;
+  }
+
+  return delta;
+}
+
+module.exports = {
+  findChangedConcepts,
+  buildDeltaCodeSystem
+};
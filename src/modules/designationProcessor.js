@@ -0,0 +1,200 @@
+/**
+ * Module for adding FHIR designations to the concepts
+ *
+ * Name columns of the concept files and the SNAPSHOT file are added as concept
+ * designations carrying a language (th or en) and a use (fully specified name,
+ * preferred term or synonym), so concepts can be found by their Thai names.
+ */
+const { findColumn } = require('../utils/spreadsheetUtils');
+const { findCodeColumns } = require('./snapshotProcessor');
+
+// Designation uses by configuration name
+const DESIGNATION_USES = {
+  fsn: {
+    system: "http://snomed.info/sct",
+    code: "900000000000003001",
+    display: "Fully specified name"
+  },
+  preferred: {
+    system: "http://terminology.hl7.org/CodeSystem/designation-usage",
+    code: "display",
+    display: "Display"
+  },
+  synonym: {
+    system: "http://snomed.info/sct",
+    code: "900000000000013009",
+    display: "Synonym"
+  }
+};
+
+// Matches characters of the Thai Unicode block
+const THAI_PATTERN = /[\u0E00-\u0E7F]/;
+
+/**
+ * Detect the language of a name from its script
+ * @param {string} value - The name
+ * @returns {string} "th" for names containing Thai characters, otherwise "en"
+ */
+function detectLanguage(value) {
+  return THAI_PATTERN.test(value) ? 'th' : 'en';
+}
+
+/**
+ * Create a designation
+ * @param {*} value - The name
+ * @param {Object} columnConfig - Configuration of the column the name comes from
+ * @param {string} columnConfig.use - The designation use (fsn, preferred or synonym)
+ * @param {string} [columnConfig.language] - The language; detected from the name when omitted
+ * @returns {Object} The designation, or null if the value is empty
+ */
+function createDesignation(value, columnConfig) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  const designation = {
+    language: columnConfig.language || detectLanguage(text),
+    value: text
+  };
+
+  const use = DESIGNATION_USES[columnConfig.use];
+  if (use) {
+    designation.use = { ...use };
+  }
+
+  return designation;
+}
+
+/**
+ * Add a designation to a concept unless an identical one is present
+ * @param {Object} concept - The concept to update
+ * @param {Object} designation - The designation to add
+ * @returns {boolean} True if the designation was added
+ */
+function addDesignation(concept, designation) {
+  if (!concept.designation) {
+    concept.designation = [];
+  }
+
+  const useCode = designation.use ? designation.use.code : null;
+  const exists = concept.designation.some(existing =>
+    existing.language === designation.language &&
+    existing.value === designation.value &&
+    (existing.use ? existing.use.code : null) === useCode
+  );
+
+  if (exists) {
+    return false;
+  }
+
+  concept.designation.push(designation);
+  return true;
+}
+
+/**
+ * Resolve the configured name columns of a sheet
+ * @param {Array} headerRow - The header row of the sheet
+ * @param {Object} columns - Map of column name to column configuration
+ * @returns {Array} Objects with column index and configuration
+ */
+function resolveNameColumns(headerRow, columns) {
+  const resolved = [];
+  for (const [columnName, columnConfig] of Object.entries(columns || {})) {
+    const index = findColumn(headerRow, columnName);
+    if (index !== -1) {
+      resolved.push({ index, config: columnConfig });
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Add designations from the name columns of a sheet
+ * @param {Map} conceptsByCode - Map of concept code to concept
+ * @param {Array} rows - The sheet rows
+ * @param {number} codeColumn - Index of the column holding the TMTID
+ * @param {Array} nameColumns - The resolved name columns
+ * @param {number} startIndex - The first data row
+ * @returns {number} The number of designations added
+ */
+function addDesignationsFromRows(conceptsByCode, rows, codeColumn, nameColumns, startIndex) {
+  let addedCount = 0;
+
+  for (let i = startIndex; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || row[codeColumn] === undefined || row[codeColumn] === null) continue; // Skip empty rows
+
+    const concept = conceptsByCode.get(String(row[codeColumn]));
+    if (!concept) continue;
+
+    nameColumns.forEach(column => {
+      const designation = createDesignation(row[column.index], column.config);
+      if (designation && addDesignation(concept, designation)) {
+        addedCount++;
+      }
+    });
+  }
+
+  return addedCount;
+}
+
+/**
+ * Process designation data and add designations to the concepts in the template
+ * @param {Object} templateJson - The template JSON object to update
+ * @param {TMTRelease} release - The extracted TMT release
+ * @param {Array<string>} entityTypes - Entity types whose concept files are read
+ * @param {Object} designationConfig - The designation configuration
+ * @param {Object} designationConfig.columns - Map of column name to { use, language }
+ * @param {Object} [snapshotConfig] - The snapshot configuration, used to read names from the SNAPSHOT file
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {number} The number of designations added
+ */
+function processDesignationData(templateJson, release, entityTypes, designationConfig, snapshotConfig, logger = console) {
+  logger.log('Processing designations...');
+
+  const conceptsByCode = new Map();
+  templateJson.concept.forEach(concept => {
+    if (concept && concept.code && !conceptsByCode.has(concept.code)) {
+      conceptsByCode.set(concept.code, concept);
+    }
+  });
+
+  let addedCount = 0;
+
+  // Names from the concept files
+  entityTypes.forEach(entityType => {
+    const rows = release.getConceptRows(release.findConceptFile(entityType));
+    const hasHeader = rows.length > 0 && rows[0] && rows[0][0] === `TMTID(${entityType})`;
+
+    // Without a header row, the display column is taken as the fully specified name
+    const nameColumns = hasHeader
+      ? resolveNameColumns(rows[0], designationConfig.columns)
+      : [{ index: 1, config: { use: 'fsn' } }];
+
+    addedCount += addDesignationsFromRows(conceptsByCode, rows, 0, nameColumns, hasHeader ? 1 : 0);
+  });
+
+  // Names from the SNAPSHOT file
+  const snapshotFile = snapshotConfig && snapshotConfig.enabled !== false ? release.findSnapshotFile() : null;
+  if (snapshotFile) {
+    const rows = release.getConceptRows(snapshotFile);
+    // The names in a SNAPSHOT row belong to the concept of the first code column
+    const [codeColumn] = rows.length > 0 ? findCodeColumns(rows[0] || [], snapshotConfig.codeColumn) : [];
+
+    if (codeColumn !== undefined) {
+      const nameColumns = resolveNameColumns(rows[0], designationConfig.columns);
+      addedCount += addDesignationsFromRows(conceptsByCode, rows, codeColumn, nameColumns, 1);
+    }
+  }
+
+  logger.log(`Added ${addedCount} designations`);
+  return addedCount;
+}
+
+module.exports = {
+  DESIGNATION_USES,
+  processDesignationData,
+  createDesignation,
+  detectLanguage
+};
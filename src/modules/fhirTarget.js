@@ -0,0 +1,272 @@
+/**
+ * Module for targeting a FHIR version
+ *
+ * The template declares its properties once; the target FHIR version decides
+ * which of them are bound to the standard concept-properties of that version,
+ * how ConceptMap mappings are expressed and which shape the CodeSystem is
+ * validated against.
+ */
+const { ConfigurationError } = require('../utils/errors');
+
+// Code system of the standard concept properties
+const CONCEPT_PROPERTIES_URI = 'http://hl7.org/fhir/concept-properties';
+
+// Value types of the standard concept properties
+const STANDARD_PROPERTY_TYPES = {
+  status: 'code',
+  inactive: 'boolean',
+  deprecated: 'dateTime',
+  effectiveDate: 'dateTime',
+  deprecationDate: 'dateTime',
+  retirementDate: 'dateTime',
+  notSelectable: 'boolean',
+  parent: 'code',
+  child: 'code',
+  partOf: 'code',
+  synonym: 'code',
+  comment: 'string',
+  itemWeight: 'decimal'
+};
+
+// Template property codes that stand for a standard property of a different name
+const PROPERTY_ALIASES = {
+  abstract: 'notSelectable'
+};
+
+// Standard properties an earlier FHIR version defines under another name; R4 calls
+// the date a concept was deprecated "deprecated", R5 "deprecationDate"
+const PROPERTY_SYNONYMS = {
+  deprecated: 'deprecationDate'
+};
+
+// Concept property value element per declared property type
+const VALUE_ELEMENTS = {
+  code: 'valueCode',
+  Coding: 'valueCoding',
+  string: 'valueString',
+  integer: 'valueInteger',
+  boolean: 'valueBoolean',
+  dateTime: 'valueDateTime',
+  decimal: 'valueDecimal'
+};
+
+// R5 ConceptMap relationship per R4 equivalence
+const EQUIVALENCE_RELATIONSHIPS = {
+  relatedto: 'related-to',
+  equivalent: 'equivalent',
+  equal: 'equivalent',
+  wider: 'source-is-narrower-than-target',
+  subsumes: 'source-is-narrower-than-target',
+  narrower: 'source-is-broader-than-target',
+  specializes: 'source-is-broader-than-target',
+  inexact: 'related-to',
+  unmatched: 'not-related-to',
+  disjoint: 'not-related-to'
+};
+
+// R4 has no standard status property: concepts keep the TMT status property, and
+// the standard inactive flag and deprecation date carry the same change history
+const R4_CONCEPT_PROPERTIES = ['inactive', 'deprecated', 'notSelectable', 'parent', 'child'];
+
+// Names of the R4 concept properties that R5 renamed
+const R4_PROPERTY_NAMES = {
+  deprecationDate: 'deprecated'
+};
+
+const R4_TARGET = {
+  name: 'r4',
+  fhirVersion: '4.0.1',
+  conceptProperties: R4_CONCEPT_PROPERTIES,
+  propertyNames: R4_PROPERTY_NAMES,
+  hierarchyMeanings: ['grouped-by', 'is-a', 'part-of', 'classified-with'],
+  contentModes: ['not-present', 'example', 'fragment', 'complete', 'supplement'],
+  conceptMapRelationships: false
+};
+
+// Supported FHIR versions; R4B leaves CodeSystem and ConceptMap as they are in R4
+const FHIR_TARGETS = {
+  r4: R4_TARGET,
+  r4b: {
+    ...R4_TARGET,
+    name: 'r4b',
+    fhirVersion: '4.3.0'
+  },
+  r5: {
+    name: 'r5',
+    fhirVersion: '5.0.0',
+    conceptProperties: [
+      'status', 'inactive', 'effectiveDate', 'deprecationDate', 'retirementDate', 'notSelectable',
+      'parent', 'child', 'partOf', 'synonym', 'comment', 'itemWeight'
+    ],
+    propertyNames: {},
+    hierarchyMeanings: R4_TARGET.hierarchyMeanings,
+    contentModes: R4_TARGET.contentModes,
+    conceptMapRelationships: true
+  }
+};
+
+/**
+ * Get the definition of a FHIR target
+ * @param {string} [name] - The target (r4, r4b or r5); defaults to r4
+ * @returns {Object} The target definition
+ * @throws {ConfigurationError} When the target is not supported
+ */
+function getFhirTarget(name) {
+  const target = FHIR_TARGETS[String(name || 'r4').toLowerCase()];
+  if (!target) {
+    throw new ConfigurationError(
+      `Unknown FHIR version "${name}". Supported versions: ${Object.keys(FHIR_TARGETS).join(', ')}`,
+      { fhirVersion: name, supported: Object.keys(FHIR_TARGETS) }
+    );
+  }
+  return target;
+}
+
+/**
+ * Get the standard concept property a declared property stands for
+ * @param {Object} property - The property declaration
+ * @returns {string} The standard property name as R5 defines it, or null for TMT-specific properties
+ */
+function getStandardPropertyName(property) {
+  let name = null;
+  if (property.uri && property.uri.startsWith(`${CONCEPT_PROPERTIES_URI}#`)) {
+    name = property.uri.slice(CONCEPT_PROPERTIES_URI.length + 1);
+  } else if (PROPERTY_ALIASES[property.code]) {
+    name = PROPERTY_ALIASES[property.code];
+  } else if (STANDARD_PROPERTY_TYPES[property.code]) {
+    name = property.code;
+  }
+  return name && PROPERTY_SYNONYMS[name] ? PROPERTY_SYNONYMS[name] : name;
+}
+
+/**
+ * Bind the declared properties to the standard concept properties of the target version.
+ * Properties the target does not define keep their code but lose the standard URI.
+ * @param {Object} codeSystem - The CodeSystem to update
+ * @param {Object} target - The target definition
+ */
+function applyFhirTarget(codeSystem, target) {
+  (codeSystem.property || []).forEach(property => {
+    const standardName = getStandardPropertyName(property);
+    if (!standardName) return;
+
+    const targetName = target.propertyNames[standardName] || standardName;
+    if (target.conceptProperties.includes(targetName)) {
+      property.uri = `${CONCEPT_PROPERTIES_URI}#${targetName}`;
+    } else {
+      delete property.uri;
+    }
+  });
+}
+
+/**
+ * Express the mappings of an R4 ConceptMap for the target version
+ * @param {Object} conceptMap - The ConceptMap using equivalence
+ * @param {Object} target - The target definition
+ * @returns {Object} The ConceptMap for the target version
+ */
+function adaptConceptMap(conceptMap, target) {
+  if (!target.conceptMapRelationships) {
+    return conceptMap;
+  }
+
+  const { sourceCanonical, targetCanonical, ...rest } = conceptMap;
+  return {
+    ...rest,
+    sourceScopeCanonical: sourceCanonical,
+    targetScopeCanonical: targetCanonical,
+    group: conceptMap.group.map(group => ({
+      ...group,
+      element: group.element.map(element => ({
+        ...element,
+        target: element.target.map(({ equivalence, ...mapping }) => ({
+          ...mapping,
+          relationship: EQUIVALENCE_RELATIONSHIPS[equivalence] || 'related-to'
+        }))
+      }))
+    }))
+  };
+}
+
+/**
+ * Validate the shape of a CodeSystem against the target version
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} target - The target definition
+ * @returns {Array<Object>} Issues with message, count and example concept codes
+ */
+function validateCodeSystemShape(codeSystem, target) {
+  const issues = new Map();
+  const report = (message, code) => {
+    if (!issues.has(message)) {
+      issues.set(message, { message, count: 0, examples: [] });
+    }
+    const issue = issues.get(message);
+    issue.count++;
+    if (code && issue.examples.length < 5) {
+      issue.examples.push(code);
+    }
+  };
+
+  if (codeSystem.resourceType !== 'CodeSystem') {
+    report(`resourceType is "${codeSystem.resourceType}", expected "CodeSystem"`);
+  }
+  if (!target.contentModes.includes(codeSystem.content)) {
+    report(`content "${codeSystem.content}" is not a ${target.name} content mode`);
+  }
+  if (codeSystem.hierarchyMeaning && !target.hierarchyMeanings.includes(codeSystem.hierarchyMeaning)) {
+    report(`hierarchyMeaning "${codeSystem.hierarchyMeaning}" is not a ${target.name} hierarchy meaning`);
+  }
+
+  const declaredTypes = new Map();
+  (codeSystem.property || []).forEach(property => {
+    declaredTypes.set(property.code, property.type);
+
+    if (!VALUE_ELEMENTS[property.type]) {
+      report(`Property "${property.code}" has unsupported type "${property.type}"`);
+    }
+
+    if (property.uri && property.uri.startsWith(`${CONCEPT_PROPERTIES_URI}#`)) {
+      const uriName = property.uri.slice(CONCEPT_PROPERTIES_URI.length + 1);
+      if (!target.conceptProperties.includes(uriName)) {
+        report(`Property "${property.code}" uses ${property.uri}, which ${target.name} does not define`);
+      } else if (STANDARD_PROPERTY_TYPES[uriName] !== property.type) {
+        report(`Property "${property.code}" must have type "${STANDARD_PROPERTY_TYPES[uriName]}" to use ${property.uri}`);
+      }
+    }
+  });
+
+  (codeSystem.filter || []).forEach(filter => {
+    if (filter.code !== 'concept' && !declaredTypes.has(filter.code)) {
+      report(`Filter "${filter.code}" does not match a declared property`);
+    }
+  });
+
+  (codeSystem.concept || []).forEach(concept => {
+    if (!concept.code) {
+      report('Concept without a code');
+      return;
+    }
+
+    (concept.property || []).forEach(property => {
+      if (!declaredTypes.has(property.code)) {
+        report(`Concept property "${property.code}" is not declared`, concept.code);
+        return;
+      }
+
+      const valueElement = VALUE_ELEMENTS[declaredTypes.get(property.code)];
+      if (valueElement && property[valueElement] === undefined) {
+        report(`Concept property "${property.code}" does not have a ${valueElement}`, concept.code);
+      }
+    });
+  });
+
+  return Array.from(issues.values());
+}
+
+module.exports = {
+  FHIR_TARGETS,
+  getFhirTarget,
+  applyFhirTarget,
+  adaptConceptMap,
+  validateCodeSystemShape
+};
@@ -0,0 +1,121 @@
+/**
+ * Module for exporting the CodeSystem as flat CSV or TSV files
+ *
+ * concepts.csv has one row per concept with its class, status, Thai name and
+ * SNAPSHOT attributes; relationships.csv has one row per parent-child edge
+ * with the TMT relationship it stands for and the file it was read from.
+ * Both files start with a UTF-8 byte order mark so Excel shows Thai text.
+ */
+const path = require('path');
+const { writeDelimitedFile } = require('../utils/fileUtils');
+const { getPropertyValue, getPropertyValues, indexConcepts } = require('../utils/conceptUtils');
+
+// Field delimiter per supported format
+const FLAT_FORMATS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+// Separates the values of a property a concept has more than once
+const MULTI_VALUE_SEPARATOR = '|';
+
+/**
+ * Get the Thai name of a concept, preferring the display designation
+ * @param {Object} concept - The concept
+ * @returns {string} The Thai name, or null if the concept does not have one
+ */
+function getThaiName(concept) {
+  const thai = (concept.designation || []).filter(designation => designation.language === 'th');
+  const preferred = thai.find(designation => designation.use && designation.use.code === 'display');
+  return (preferred || thai[0] || {}).value || null;
+}
+
+/**
+ * Build the rows of the concepts file
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Array<string>} attributes - Property codes of the SNAPSHOT attributes
+ * @returns {Iterable<Array>} The rows
+ */
+function* conceptRows(codeSystem, attributes) {
+  for (const concept of codeSystem.concept || []) {
+    yield [
+      concept.code,
+      concept.display,
+      getThaiName(concept),
+      getPropertyValue(concept, 'class'),
+      getPropertyValue(concept, 'status'),
+      ...attributes.map(attribute => getPropertyValues(concept, attribute).join(MULTI_VALUE_SEPARATOR))
+    ];
+  }
+}
+
+/**
+ * Build the rows of the relationships file, one per parent property of a concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {RelationshipGraph} [graph] - The graph the hierarchy was built from, used to name the source files
+ * @returns {Iterable<Array>} The rows
+ */
+function* relationshipRows(codeSystem, graph) {
+  const conceptsByCode = indexConcepts(codeSystem);
+
+  for (const concept of conceptsByCode.values()) {
+    for (const parentCode of getPropertyValues(concept, 'parent')) {
+      const parent = conceptsByCode.get(parentCode);
+      const parentClass = parent ? getPropertyValue(parent, 'class') : '';
+      const sources = graph ? graph.getEdgeSources(parentCode, concept.code) : [];
+
+      // Rows read like the TMT relationship files: from the parent (e.g. GP) to the child (e.g. TP)
+      yield [
+        parentCode,
+        concept.code,
+        `${parentClass}to${getPropertyValue(concept, 'class') || ''}`,
+        sources.map(source => graph.sourceFiles.get(source) || source).join(MULTI_VALUE_SEPARATOR) || null
+      ];
+    }
+  }
+}
+
+/**
+ * Write the concepts and relationships of the CodeSystem as flat files
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} outputDir - Directory to write concepts.<format> and relationships.<format> to
+ * @param {Object} flatExportConfig - The flat export configuration
+ * @param {string} [flatExportConfig.format="csv"] - csv or tsv
+ * @param {RelationshipGraph} [graph] - The graph the hierarchy was built from
+ * @param {Object} [snapshotConfig] - SNAPSHOT configuration whose attributes become columns
+ * @returns {Promise<Array<string>>} Paths of the files written
+ */
+async function exportFlatFiles(codeSystem, outputDir, flatExportConfig, graph, snapshotConfig) {
+  const format = flatExportConfig.format || 'csv';
+  const options = { delimiter: FLAT_FORMATS[format], bom: true };
+
+  console.log(`Exporting concepts and relationships as ${format.toUpperCase()}...`);
+
+  const attributes = snapshotConfig && snapshotConfig.enabled !== false
+    ? Array.from(new Set(Object.values(snapshotConfig.attributes || {})))
+    : [];
+
+  const conceptsFile = path.join(outputDir, `concepts.${format}`);
+  const conceptCount = await writeDelimitedFile(
+    conceptsFile,
+    ['code', 'display', 'displayTh', 'class', 'status', ...attributes],
+    conceptRows(codeSystem, attributes),
+    options
+  );
+
+  const relationshipsFile = path.join(outputDir, `relationships.${format}`);
+  const relationshipCount = await writeDelimitedFile(
+    relationshipsFile,
+    ['source', 'target', 'type', 'sourceFile'],
+    relationshipRows(codeSystem, graph),
+    options
+  );
+
+  console.log(`Exported ${conceptCount} concepts and ${relationshipCount} relationships`);
+  return [conceptsFile, relationshipsFile];
+}
+
+module.exports = {
+  FLAT_FORMATS,
+  exportFlatFiles
+};
@@ -0,0 +1,231 @@
+/**
+ * Module for exploring the hierarchy around a concept
+ *
+ * Follows the parent and child properties the processors add to build the
+ * ancestor and descendant trees of a concept (e.g. SUBS → VTM → GP → GPU →
+ * TPU → TPP), and formats them as indented text, Graphviz DOT or Mermaid.
+ */
+const { getPropertyValue, getPropertyValues, isActive, indexConcepts } = require('../utils/conceptUtils');
+
+// Properties shown as trees rather than in the property list
+const HIERARCHY_PROPERTIES = ['parent', 'child'];
+
+/**
+ * Build the tree of the concepts reached from a concept by one hierarchy property
+ * @param {Map} conceptsByCode - Map of concept code to concept
+ * @param {string} code - The concept code at the root of the tree
+ * @param {string} property - The property to follow (parent or child)
+ * @param {number} maxDepth - Number of levels to follow
+ * @param {Set<string>} [path] - Codes on the path from the root, to stop at cycles
+ * @param {Map} [built] - Nodes already built, shared where the hierarchy reaches a concept twice
+ * @returns {Object} Tree node with code, display, class, active and nodes
+ */
+function buildTree(conceptsByCode, code, property, maxDepth, path = new Set(), built = new Map()) {
+  const key = `${code}:${maxDepth}`;
+  if (built.has(key)) {
+    return built.get(key);
+  }
+
+  const concept = conceptsByCode.get(code);
+  const node = {
+    code,
+    display: concept ? concept.display : null,
+    class: concept ? getPropertyValue(concept, 'class') : null,
+    active: concept ? isActive(concept) : false,
+    nodes: []
+  };
+
+  if (!concept || maxDepth <= 0) {
+    return node;
+  }
+
+  path.add(code);
+  getPropertyValues(concept, property).forEach(relatedCode => {
+    if (!path.has(relatedCode)) {
+      node.nodes.push(buildTree(conceptsByCode, relatedCode, property, maxDepth - 1, path, built));
+    }
+  });
+  path.delete(code);
+
+  built.set(key, node);
+  return node;
+}
+
+/**
+ * Build the ancestor and descendant trees of a concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} code - The concept code
+ * @param {Object} [options] - Explorer options
+ * @param {number} [options.maxDepth] - Number of levels to follow up and down (defaults to all)
+ * @returns {Object} Object with the concept, its ancestors and its descendants, or null if the code is unknown
+ */
+function buildHierarchy(codeSystem, code, options = {}) {
+  const conceptsByCode = indexConcepts(codeSystem);
+  const concept = conceptsByCode.get(String(code));
+  if (!concept) {
+    return null;
+  }
+
+  const maxDepth = options.maxDepth > 0 ? options.maxDepth : Infinity;
+  return {
+    concept,
+    ancestors: buildTree(conceptsByCode, concept.code, 'parent', maxDepth),
+    descendants: buildTree(conceptsByCode, concept.code, 'child', maxDepth)
+  };
+}
+
+/**
+ * Describe a tree node on one line
+ * @param {Object} node - The tree node
+ * @returns {string} The code, class and display of the node
+ */
+function describeNode(node) {
+  if (node.display === null) {
+    return `${node.code} (not in the CodeSystem)`;
+  }
+  return `${node.code} [${node.class || '?'}] ${node.display}${node.active ? '' : ' (inactive)'}`;
+}
+
+/**
+ * Format a tree as indented lines. A concept reached a second time (the hierarchy is
+ * a graph, e.g. a TPP under both its TPU and its GPP) is listed without its subtree.
+ * @param {Object} root - The root node
+ * @returns {Array<string>} The lines
+ */
+function formatTree(root) {
+  const lines = [describeNode(root)];
+  const expanded = new Set([root.code]);
+
+  const visit = (node, prefix) => {
+    node.nodes.forEach((child, index) => {
+      const last = index === node.nodes.length - 1;
+      const repeated = expanded.has(child.code) && child.nodes.length > 0;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${describeNode(child)}${repeated ? ' (see above)' : ''}`);
+
+      if (!repeated) {
+        expanded.add(child.code);
+        visit(child, `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
+  };
+  visit(root, '');
+
+  return lines;
+}
+
+/**
+ * Format a concept with its properties, designations and trees as text
+ * @param {Object} hierarchy - The result of buildHierarchy
+ * @returns {string} The text
+ */
+function formatHierarchyText(hierarchy) {
+  const { concept, ancestors, descendants } = hierarchy;
+  const lines = [describeNode(ancestors), '', 'Properties:'];
+
+  (concept.property || [])
+    .filter(property => !HIERARCHY_PROPERTIES.includes(property.code))
+    .forEach(property => {
+      const valueKey = Object.keys(property).find(key => key.startsWith('value'));
+      const value = property[valueKey];
+      lines.push(`  ${property.code}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`);
+    });
+
+  if (concept.designation && concept.designation.length > 0) {
+    lines.push('', 'Designations:');
+    concept.designation.forEach(designation => {
+      const use = designation.use ? ` ${designation.use.display || designation.use.code}` : '';
+      lines.push(`  [${designation.language || '?'}${use}] ${designation.value}`);
+    });
+  }
+
+  lines.push('', 'Ancestors:', ...formatTree(ancestors));
+  lines.push('', 'Descendants:', ...formatTree(descendants));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Collect the nodes and parent-child edges of the ancestor and descendant trees
+ * @param {Object} hierarchy - The result of buildHierarchy
+ * @returns {Object} Object with a Map of code to node and an array of [parent, child] edges
+ */
+function collectGraph(hierarchy) {
+  const nodes = new Map();
+  const edges = new Map();
+  const visited = new Set();
+
+  const visit = (node, upward) => {
+    if (visited.has(node)) return;
+    visited.add(node);
+
+    nodes.set(node.code, node);
+    node.nodes.forEach(related => {
+      const [parent, child] = upward ? [related.code, node.code] : [node.code, related.code];
+      edges.set(`${parent}>${child}`, [parent, child]);
+      visit(related, upward);
+    });
+  };
+  visit(hierarchy.ancestors, true);
+  visit(hierarchy.descendants, false);
+
+  return { nodes, edges: Array.from(edges.values()) };
+}
+
+/**
+ * Format the hierarchy of a concept as a Graphviz DOT digraph
+ * @param {Object} hierarchy - The result of buildHierarchy
+ * @returns {string} The DOT source
+ */
+function formatDot(hierarchy) {
+  const { nodes, edges } = collectGraph(hierarchy);
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+  const lines = ['digraph TMT {', '  rankdir=TB;', '  node [shape=box, fontname="Helvetica"];'];
+  for (const node of nodes.values()) {
+    const display = node.display === null ? 'not in the CodeSystem' : node.display;
+    const label = `${escape(`${node.code} [${node.class || '?'}]`)}\\n${escape(display)}`;
+    const style = node.code === hierarchy.concept.code
+      ? ', style=filled, fillcolor="#ffe08a"'
+      : node.active ? '' : ', style=dashed';
+    lines.push(`  "${escape(node.code)}" [label="${label}"${style}];`);
+  }
+  edges.forEach(([parent, child]) => lines.push(`  "${escape(parent)}" -> "${escape(child)}";`));
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the hierarchy of a concept as a Mermaid flowchart
+ * @param {Object} hierarchy - The result of buildHierarchy
+ * @returns {string} The Mermaid source
+ */
+function formatMermaid(hierarchy) {
+  const { nodes, edges } = collectGraph(hierarchy);
+  const id = code => `c${String(code).replace(/[^A-Za-z0-9_]/g, '_')}`;
+  const escape = value => String(value).replace(/"/g, '#quot;');
+
+  const lines = ['flowchart TD'];
+  for (const node of nodes.values()) {
+    const display = node.display === null ? 'not in the CodeSystem' : node.display;
+    lines.push(`  ${id(node.code)}["${escape(`${node.code} [${node.class || '?'}]`)}<br/>${escape(display)}"]`);
+  }
+  edges.forEach(([parent, child]) => lines.push(`  ${id(parent)} --> ${id(child)}`));
+  lines.push(`  style ${id(hierarchy.concept.code)} fill:#ffe08a`);
+
+  return lines.join('\n') + '\n';
+}
+
+// Formatters of the hierarchy per output format
+const HIERARCHY_FORMATTERS = {
+  text: formatHierarchyText,
+  dot: formatDot,
+  mermaid: formatMermaid
+};
+
+module.exports = {
+  HIERARCHY_FORMATTERS,
+  buildHierarchy,
+  formatHierarchyText,
+  formatDot,
+  formatMermaid
+};
@@ -0,0 +1,86 @@
+/**
+ * Module for reading the change history columns of the TMT concept files
+ *
+ * Concept files can carry a status indicator (new, changed, inactive, ...),
+ * an inactive flag and the date the concept last changed. These columns are
+ * turned into the status, inactive, effectiveDate and deprecationDate properties
+ * of the concept.
+ */
+const { findColumn, formatDateTime } = require('../utils/spreadsheetUtils');
+
+// Values of the inactive column that mark a concept as inactive
+const TRUE_VALUES = ['Y', 'YES', 'TRUE', '1', 'INACTIVE'];
+
+/**
+ * Resolve the history columns of a concept file
+ * @param {Array} headerRow - The header row of the concept file
+ * @param {Object} historyConfig - The history configuration
+ * @returns {Object} Column indexes of status, inactive and effectiveDate (-1 when missing),
+ *   or null when the file has none of them
+ */
+function resolveHistoryColumns(headerRow, historyConfig) {
+  const columns = {
+    status: historyConfig.statusColumn ? findColumn(headerRow, historyConfig.statusColumn) : -1,
+    inactive: historyConfig.inactiveColumn ? findColumn(headerRow, historyConfig.inactiveColumn) : -1,
+    effectiveDate: historyConfig.effectiveDateColumn ? findColumn(headerRow, historyConfig.effectiveDateColumn) : -1
+  };
+  return Object.values(columns).some(index => index !== -1) ? columns : null;
+}
+
+/**
+ * Determine the FHIR status of a concept from its history columns
+ * @param {Array} row - The concept file row
+ * @param {Object} columns - The resolved history columns
+ * @param {Object} historyConfig - The history configuration
+ * @returns {string} The status (active, deprecated or retired)
+ */
+function determineStatus(row, columns, historyConfig) {
+  let status = 'active';
+
+  if (columns.status !== -1 && row[columns.status] !== undefined && row[columns.status] !== null) {
+    const indicator = String(row[columns.status]).trim().toUpperCase();
+    status = (historyConfig.statusValues || {})[indicator] || status;
+  }
+
+  if (columns.inactive !== -1 && row[columns.inactive] !== undefined && row[columns.inactive] !== null) {
+    if (TRUE_VALUES.includes(String(row[columns.inactive]).trim().toUpperCase())) {
+      status = 'retired';
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Set the status, inactive, effectiveDate and deprecationDate properties of a concept from its row
+ * @param {Object} concept - The concept created from the row
+ * @param {Array} row - The concept file row
+ * @param {Object} columns - The resolved history columns
+ * @param {Object} historyConfig - The history configuration
+ */
+function applyConceptHistory(concept, row, columns, historyConfig) {
+  const status = determineStatus(row, columns, historyConfig);
+  const effectiveDate = columns.effectiveDate !== -1 ? formatDateTime(row[columns.effectiveDate]) : null;
+
+  const statusProperty = concept.property.find(property => property.code === 'status');
+  if (statusProperty) {
+    statusProperty.valueCode = status;
+  } else {
+    concept.property.push({ code: "status", valueCode: status });
+  }
+  concept.property.push({ code: "inactive", valueBoolean: status === 'retired' });
+
+  if (effectiveDate) {
+    concept.property.push({ code: "effectiveDate", valueDateTime: effectiveDate });
+
+    // The change that deprecated or retired the concept dates the deprecation
+    if (status !== 'active') {
+      concept.property.push({ code: "deprecationDate", valueDateTime: effectiveDate });
+    }
+  }
+}
+
+module.exports = {
+  resolveHistoryColumns,
+  applyConceptHistory
+};
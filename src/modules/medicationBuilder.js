@@ -0,0 +1,212 @@
+/**
+ * Module for building FHIR R4 MedicationKnowledge and Medication resources
+ *
+ * Each TPU and GPU concept becomes a MedicationKnowledge and a minimal
+ * Medication. The ingredients are the SUBS concepts found by walking the
+ * concept's ancestry (GPU, GP, VTM, SUBS) and the dose form, manufacturer,
+ * strength and packaging come from the SNAPSHOT attributes of the concept.
+ */
+const { getPropertyValue, getPropertyValues, isActive, indexConcepts } = require('../utils/conceptUtils');
+
+// Class of the concepts used as ingredients
+const INGREDIENT_CLASS = 'SUBS';
+
+/**
+ * Find the ingredient (SUBS) ancestors of a concept
+ * @param {Map} conceptsByCode - Map of concept code to concept
+ * @param {string} code - The concept code
+ * @returns {Array<Object>} The ingredient concepts
+ */
+function findIngredients(conceptsByCode, code) {
+  const ingredients = [];
+  const visited = new Set([code]);
+  const queue = [code];
+
+  while (queue.length > 0) {
+    const concept = conceptsByCode.get(queue.shift());
+    if (!concept) continue;
+
+    getPropertyValues(concept, 'parent').forEach(parentCode => {
+      if (visited.has(parentCode)) return;
+      visited.add(parentCode);
+
+      const parent = conceptsByCode.get(parentCode);
+      if (!parent) return;
+
+      if (getPropertyValue(parent, 'class') === INGREDIENT_CLASS) {
+        ingredients.push(parent);
+      } else {
+        queue.push(parentCode);
+      }
+    });
+  }
+
+  return ingredients;
+}
+
+/**
+ * Create a CodeableConcept for a TMT concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} concept - The concept
+ * @returns {Object} The CodeableConcept
+ */
+function createCodeableConcept(codeSystem, concept) {
+  return {
+    coding: [{
+      system: codeSystem.url,
+      version: codeSystem.version,
+      code: concept.code,
+      display: concept.display
+    }],
+    text: concept.display
+  };
+}
+
+/**
+ * Create the resource id of a concept
+ * @param {Object} concept - The concept
+ * @returns {string} The resource id
+ */
+function createResourceId(concept) {
+  return `tmt-${concept.code}`;
+}
+
+/**
+ * Build the MedicationKnowledge resource of a concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} concept - The TPU or GPU concept
+ * @param {Array<Object>} ingredients - The ingredient concepts
+ * @param {Map} conceptsByCode - Map of concept code to concept
+ * @param {Array<string>} classes - The classes converted to resources
+ * @returns {Object} The MedicationKnowledge
+ */
+function buildMedicationKnowledge(codeSystem, concept, ingredients, conceptsByCode, classes) {
+  const resource = {
+    resourceType: "MedicationKnowledge",
+    id: createResourceId(concept),
+    code: createCodeableConcept(codeSystem, concept),
+    status: isActive(concept) ? "active" : "inactive"
+  };
+
+  const manufacturer = getPropertyValue(concept, 'manufacturer');
+  if (manufacturer) {
+    resource.manufacturer = { display: manufacturer };
+  }
+
+  const dosageForm = getPropertyValue(concept, 'dosageForm');
+  if (dosageForm) {
+    resource.doseForm = { text: dosageForm };
+  }
+
+  const synonyms = (concept.designation || [])
+    .map(designation => designation.value)
+    .filter(value => value !== concept.display);
+  if (synonyms.length > 0) {
+    resource.synonym = Array.from(new Set(synonyms));
+  }
+
+  // Link trade products to their generic products (and any other converted parent class)
+  const related = getPropertyValues(concept, 'parent')
+    .map(parentCode => conceptsByCode.get(parentCode))
+    .filter(parent => parent && classes.includes(getPropertyValue(parent, 'class')));
+  if (related.length > 0) {
+    resource.relatedMedicationKnowledge = related.map(parent => ({
+      type: { text: getPropertyValue(parent, 'class') },
+      reference: [{ reference: `MedicationKnowledge/${createResourceId(parent)}` }]
+    }));
+  }
+
+  if (ingredients.length > 0) {
+    resource.ingredient = ingredients.map(ingredient => ({
+      itemCodeableConcept: createCodeableConcept(codeSystem, ingredient),
+      isActive: true
+    }));
+  }
+
+  const container = getPropertyValue(concept, 'container');
+  const packSize = Number(getPropertyValue(concept, 'packSize'));
+  const hasPackSize = Number.isFinite(packSize) && packSize > 0;
+  if (container || hasPackSize) {
+    resource.packaging = {};
+    if (container) {
+      resource.packaging.type = { text: container };
+    }
+    if (hasPackSize) {
+      resource.packaging.quantity = { value: packSize };
+    }
+  }
+
+  // Strength covers all ingredients, so it is kept as a characteristic rather than per ingredient
+  const strength = getPropertyValue(concept, 'strength');
+  if (strength) {
+    resource.drugCharacteristic = [{ type: { text: "strength" }, valueString: strength }];
+  }
+
+  return resource;
+}
+
+/**
+ * Build the minimal Medication resource of a concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} concept - The TPU or GPU concept
+ * @param {Array<Object>} ingredients - The ingredient concepts
+ * @returns {Object} The Medication
+ */
+function buildMedication(codeSystem, concept, ingredients) {
+  const resource = {
+    resourceType: "Medication",
+    id: createResourceId(concept),
+    code: createCodeableConcept(codeSystem, concept),
+    status: isActive(concept) ? "active" : "inactive"
+  };
+
+  const manufacturer = getPropertyValue(concept, 'manufacturer');
+  if (manufacturer) {
+    resource.manufacturer = { display: manufacturer };
+  }
+
+  const dosageForm = getPropertyValue(concept, 'dosageForm');
+  if (dosageForm) {
+    resource.form = { text: dosageForm };
+  }
+
+  if (ingredients.length > 0) {
+    resource.ingredient = ingredients.map(ingredient => ({
+      itemCodeableConcept: createCodeableConcept(codeSystem, ingredient),
+      isActive: true
+    }));
+  }
+
+  return resource;
+}
+
+/**
+ * Build MedicationKnowledge and Medication resources for the concepts of the configured classes
+ * @param {Object} codeSystem - The converted CodeSystem
+ * @param {Object} medicationConfig - The medication configuration
+ * @param {Array<string>} medicationConfig.classes - Classes to convert (e.g. ["TPU", "GPU"])
+ * @returns {Object} Object with medicationKnowledge and medication resource arrays
+ */
+function buildMedicationResources(codeSystem, medicationConfig) {
+  console.log('Building MedicationKnowledge and Medication resources...');
+
+  const classes = medicationConfig.classes || [];
+  const conceptsByCode = indexConcepts(codeSystem);
+  const medicationKnowledge = [];
+  const medication = [];
+
+  for (const concept of conceptsByCode.values()) {
+    if (!classes.includes(getPropertyValue(concept, 'class'))) continue;
+
+    const ingredients = findIngredients(conceptsByCode, concept.code);
+    medicationKnowledge.push(buildMedicationKnowledge(codeSystem, concept, ingredients, conceptsByCode, classes));
+    medication.push(buildMedication(codeSystem, concept, ingredients));
+  }
+
+  console.log(`Built ${medicationKnowledge.length} MedicationKnowledge and Medication resources`);
+  return { medicationKnowledge, medication };
+}
+
+module.exports = {
+  buildMedicationResources
+};
@@ -0,0 +1,185 @@
+/**
+ * Module for writing the CodeSystem in the configured output mode
+ *
+ * Besides a single CodeSystem file, the concepts can be written as NDJSON,
+ * as one fragment CodeSystem per TMT class or as fragments of a fixed number
+ * of concepts. The split modes write a manifest listing the files so a
+ * terminology server can load them one at a time, and the files can be read
+ * back into one CodeSystem through the manifest.
+ */
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, readNdjsonFile, writeJsonFile, writeCodeSystemFile, writeNdjsonFile } = require('../utils/fileUtils');
+const { getPropertyValue } = require('../utils/conceptUtils');
+const { ConfigurationError } = require('../utils/errors');
+
+// Supported output modes
+const OUTPUT_MODES = ['single', 'ndjson', 'per-class', 'chunked'];
+
+/**
+ * Build the path of a file written next to the output file
+ * @param {string} outputFile - The configured output file
+ * @param {string} suffix - Suffix added to the base name (e.g. "-SUBS")
+ * @param {string} extension - Extension of the new file (e.g. ".json")
+ * @returns {string} The file path
+ */
+function siblingFile(outputFile, suffix, extension) {
+  const gzip = outputFile.endsWith('.gz') ? '.gz' : '';
+  const fileName = path.basename(outputFile, gzip).replace(/\.(json|ndjson)$/i, '');
+  return path.join(path.dirname(outputFile), `${fileName}${suffix}${extension}${gzip}`);
+}
+
+/**
+ * Build the path of the manifest the split output modes write next to the output file
+ * @param {string} outputFile - The configured output file
+ * @returns {string} The manifest path
+ */
+function getManifestFile(outputFile) {
+  return siblingFile(outputFile.replace(/\.gz$/, ''), '-manifest', '.json');
+}
+
+/**
+ * Create a fragment CodeSystem holding some of the concepts
+ * @param {Object} metadata - The CodeSystem without its concepts
+ * @param {Array} concepts - The concepts of the fragment
+ * @returns {Object} The fragment CodeSystem
+ */
+function createFragment(metadata, concepts) {
+  return { ...metadata, content: "fragment", concept: concepts };
+}
+
+/**
+ * Group concepts by class in the order the classes first appear
+ * @param {Array} concepts - The concepts
+ * @returns {Map} Map of class to concepts
+ */
+function groupByClass(concepts) {
+  const groups = new Map();
+  concepts.forEach(concept => {
+    const conceptClass = getPropertyValue(concept, 'class') || 'UNCLASSIFIED';
+    if (!groups.has(conceptClass)) {
+      groups.set(conceptClass, []);
+    }
+    groups.get(conceptClass).push(concept);
+  });
+  return groups;
+}
+
+/**
+ * Write the CodeSystem in the configured output mode
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} outputFile - The configured output file
+ * @param {Object} [outputConfig] - The output configuration
+ * @param {string} [outputConfig.mode="single"] - single, ndjson, per-class or chunked
+ * @param {number} [outputConfig.chunkSize=10000] - Number of concepts per file in chunked mode
+ * @param {boolean} [outputConfig.minify] - Write JSON files without whitespace
+ * @param {boolean} [outputConfig.gzip] - Compress the files with gzip
+ * @returns {Promise<Object>} Object with the files written and the manifest file (null in single mode)
+ */
+async function writeCodeSystemOutput(codeSystem, outputFile, outputConfig = {}) {
+  const mode = outputConfig.mode || 'single';
+  const writeOptions = { minify: Boolean(outputConfig.minify), gzip: Boolean(outputConfig.gzip) };
+
+  if (mode === 'single') {
+    await writeCodeSystemFile(outputFile, codeSystem, writeOptions);
+    return { files: [outputFile], manifestFile: null };
+  }
+
+  const { concept: concepts = [], ...metadata } = codeSystem;
+  const files = [];
+
+  if (mode === 'ndjson') {
+    // The header keeps the CodeSystem metadata; the concepts are one per line
+    const headerFile = siblingFile(outputFile, '-header', '.json');
+    await writeCodeSystemFile(headerFile, { ...metadata, content: "not-present", count: concepts.length }, writeOptions);
+    files.push({ file: path.basename(headerFile), type: 'header' });
+
+    const conceptFile = siblingFile(outputFile, '', '.ndjson');
+    const count = await writeNdjsonFile(conceptFile, concepts, writeOptions);
+    files.push({ file: path.basename(conceptFile), type: 'concepts', count });
+  } else if (mode === 'per-class') {
+    for (const [conceptClass, classConcepts] of groupByClass(concepts)) {
+      const classFile = siblingFile(outputFile, `-${conceptClass}`, '.json');
+      await writeCodeSystemFile(classFile, createFragment(metadata, classConcepts), writeOptions);
+      files.push({ file: path.basename(classFile), class: conceptClass, count: classConcepts.length });
+    }
+  } else if (mode === 'chunked') {
+    const chunkSize = outputConfig.chunkSize > 0 ? outputConfig.chunkSize : 10000;
+    const chunkCount = Math.ceil(concepts.length / chunkSize);
+    const digits = String(Math.max(chunkCount, 1)).length;
+
+    for (let i = 0; i < chunkCount; i++) {
+      const chunk = concepts.slice(i * chunkSize, (i + 1) * chunkSize);
+      const chunkFile = siblingFile(outputFile, `-${String(i + 1).padStart(digits, '0')}`, '.json');
+      await writeCodeSystemFile(chunkFile, createFragment(metadata, chunk), writeOptions);
+      files.push({ file: path.basename(chunkFile), count: chunk.length });
+    }
+  }
+
+  const manifestFile = getManifestFile(outputFile);
+  writeJsonFile(manifestFile, {
+    resourceType: metadata.resourceType,
+    url: metadata.url,
+    version: metadata.version,
+    mode,
+    date: new Date().toISOString(),
+    total: concepts.length,
+    files
+  });
+
+  return {
+    files: files.map(entry => path.join(path.dirname(outputFile), entry.file)),
+    manifestFile
+  };
+}
+
+/**
+ * Read the CodeSystem written in a split output mode back from its manifest
+ * @param {string} manifestFile - Path to the manifest
+ * @returns {Object} The complete CodeSystem with the concepts of all listed files
+ * @throws {ConfigurationError} When the manifest has an unknown mode or a listed file is missing
+ */
+function readCodeSystemOutput(manifestFile) {
+  const manifest = readJsonFile(manifestFile);
+  if (!manifest || !OUTPUT_MODES.includes(manifest.mode) || manifest.mode === 'single' || !Array.isArray(manifest.files)) {
+    throw new ConfigurationError(`${manifestFile} is not a manifest of the ndjson, per-class or chunked output`, { path: manifestFile });
+  }
+
+  const readListedFile = (entry, read) => {
+    const filePath = path.join(path.dirname(manifestFile), entry.file);
+    if (!fs.existsSync(filePath)) {
+      throw new ConfigurationError(`File ${entry.file} listed in ${manifestFile} not found`, { path: filePath });
+    }
+    return read(filePath);
+  };
+
+  let metadata = null;
+  const concepts = [];
+  manifest.files.forEach(entry => {
+    if (manifest.mode === 'ndjson') {
+      // The header has the CodeSystem metadata, the concepts file one concept per line
+      if (entry.type === 'header') {
+        metadata = readListedFile(entry, readJsonFile);
+      } else {
+        concepts.push(...readListedFile(entry, readNdjsonFile));
+      }
+      return;
+    }
+
+    const { concept = [], ...fragmentMetadata } = readListedFile(entry, readJsonFile);
+    metadata = metadata || fragmentMetadata;
+    concepts.push(...concept);
+  });
+
+  if (!metadata) {
+    throw new ConfigurationError(`${manifestFile} does not list the CodeSystem metadata`, { path: manifestFile });
+  }
+  return { ...metadata, content: "complete", concept: concepts };
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  getManifestFile,
+  writeCodeSystemOutput,
+  readCodeSystemOutput
+};
@@ -0,0 +1,93 @@
+/**
+ * Registry of TMT data processors
+ *
+ * Processors register under their entity type. The orchestrator asks the
+ * registry for the processors selected in the configuration, so new TMT
+ * classes can be added by registering a BaseProcessor subclass.
+ */
+const { SUBSProcessor } = require('./subsProcessor');
+const { VTMProcessor } = require('./vtmProcessor');
+const { GPProcessor } = require('./gpProcessor');
+const { GPUProcessor } = require('./gpuProcessor');
+const { GPPProcessor } = require('./gppProcessor');
+const { TPUProcessor } = require('./tpuProcessor');
+const { TPProcessor } = require('./tpProcessor');
+const { TPPProcessor } = require('./tppProcessor');
+const { ConfigurationError } = require('../utils/errors');
+
+// Registered processors keyed by entity type, in registration order
+const processors = new Map();
+
+/**
+ * Register a processor instance under its entity type
+ * @param {BaseProcessor} processor - The processor to register
+ */
+function registerProcessor(processor) {
+  if (!processor || !processor.entityType || typeof processor.process !== 'function') {
+    throw new ConfigurationError('Only BaseProcessor instances can be registered', {
+      entityType: processor ? processor.entityType : undefined
+    });
+  }
+  processors.set(processor.entityType, processor);
+}
+
+/**
+ * Get the entity types of all registered processors
+ * @returns {Array<string>} Entity types in registration order
+ */
+function getRegisteredEntityTypes() {
+  return Array.from(processors.keys());
+}
+
+/**
+ * Get the processors for a list of entity types
+ * @param {Array<string>} [entityTypes] - The entity types to include (defaults to all registered processors)
+ * @returns {Array<BaseProcessor>} The processors in the requested order
+ */
+function getProcessors(entityTypes) {
+  if (!entityTypes) {
+    return Array.from(processors.values());
+  }
+
+  const unknown = entityTypes.filter(entityType => !processors.has(entityType));
+  if (unknown.length > 0) {
+    throw new ConfigurationError(`Unknown processor(s): ${unknown.join(', ')}`, {
+      unknown,
+      available: getRegisteredEntityTypes()
+    });
+  }
+
+  return entityTypes.map(entityType => processors.get(entityType));
+}
+
+/**
+ * Collect the relationship file patterns consumed by a set of processors
+ * @param {Array<BaseProcessor>} selectedProcessors - The processors
+ * @returns {Array<string>} Unique relationship file patterns
+ */
+function getRelationshipFilePatterns(selectedProcessors) {
+  const patterns = new Set();
+  selectedProcessors.forEach(processor => {
+    processor.getRelationshipFilePatterns().forEach(pattern => patterns.add(pattern));
+  });
+  return Array.from(patterns);
+}
+
+// Register the built-in processors in hierarchy order
+[
+  SUBSProcessor,
+  VTMProcessor,
+  GPProcessor,
+  GPUProcessor,
+  GPPProcessor,
+  TPUProcessor,
+  TPProcessor,
+  TPPProcessor
+].forEach(ProcessorClass => registerProcessor(new ProcessorClass()));
+
+module.exports = {
+  registerProcessor,
+  getRegisteredEntityTypes,
+  getProcessors,
+  getRelationshipFilePatterns
+};
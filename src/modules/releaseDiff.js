@@ -0,0 +1,298 @@
+/**
+ * Module for comparing two TMT releases
+ *
+ * Compares the CodeSystems of two releases and reports, per TMT class, the
+ * concepts that were added, retired, renamed (display changed), reclassified
+ * (class changed) and re-parented (parent set changed).
+ */
+const { getRegisteredEntityTypes } = require('./processorRegistry');
+const { getPropertyValue, getPropertyValues, isActive, indexConcepts } = require('../utils/conceptUtils');
+
+// Change categories in report order
+const CHANGE_TYPES = ['added', 'retired', 'renamed', 'reclassified', 'reparented'];
+
+// Class used for concepts without a class property
+const UNCLASSIFIED = 'UNCLASSIFIED';
+
+/**
+ * Get the class of a concept
+ * @param {Object} concept - The concept
+ * @returns {string} The TMT class
+ */
+function getConceptClass(concept) {
+  return getPropertyValue(concept, 'class') || UNCLASSIFIED;
+}
+
+/**
+ * Create an empty change list for a class
+ * @returns {Object} Object with an empty array per change type
+ */
+function createClassChanges() {
+  const changes = {};
+  CHANGE_TYPES.forEach(type => {
+    changes[type] = [];
+  });
+  return changes;
+}
+
+/**
+ * Compare two CodeSystems
+ * @param {Object} previous - The CodeSystem of the previous release
+ * @param {Object} current - The CodeSystem of the current release
+ * @returns {Object} The diff with release versions, a summary and the changes per class
+ */
+function diffCodeSystems(previous, current) {
+  const previousConcepts = indexConcepts(previous);
+  const currentConcepts = indexConcepts(current);
+  const classes = {};
+
+  const changesFor = conceptClass => {
+    if (!classes[conceptClass]) {
+      classes[conceptClass] = createClassChanges();
+    }
+    return classes[conceptClass];
+  };
+
+  for (const [code, concept] of currentConcepts) {
+    const previousConcept = previousConcepts.get(code);
+    const conceptClass = getConceptClass(concept);
+    const changes = changesFor(conceptClass);
+
+    // Concepts that are new, or were retired and are active again, count as added
+    if (!previousConcept || (!isActive(previousConcept) && isActive(concept))) {
+      if (isActive(concept)) {
+        changes.added.push({ code, display: concept.display });
+      }
+      continue;
+    }
+
+    // Concepts kept in the CodeSystem with a retired status count as retired
+    if (isActive(previousConcept) && !isActive(concept)) {
+      changes.retired.push({ code, display: concept.display });
+      continue;
+    }
+
+    if (previousConcept.display !== concept.display) {
+      changes.renamed.push({ code, from: previousConcept.display, to: concept.display });
+    }
+
+    const previousClass = getConceptClass(previousConcept);
+    if (previousClass !== conceptClass) {
+      changes.reclassified.push({ code, display: concept.display, from: previousClass, to: conceptClass });
+    }
+
+    const previousParents = getPropertyValues(previousConcept, 'parent');
+    const parents = getPropertyValues(concept, 'parent');
+    const addedParents = parents.filter(parent => !previousParents.includes(parent));
+    const removedParents = previousParents.filter(parent => !parents.includes(parent));
+    if (addedParents.length > 0 || removedParents.length > 0) {
+      changes.reparented.push({ code, display: concept.display, added: addedParents, removed: removedParents });
+    }
+  }
+
+  // Concepts missing from the current release
+  for (const [code, previousConcept] of previousConcepts) {
+    if (!currentConcepts.has(code) && isActive(previousConcept)) {
+      changesFor(getConceptClass(previousConcept)).retired.push({ code, display: previousConcept.display });
+    }
+  }
+
+  return {
+    from: { version: previous.version, concepts: previousConcepts.size },
+    to: { version: current.version, concepts: currentConcepts.size },
+    summary: summarizeChanges(classes),
+    classes: sortClasses(classes)
+  };
+}
+
+/**
+ * Order the classes by TMT class order, followed by any other classes
+ * @param {Object} classes - Map of class to changes
+ * @returns {Object} The same changes with the classes in report order
+ */
+function sortClasses(classes) {
+  const order = getRegisteredEntityTypes();
+  const names = Object.keys(classes).sort((a, b) => {
+    const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+    const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+    return indexA - indexB || a.localeCompare(b);
+  });
+
+  const sorted = {};
+  names.forEach(name => {
+    sorted[name] = classes[name];
+  });
+  return sorted;
+}
+
+/**
+ * Count the changes per class and in total
+ * @param {Object} classes - Map of class to changes
+ * @returns {Object} Object with total counts and counts per class
+ */
+function summarizeChanges(classes) {
+  const total = {};
+  CHANGE_TYPES.forEach(type => {
+    total[type] = 0;
+  });
+
+  const byClass = {};
+  for (const [conceptClass, changes] of Object.entries(sortClasses(classes))) {
+    byClass[conceptClass] = {};
+    CHANGE_TYPES.forEach(type => {
+      byClass[conceptClass][type] = changes[type].length;
+      total[type] += changes[type].length;
+    });
+  }
+
+  return { total, byClass };
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeMarkdown(value) {
+  return String(value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Report headings and table columns per change type
+const CHANGE_COLUMNS = {
+  added: { title: 'Added', columns: ['Code', 'Display'], cells: change => [change.code, change.display] },
+  retired: { title: 'Retired', columns: ['Code', 'Display'], cells: change => [change.code, change.display] },
+  renamed: { title: 'Renamed', columns: ['Code', 'Previous display', 'New display'], cells: change => [change.code, change.from, change.to] },
+  reclassified: {
+    title: 'Reclassified',
+    columns: ['Code', 'Display', 'Previous class', 'New class'],
+    cells: change => [change.code, change.display, change.from, change.to]
+  },
+  reparented: {
+    title: 'Re-parented',
+    columns: ['Code', 'Display', 'Parents added', 'Parents removed'],
+    cells: change => [change.code, change.display, change.added.join(', '), change.removed.join(', ')]
+  }
+};
+
+/**
+ * Render a diff as a Markdown report
+ * @param {Object} diff - The diff created by diffCodeSystems
+ * @returns {string} The Markdown report
+ */
+function formatMarkdownReport(diff) {
+  const lines = [
+    `# TMT release changes ${diff.from.version} to ${diff.to.version}`,
+    '',
+    `Concepts: ${diff.from.concepts} in ${diff.from.version}, ${diff.to.concepts} in ${diff.to.version}`,
+    '',
+    '## Summary',
+    '',
+    `| Class | ${CHANGE_TYPES.map(type => CHANGE_COLUMNS[type].title).join(' | ')} |`,
+    `| --- | ${CHANGE_TYPES.map(() => '---:').join(' | ')} |`
+  ];
+
+  for (const [conceptClass, counts] of Object.entries(diff.summary.byClass)) {
+    lines.push(`| ${conceptClass} | ${CHANGE_TYPES.map(type => counts[type]).join(' | ')} |`);
+  }
+  lines.push(`| **Total** | ${CHANGE_TYPES.map(type => `**${diff.summary.total[type]}**`).join(' | ')} |`);
+
+  for (const [conceptClass, changes] of Object.entries(diff.classes)) {
+    if (CHANGE_TYPES.every(type => changes[type].length === 0)) continue;
+
+    lines.push('', `## ${conceptClass}`);
+    CHANGE_TYPES.forEach(type => {
+      if (changes[type].length === 0) return;
+
+      const { title, columns, cells } = CHANGE_COLUMNS[type];
+      lines.push('', `### ${title} (${changes[type].length})`, '');
+      lines.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+      changes[type].forEach(change => {
+        lines.push(`| ${cells(change).map(escapeMarkdown).join(' | ')} |`);
+      });
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render an HTML table
+ * @param {Array<string>} columns - The column headings
+ * @param {Array<Array>} rows - The table rows
+ * @returns {string} The HTML table
+ */
+function formatHtmlTable(columns, rows) {
+  const header = `<tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>`;
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`);
+  return ['<table>', `<thead>${header}</thead>`, '<tbody>', ...body, '</tbody>', '</table>'].join('\n');
+}
+
+/**
+ * Render a diff as a standalone HTML report
+ * @param {Object} diff - The diff created by diffCodeSystems
+ * @returns {string} The HTML report
+ */
+function formatHtmlReport(diff) {
+  const title = `TMT release changes ${diff.from.version} to ${diff.to.version}`;
+  const summaryRows = Object.entries(diff.summary.byClass)
+    .map(([conceptClass, counts]) => [conceptClass, ...CHANGE_TYPES.map(type => counts[type])]);
+  summaryRows.push(['Total', ...CHANGE_TYPES.map(type => diff.summary.total[type])]);
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>Concepts: ${diff.from.concepts} in ${escapeHtml(diff.from.version)}, ${diff.to.concepts} in ${escapeHtml(diff.to.version)}</p>`,
+    '<h2>Summary</h2>',
+    formatHtmlTable(['Class', ...CHANGE_TYPES.map(type => CHANGE_COLUMNS[type].title)], summaryRows)
+  ];
+
+  for (const [conceptClass, changes] of Object.entries(diff.classes)) {
+    if (CHANGE_TYPES.every(type => changes[type].length === 0)) continue;
+
+    sections.push(`<h2>${escapeHtml(conceptClass)}</h2>`);
+    CHANGE_TYPES.forEach(type => {
+      if (changes[type].length === 0) return;
+
+      const { title: changeTitle, columns, cells } = CHANGE_COLUMNS[type];
+      sections.push(`<h3>${changeTitle} (${changes[type].length})</h3>`);
+      sections.push(formatHtmlTable(columns, changes[type].map(cells)));
+    });
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffCodeSystems,
+  formatMarkdownReport,
+  formatHtmlReport
+};
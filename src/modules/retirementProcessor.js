@@ -0,0 +1,75 @@
+/**
+ * Module for carrying retired concepts forward
+ *
+ * Concepts that were in the previous release's output but are missing from
+ * the new release are kept in the CodeSystem with status "retired", so codes
+ * recorded on historical prescriptions still resolve. Only the classes
+ * converted in the run are compared, so converting a subset of the processors
+ * does not retire the concepts of the other classes.
+ */
+const { getPropertyValue, indexConcepts } = require('../utils/conceptUtils');
+
+// Hierarchy properties dropped from retired concepts; the remaining concepts no longer reference them
+const HIERARCHY_PROPERTIES = ['parent', 'child'];
+
+/**
+ * Create the retired copy of a concept from the previous release
+ * @param {Object} previousConcept - The concept in the previous output
+ * @param {string} retirementDate - Date the concept was retired (dateTime)
+ * @returns {Object} The retired concept
+ */
+function createRetiredConcept(previousConcept, retirementDate) {
+  const concept = JSON.parse(JSON.stringify(previousConcept));
+  concept.property = (concept.property || []).filter(property => !HIERARCHY_PROPERTIES.includes(property.code));
+
+  // Concepts retired in an earlier release keep their status and deprecationDate
+  if (getPropertyValue(previousConcept, 'status') === 'retired') {
+    return concept;
+  }
+
+  concept.property = concept.property.filter(property =>
+    !['status', 'inactive', 'deprecationDate'].includes(property.code)
+  );
+  concept.property.push(
+    { code: "status", valueCode: "retired" },
+    { code: "inactive", valueBoolean: true },
+    { code: "deprecationDate", valueDateTime: retirementDate }
+  );
+
+  return concept;
+}
+
+/**
+ * Add the concepts of the previous release that are missing from the new release as retired concepts
+ * @param {Object} templateJson - The template JSON object to update
+ * @param {Object} previousCodeSystem - The CodeSystem of the previous release
+ * @param {string} retirementDate - Date to record as the deprecationDate of newly retired concepts
+ * @param {Array<string>} [classes] - Classes converted in this run; previous concepts of other classes are skipped
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {number} The number of concepts carried forward
+ */
+function retireMissingConcepts(templateJson, previousCodeSystem, retirementDate, classes, logger = console) {
+  logger.log('Carrying forward concepts missing from the new release...');
+
+  const currentConcepts = indexConcepts(templateJson);
+  let newlyRetiredCount = 0;
+  let carriedCount = 0;
+
+  for (const [code, previousConcept] of indexConcepts(previousCodeSystem)) {
+    if (currentConcepts.has(code)) continue;
+    if (classes && !classes.includes(getPropertyValue(previousConcept, 'class'))) continue;
+
+    if (getPropertyValue(previousConcept, 'status') !== 'retired') {
+      newlyRetiredCount++;
+    }
+    templateJson.concept.push(createRetiredConcept(previousConcept, retirementDate));
+    carriedCount++;
+  }
+
+  logger.log(`Retired ${newlyRetiredCount} concepts, ${carriedCount} retired concepts carried forward in total`);
+  return carriedCount;
+}
+
+module.exports = {
+  retireMissingConcepts
+};
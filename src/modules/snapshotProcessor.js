@@ -0,0 +1,177 @@
+/**
+ * Module for processing the SNAPSHOT (TMTRFYYYYMMDD_SNAPSHOT.xls) data
+ *
+ * The SNAPSHOT sheet holds descriptive attributes of the TMT products (FSN,
+ * manufacturer, strength, dosage form, ...). Each configured column is added
+ * to the matching concept as a property, provided the template declares a
+ * property with that code.
+ */
+const { findColumn, formatDateTime } = require('../utils/spreadsheetUtils');
+
+/**
+ * Find the columns holding the TMTIDs the SNAPSHOT attributes belong to
+ * @param {Array} headerRow - The header row
+ * @param {string|Array<string>} codeColumn - The code column, or a list of code columns (e.g. ["TPUID", "GPUID"])
+ * @returns {Array<number>} Indexes of the code columns that are present
+ */
+function findCodeColumns(headerRow, codeColumn) {
+  const indexes = [];
+  [].concat(codeColumn || []).forEach(columnName => {
+    const index = findColumn(headerRow, columnName);
+    if (index === -1) {
+      console.warn(`Warning: SNAPSHOT code column "${columnName}" not found`);
+    } else if (!indexes.includes(index)) {
+      indexes.push(index);
+    }
+  });
+  return indexes;
+}
+
+/**
+ * Create a concept property with the value element matching the declared property type
+ * @param {string} code - The property code
+ * @param {string} type - The declared property type (code, string, integer, decimal, boolean, dateTime)
+ * @param {*} value - The raw value from the spreadsheet; dates are formatted with formatDateTime
+ * @returns {Object} The property, or null if the value cannot be represented
+ */
+function createPropertyValue(code, type, value) {
+  const text = String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'integer': {
+      const number = Number(text);
+      return Number.isInteger(number) ? { code, valueInteger: number } : null;
+    }
+    case 'decimal': {
+      const number = Number(text);
+      return Number.isFinite(number) ? { code, valueDecimal: number } : null;
+    }
+    case 'boolean':
+      return { code, valueBoolean: ['TRUE', 'Y', 'YES', '1'].includes(text.toUpperCase()) };
+    case 'dateTime': {
+      const dateTime = formatDateTime(value);
+      return dateTime ? { code, valueDateTime: dateTime } : null;
+    }
+    case 'code':
+      return { code, valueCode: text };
+    default:
+      return { code, valueString: text };
+  }
+}
+
+/**
+ * Build the properties each concept receives from the SNAPSHOT rows
+ * @param {Array} rows - The SNAPSHOT rows, starting with the header row
+ * @param {Object} snapshotConfig - The snapshot configuration
+ * @param {Map} declaredProperties - Map of declared property code to property type
+ * @returns {Map} Map of concept code to an array of properties
+ */
+function buildSnapshotProperties(rows, snapshotConfig, declaredProperties) {
+  const propertiesByCode = new Map();
+  if (rows.length === 0) {
+    return propertiesByCode;
+  }
+
+  const headerRow = rows[0] || [];
+  const codeColumns = findCodeColumns(headerRow, snapshotConfig.codeColumn);
+  if (codeColumns.length === 0) {
+    console.warn('Warning: No SNAPSHOT code column found, skipping SNAPSHOT attributes');
+    return propertiesByCode;
+  }
+
+  // Resolve the configured attribute columns that exist and are declared in the template
+  const columns = [];
+  for (const [columnName, propertyCode] of Object.entries(snapshotConfig.attributes || {})) {
+    const index = findColumn(headerRow, columnName);
+    if (index === -1) {
+      console.warn(`Warning: SNAPSHOT column "${columnName}" not found`);
+    } else if (!declaredProperties.has(propertyCode)) {
+      console.warn(`Warning: Property "${propertyCode}" is not declared in the template, skipping SNAPSHOT column "${columnName}"`);
+    } else {
+      columns.push({ index, propertyCode, type: declaredProperties.get(propertyCode) });
+    }
+  }
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row) continue; // Skip empty rows
+
+    // A row describes a concept of each class whose TMTID column is configured
+    codeColumns.forEach(codeColumn => {
+      if (row[codeColumn] === undefined || row[codeColumn] === null) return;
+
+      const code = String(row[codeColumn]);
+      if (!propertiesByCode.has(code)) {
+        propertiesByCode.set(code, []);
+      }
+      const properties = propertiesByCode.get(code);
+
+      columns.forEach(column => {
+        if (row[column.index] === undefined || row[column.index] === null) return;
+
+        const property = createPropertyValue(column.propertyCode, column.type, row[column.index]);
+        if (!property) return;
+
+        // Rows repeat per ingredient, so only keep distinct values
+        const serialized = JSON.stringify(property);
+        if (!properties.some(existing => JSON.stringify(existing) === serialized)) {
+          properties.push(property);
+        }
+      });
+    });
+  }
+
+  return propertiesByCode;
+}
+
+/**
+ * Process SNAPSHOT data and add its attributes to the concepts in the template
+ * @param {Object} templateJson - The template JSON object to update
+ * @param {TMTRelease} release - The extracted TMT release
+ * @param {Object} snapshotConfig - The snapshot configuration
+ * @param {string|Array<string>} snapshotConfig.codeColumn - Column, or list of columns, holding the TMTIDs the attributes belong to
+ * @param {Object} snapshotConfig.attributes - Map of SNAPSHOT column to property code
+ * @param {Object} [logger=console] - Receives the progress messages through its log method
+ * @returns {number} The number of concepts that received attributes
+ */
+function processSnapshotData(templateJson, release, snapshotConfig, logger = console) {
+  logger.log('Processing SNAPSHOT data...');
+
+  const snapshotFile = release.findSnapshotFile();
+  if (!snapshotFile) {
+    console.warn('Warning: SNAPSHOT file not found, skipping SNAPSHOT attributes');
+    return 0;
+  }
+  logger.log(`Found SNAPSHOT file: ${snapshotFile}`);
+
+  const declaredProperties = new Map(
+    (templateJson.property || []).map(property => [property.code, property.type])
+  );
+
+  const rows = release.getConceptRows(snapshotFile);
+  logger.log(`Files loaded:
+      - SNAPSHOT: ${rows.length} rows`);
+
+  const propertiesByCode = buildSnapshotProperties(rows, snapshotConfig, declaredProperties);
+
+  let enrichedCount = 0;
+  templateJson.concept.forEach(concept => {
+    const properties = propertiesByCode.get(concept.code);
+    if (properties && properties.length > 0) {
+      concept.property.push(...properties);
+      enrichedCount++;
+    }
+  });
+
+  logger.log(`Added SNAPSHOT attributes to ${enrichedCount} concepts`);
+  return enrichedCount;
+}
+
+module.exports = {
+  processSnapshotData,
+  findCodeColumns,
+  createPropertyValue
+};
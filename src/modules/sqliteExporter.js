@@ -0,0 +1,223 @@
+/**
+ * Module for exporting the CodeSystem to a SQLite database
+ *
+ * The database holds the concepts, their properties and designations, the
+ * parent-child edges and the transitive closure of the hierarchy, so ad-hoc
+ * questions such as "which TPUs contain this substance?" become SQL queries.
+ */
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { getPropertyValue, getPropertyValues, isActive } = require('../utils/conceptUtils');
+
+const SCHEMA = `
+CREATE TABLE metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE concepts (
+  code TEXT PRIMARY KEY,
+  display TEXT,
+  class TEXT,
+  status TEXT,
+  inactive INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE properties (
+  code TEXT NOT NULL,
+  property TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value TEXT
+);
+CREATE TABLE designations (
+  code TEXT NOT NULL,
+  language TEXT,
+  use_system TEXT,
+  use_code TEXT,
+  value TEXT NOT NULL
+);
+CREATE TABLE edges (
+  parent TEXT NOT NULL,
+  child TEXT NOT NULL,
+  PRIMARY KEY (parent, child)
+);
+CREATE TABLE closure (
+  ancestor TEXT NOT NULL,
+  descendant TEXT NOT NULL,
+  depth INTEGER NOT NULL,
+  PRIMARY KEY (ancestor, descendant)
+);
+`;
+
+const INDEXES = `
+CREATE INDEX idx_concepts_class ON concepts (class);
+CREATE INDEX idx_concepts_display ON concepts (display);
+CREATE INDEX idx_properties_code ON properties (code);
+CREATE INDEX idx_properties_property_value ON properties (property, value);
+CREATE INDEX idx_designations_code ON designations (code);
+CREATE INDEX idx_designations_value ON designations (value);
+CREATE INDEX idx_edges_child ON edges (child);
+CREATE INDEX idx_closure_descendant ON closure (descendant);
+`;
+
+/**
+ * Get the value and type of a concept property as stored in the database
+ * @param {Object} property - The concept property
+ * @returns {Object} Object with type and value (booleans as 0/1, Codings as JSON)
+ */
+function toColumnValue(property) {
+  const key = Object.keys(property).find(name => name.startsWith('value'));
+  if (!key) {
+    return { type: 'none', value: null };
+  }
+
+  // Declared property type names (valueDateTime is stored as dateTime, valueCoding as Coding)
+  const suffix = key.slice('value'.length);
+  const type = suffix === 'Coding' ? suffix : suffix.charAt(0).toLowerCase() + suffix.slice(1);
+  const value = property[key];
+  if (typeof value === 'boolean') {
+    return { type, value: value ? 1 : 0 };
+  }
+  if (value !== null && typeof value === 'object') {
+    return { type, value: JSON.stringify(value) };
+  }
+  return { type, value };
+}
+
+/**
+ * Insert the concepts of the CodeSystem with their properties, designations and edges
+ * @param {Object} db - The sql.js database
+ * @param {Object} codeSystem - The CodeSystem
+ */
+function insertConcepts(db, codeSystem) {
+  const insertConcept = db.prepare('INSERT OR IGNORE INTO concepts (code, display, class, status, inactive) VALUES (?, ?, ?, ?, ?)');
+  const insertProperty = db.prepare('INSERT INTO properties (code, property, type, value) VALUES (?, ?, ?, ?)');
+  const insertDesignation = db.prepare('INSERT INTO designations (code, language, use_system, use_code, value) VALUES (?, ?, ?, ?, ?)');
+  const insertEdge = db.prepare('INSERT OR IGNORE INTO edges (parent, child) VALUES (?, ?)');
+
+  try {
+    (codeSystem.concept || []).forEach(concept => {
+      insertConcept.run([
+        concept.code,
+        concept.display || null,
+        getPropertyValue(concept, 'class') || null,
+        getPropertyValue(concept, 'status') || null,
+        isActive(concept) ? 0 : 1
+      ]);
+
+      (concept.property || []).forEach(property => {
+        const { type, value } = toColumnValue(property);
+        insertProperty.run([concept.code, property.code, type, value]);
+      });
+
+      (concept.designation || []).forEach(designation => {
+        insertDesignation.run([
+          concept.code,
+          designation.language || null,
+          designation.use ? designation.use.system : null,
+          designation.use ? designation.use.code : null,
+          designation.value
+        ]);
+      });
+
+      // Edges come from the parent side; child properties mirror them
+      getPropertyValues(concept, 'parent').forEach(parentCode => {
+        insertEdge.run([parentCode, concept.code]);
+      });
+    });
+  } finally {
+    insertConcept.free();
+    insertProperty.free();
+    insertDesignation.free();
+    insertEdge.free();
+  }
+}
+
+/**
+ * Insert the transitive closure of the hierarchy. Every concept is its own ancestor at
+ * depth 0, so joins need no special case for the concept itself. Each concept's ancestors
+ * are walked breadth-first and visited once, so a concept reached through several paths
+ * (as in the diamond-shaped GPP and TPP hierarchy) is recorded at its shortest depth and
+ * a cycle in the hierarchy ends the walk.
+ * @param {Object} db - The sql.js database
+ * @param {Object} codeSystem - The CodeSystem
+ */
+function insertClosure(db, codeSystem) {
+  const parentsByCode = new Map();
+  (codeSystem.concept || []).forEach(concept => {
+    parentsByCode.set(concept.code, getPropertyValues(concept, 'parent'));
+  });
+
+  const insertRow = db.prepare('INSERT OR IGNORE INTO closure (ancestor, descendant, depth) VALUES (?, ?, ?)');
+
+  try {
+    for (const code of parentsByCode.keys()) {
+      const visited = new Set([code]);
+      let level = [code];
+      let depth = 0;
+
+      while (level.length > 0) {
+        level.forEach(ancestor => insertRow.run([ancestor, code, depth]));
+
+        const next = [];
+        level.forEach(ancestor => {
+          (parentsByCode.get(ancestor) || []).forEach(parentCode => {
+            if (visited.has(parentCode)) return;
+            visited.add(parentCode);
+            next.push(parentCode);
+          });
+        });
+        level = next;
+        depth++;
+      }
+    }
+  } finally {
+    insertRow.free();
+  }
+}
+
+/**
+ * Export the CodeSystem to a SQLite database file
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} filePath - Path to the database file; an existing file is replaced
+ * @returns {Promise<Object>} Row counts of the concepts, edges and closure tables
+ */
+async function exportToSqlite(codeSystem, filePath) {
+  console.log('Exporting to SQLite...');
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SCHEMA);
+    db.run('BEGIN');
+
+    const insertMetadata = db.prepare('INSERT INTO metadata (key, value) VALUES (?, ?)');
+    ['url', 'version', 'name', 'title', 'date', 'content'].forEach(key => {
+      if (codeSystem[key] !== undefined) {
+        insertMetadata.run([key, String(codeSystem[key])]);
+      }
+    });
+    insertMetadata.free();
+
+    insertConcepts(db, codeSystem);
+    insertClosure(db, codeSystem);
+    db.run('COMMIT');
+    db.run(INDEXES);
+
+    const count = table => db.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+    const counts = {
+      concepts: count('concepts'),
+      edges: count('edges'),
+      closure: count('closure')
+    };
+
+    fs.writeFileSync(filePath, Buffer.from(db.export()));
+    console.log(`Exported ${counts.concepts} concepts, ${counts.edges} edges and ${counts.closure} closure rows`);
+    return counts;
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  exportToSqlite
+};
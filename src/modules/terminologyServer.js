@@ -0,0 +1,226 @@
+/**
+ * Lightweight local FHIR terminology server
+ *
+ * Serves the terminology operations of a converted TMT CodeSystem over HTTP
+ * so integrations can be tested in development and CI without an external
+ * terminology server. Operations accept query parameters (GET) or a
+ * Parameters resource (POST) and answer with FHIR JSON.
+ */
+const http = require('http');
+const { TerminologyService, OperationError } = require('./terminologyService');
+
+// Largest request body accepted for POST operations
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Service method per resource type and operation
+const OPERATIONS = {
+  CodeSystem: {
+    lookup: 'lookup',
+    'validate-code': 'validateCode',
+    subsumes: 'subsumes'
+  },
+  ValueSet: {
+    expand: 'expand',
+    'validate-code': 'validateValueSetCode'
+  }
+};
+
+/**
+ * Read the parameters of a GET request from its query string
+ * @param {URLSearchParams} searchParams - The query parameters
+ * @returns {Map} Map of parameter name to values
+ */
+function readQueryParameters(searchParams) {
+  const params = new Map();
+  for (const [name, value] of searchParams) {
+    if (!params.has(name)) {
+      params.set(name, []);
+    }
+    params.get(name).push(value);
+  }
+  return params;
+}
+
+/**
+ * Split the path of a request into its decoded segments
+ * @param {string} pathname - The path of the request URL
+ * @returns {Array<string>} The non-empty path segments
+ * @throws {OperationError} When the path has a malformed percent-encoding (e.g. /CodeSystem/%E0%A4)
+ */
+function splitPath(pathname) {
+  try {
+    return decodeURIComponent(pathname).split('/').filter(Boolean);
+  } catch (error) {
+    throw new OperationError(`The request path ${pathname} is not validly percent-encoded`, 400, 'invalid');
+  }
+}
+
+/**
+ * Read the parameters of a POST request from a Parameters resource.
+ * Primitive values are taken from their value[x] element; resources (e.g. a ValueSet) as they are.
+ * @param {Object} resource - The Parameters resource
+ * @returns {Map} Map of parameter name to values
+ * @throws {OperationError} When the body is not a Parameters resource
+ */
+function readParametersResource(resource) {
+  if (!resource || resource.resourceType !== 'Parameters') {
+    throw new OperationError('The request body must be a FHIR Parameters resource');
+  }
+
+  const params = new Map();
+  (resource.parameter || []).forEach(parameter => {
+    const valueKey = Object.keys(parameter).find(key => key.startsWith('value'));
+    const value = parameter.resource || (valueKey ? parameter[valueKey] : undefined);
+    if (value === undefined) return;
+
+    if (!params.has(parameter.name)) {
+      params.set(parameter.name, []);
+    }
+    params.get(parameter.name).push(value);
+  });
+  return params;
+}
+
+/**
+ * Read the JSON body of a request
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Object>} The parsed body
+ * @throws {OperationError} When the body is too large or not JSON
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // The rest of the body is read and dropped, so the client gets the 413 rather than a reset connection
+        chunks.length = 0;
+        request.removeAllListeners('data');
+        request.resume();
+        reject(new OperationError(`The request body is larger than ${MAX_BODY_SIZE} bytes`, 413, 'too-costly'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size > MAX_BODY_SIZE) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new OperationError(`The request body is not valid JSON: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Send a FHIR resource as the response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - The HTTP status
+ * @param {Object} resource - The resource
+ */
+function sendResource(response, status, resource) {
+  const body = JSON.stringify(resource, null, 2);
+  response.writeHead(status, {
+    'Content-Type': 'application/fhir+json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  response.end(body);
+}
+
+/**
+ * Build the CapabilityStatement of the server
+ * @param {Object} codeSystem - The served CodeSystem
+ * @param {string} fhirVersion - The FHIR version (e.g. "4.0.1")
+ * @returns {Object} The CapabilityStatement
+ */
+function buildCapabilityStatement(codeSystem, fhirVersion) {
+  const operation = names => names.map(name => ({
+    name,
+    definition: `http://hl7.org/fhir/OperationDefinition/${name}`
+  }));
+
+  return {
+    resourceType: "CapabilityStatement",
+    status: "active",
+    date: new Date().toISOString(),
+    kind: "instance",
+    software: { name: "TMT to FHIR local terminology server" },
+    implementation: { description: `${codeSystem.title || codeSystem.name} (${codeSystem.url}|${codeSystem.version})` },
+    fhirVersion,
+    format: ["json"],
+    rest: [{
+      mode: "server",
+      resource: [
+        { type: "CodeSystem", operation: operation(['lookup', 'validate-code', 'subsumes']) },
+        { type: "ValueSet", operation: operation(['expand', 'validate-code']) }
+      ]
+    }]
+  };
+}
+
+/**
+ * Create the HTTP server answering the terminology operations of a CodeSystem.
+ * Routes: GET /metadata and GET or POST /CodeSystem/$lookup, /CodeSystem/$validate-code,
+ * /CodeSystem/$subsumes, /ValueSet/$expand and /ValueSet/$validate-code
+ * (also on an instance, e.g. /ValueSet/TMT-TPU/$expand).
+ * @param {Object} codeSystem - The converted CodeSystem
+ * @param {Object} [options] - Server options
+ * @param {string} [options.fhirVersion="4.0.1"] - FHIR version reported by /metadata
+ * @param {number} [options.maxExpansionSize=1000] - Number of concepts returned by $expand when no count is given
+ * @returns {http.Server} The server, not yet listening
+ */
+function createTerminologyServer(codeSystem, options = {}) {
+  const service = new TerminologyService(codeSystem, options);
+  const capabilityStatement = buildCapabilityStatement(codeSystem, options.fhirVersion || '4.0.1');
+
+  return http.createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+      const segments = splitPath(url.pathname);
+
+      if (segments.length === 1 && segments[0] === 'metadata' && request.method === 'GET') {
+        sendResource(response, 200, capabilityStatement);
+        return;
+      }
+
+      // /<type>/$<operation> or /<type>/<id>/$<operation>
+      const [resourceType] = segments;
+      const last = segments[segments.length - 1] || '';
+      const operations = OPERATIONS.hasOwnProperty(resourceType) ? OPERATIONS[resourceType] : {};
+      const method = last.startsWith('$') && operations.hasOwnProperty(last.slice(1))
+        ? operations[last.slice(1)]
+        : undefined;
+      if (!method || (segments.length !== 2 && segments.length !== 3)) {
+        throw new OperationError(`Unknown endpoint ${request.method} ${url.pathname}`, 404, 'not-supported');
+      }
+
+      let params;
+      if (request.method === 'GET') {
+        params = readQueryParameters(url.searchParams);
+      } else if (request.method === 'POST') {
+        params = readParametersResource(await readJsonBody(request));
+      } else {
+        throw new OperationError(`Method ${request.method} is not supported, use GET or POST`, 405, 'not-supported');
+      }
+
+      if (segments.length === 3) {
+        service.bindInstance(resourceType, segments[1], params);
+      }
+
+      sendResource(response, 200, service[method](params));
+    } catch (error) {
+      const operationError = error instanceof OperationError
+        ? error
+        : new OperationError(error.message, 500, 'exception');
+      sendResource(response, operationError.status, operationError.toOperationOutcome());
+    }
+  });
+}
+
+module.exports = {
+  createTerminologyServer
+};
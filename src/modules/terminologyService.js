@@ -0,0 +1,543 @@
+/**
+ * FHIR terminology operations over a converted TMT CodeSystem
+ *
+ * Answers CodeSystem $lookup, $validate-code and $subsumes and ValueSet
+ * $expand and $validate-code from the concepts in memory. ValueSets are the
+ * ones the converter writes (the whole CodeSystem and one per class) or a
+ * ValueSet posted with the request; their filters are limited to the filters
+ * the CodeSystem declares in its filter list.
+ */
+const crypto = require('crypto');
+const { buildValueSets } = require('./valueSetBuilder');
+const { getPropertyValues, isActive, indexConcepts } = require('../utils/conceptUtils');
+
+// Number of concepts in an expansion when the request does not ask for a count
+const DEFAULT_EXPANSION_SIZE = 1000;
+
+/**
+ * Raised when an operation cannot be performed; answered with an OperationOutcome
+ */
+class OperationError extends Error {
+  /**
+   * Constructor for the OperationError
+   * @param {string} message - Human readable error message
+   * @param {number} [status=400] - HTTP status of the response
+   * @param {string} [issueCode="invalid"] - FHIR issue type of the OperationOutcome
+   */
+  constructor(message, status = 400, issueCode = 'invalid') {
+    super(message);
+    this.name = 'OperationError';
+    this.status = status;
+    this.issueCode = issueCode;
+  }
+
+  /**
+   * Build the OperationOutcome describing the error
+   * @returns {Object} The OperationOutcome
+   */
+  toOperationOutcome() {
+    return {
+      resourceType: "OperationOutcome",
+      issue: [{ severity: "error", code: this.issueCode, diagnostics: this.message }]
+    };
+  }
+}
+
+/**
+ * Get the first value of an operation parameter
+ * @param {Map} params - Map of parameter name to values
+ * @param {string} name - The parameter name
+ * @returns {*} The value, or undefined if the parameter is missing
+ */
+function getParameter(params, name) {
+  const values = params.get(name);
+  return values && values.length > 0 ? values[0] : undefined;
+}
+
+/**
+ * Read a boolean operation parameter given as a boolean or as "true"/"false"
+ * @param {Map} params - Map of parameter name to values
+ * @param {string} name - The parameter name
+ * @returns {boolean} The value, or undefined if the parameter is missing
+ */
+function getBooleanParameter(params, name) {
+  const value = getParameter(params, name);
+  return value === undefined ? undefined : value === true || value === 'true';
+}
+
+/**
+ * Read a non-negative integer operation parameter
+ * @param {Map} params - Map of parameter name to values
+ * @param {string} name - The parameter name
+ * @returns {number} The value, or undefined if the parameter is missing
+ * @throws {OperationError} When the value is not a non-negative integer
+ */
+function getIntegerParameter(params, name) {
+  const value = getParameter(params, name);
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new OperationError(`Parameter "${name}" must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Build a Parameters resource
+ * @param {Array<Object>} parameter - The parameters
+ * @returns {Object} The Parameters resource
+ */
+function createParameters(parameter) {
+  return { resourceType: "Parameters", parameter };
+}
+
+/**
+ * Build a parameter carrying the value of a concept property under its own value[x] name
+ * @param {Object} property - The concept property
+ * @returns {Object} The parameter with the property code and value parts
+ */
+function createPropertyParameter(property) {
+  const valueKey = Object.keys(property).find(key => key.startsWith('value'));
+  return {
+    name: "property",
+    part: [
+      { name: "code", valueCode: property.code },
+      { name: "value", [valueKey]: property[valueKey] }
+    ]
+  };
+}
+
+class TerminologyService {
+  /**
+   * Constructor for the TerminologyService
+   * @param {Object} codeSystem - The converted CodeSystem
+   * @param {Object} [options] - Service options
+   * @param {number} [options.maxExpansionSize=1000] - Number of concepts returned by $expand when no count is given
+   */
+  constructor(codeSystem, options = {}) {
+    this.codeSystem = codeSystem;
+    this.conceptsByCode = indexConcepts(codeSystem);
+    this.maxExpansionSize = options.maxExpansionSize > 0 ? options.maxExpansionSize : DEFAULT_EXPANSION_SIZE;
+
+    // Filters a ValueSet may use, with their operators, as declared by the CodeSystem
+    this.filters = new Map((codeSystem.filter || []).map(filter => [filter.code, filter.operator || []]));
+
+    this.valueSets = new Map();
+    buildValueSets(codeSystem, {}).forEach(valueSet => this.valueSets.set(valueSet.url, valueSet));
+  }
+
+  /**
+   * Check that a system parameter names this CodeSystem
+   * @param {string} system - The system URL (may be undefined)
+   * @param {string} [version] - The CodeSystem version (may be undefined)
+   * @throws {OperationError} When the system or version is not the loaded CodeSystem
+   */
+  checkSystem(system, version) {
+    if (system !== undefined && system !== this.codeSystem.url) {
+      throw new OperationError(`Unknown code system "${system}", this server only knows ${this.codeSystem.url}`, 404, 'not-found');
+    }
+    if (version !== undefined && version !== this.codeSystem.version) {
+      throw new OperationError(`Version "${version}" of ${this.codeSystem.url} is not available, loaded version is ${this.codeSystem.version}`, 404, 'not-found');
+    }
+  }
+
+  /**
+   * Read the system, code, version and display of an operation, given directly or as a coding
+   * @param {Map} params - Map of parameter name to values
+   * @param {string} [systemName="system"] - Name of the system parameter
+   * @returns {Object} Object with system, code, version and display
+   */
+  readCoding(params, systemName = 'system') {
+    const coding = getParameter(params, 'coding') || {};
+    return {
+      system: getParameter(params, systemName) || coding.system,
+      code: getParameter(params, 'code') || coding.code,
+      version: getParameter(params, 'version') || coding.version,
+      display: getParameter(params, 'display') || coding.display
+    };
+  }
+
+  /**
+   * Get a concept by code
+   * @param {string} code - The concept code
+   * @returns {Object} The concept, or null if the CodeSystem does not have the code
+   */
+  getConcept(code) {
+    return this.conceptsByCode.get(String(code)) || null;
+  }
+
+  /**
+   * Get the codes of all ancestors of a concept
+   * @param {string} code - The concept code
+   * @returns {Set<string>} The ancestor codes
+   */
+  getAncestors(code) {
+    const ancestors = new Set();
+    const queue = [String(code)];
+
+    while (queue.length > 0) {
+      const concept = this.conceptsByCode.get(queue.shift());
+      if (!concept) continue;
+
+      getPropertyValues(concept, 'parent').forEach(parentCode => {
+        if (!ancestors.has(parentCode)) {
+          ancestors.add(parentCode);
+          queue.push(parentCode);
+        }
+      });
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Direct an operation called on a resource instance (e.g. /ValueSet/TMT-TPU/$expand) to that resource
+   * @param {string} resourceType - CodeSystem or ValueSet
+   * @param {string} id - The resource id
+   * @param {Map} params - Map of parameter name to values; the ValueSet URL is added to it
+   * @throws {OperationError} When there is no resource with the id
+   */
+  bindInstance(resourceType, id, params) {
+    if (resourceType === 'CodeSystem') {
+      if (id !== (this.codeSystem.id || this.codeSystem.name)) {
+        throw new OperationError(`Unknown CodeSystem "${id}"`, 404, 'not-found');
+      }
+      return;
+    }
+
+    const valueSet = Array.from(this.valueSets.values()).find(candidate => candidate.id === id);
+    if (!valueSet) {
+      throw new OperationError(`Unknown ValueSet "${id}"`, 404, 'not-found');
+    }
+    params.set('url', [valueSet.url]);
+  }
+
+  /**
+   * CodeSystem $lookup: the display, designations and properties of a code
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The Parameters resource
+   * @throws {OperationError} When the code is missing or unknown
+   */
+  lookup(params) {
+    const { system, code, version } = this.readCoding(params);
+    if (!code) {
+      throw new OperationError('Parameter "code" is required', 400, 'required');
+    }
+    this.checkSystem(system, version);
+
+    const concept = this.getConcept(code);
+    if (!concept) {
+      throw new OperationError(`Code "${code}" is not in ${this.codeSystem.url}`, 404, 'not-found');
+    }
+
+    // Without a property parameter every property and designation is returned
+    const requested = params.get('property');
+    const includes = name => !requested || requested.includes(name);
+
+    const parameter = [
+      { name: "name", valueString: this.codeSystem.name },
+      { name: "version", valueString: this.codeSystem.version },
+      { name: "display", valueString: concept.display }
+    ];
+
+    if (includes('designation')) {
+      (concept.designation || []).forEach(designation => {
+        const part = [];
+        if (designation.language) {
+          part.push({ name: "language", valueCode: designation.language });
+        }
+        if (designation.use) {
+          part.push({ name: "use", valueCoding: designation.use });
+        }
+        part.push({ name: "value", valueString: designation.value });
+        parameter.push({ name: "designation", part });
+      });
+    }
+
+    (concept.property || [])
+      .filter(property => includes(property.code))
+      .forEach(property => parameter.push(createPropertyParameter(property)));
+
+    return createParameters(parameter);
+  }
+
+  /**
+   * Check a code and its display against a concept
+   * @param {Object} concept - The concept (may be null)
+   * @param {string} code - The code
+   * @param {string} [display] - The display to check
+   * @param {string} scope - What the code was checked against, for the message
+   * @returns {Object} The Parameters resource with the result
+   */
+  createValidationResult(concept, code, display, scope) {
+    if (!concept) {
+      return createParameters([
+        { name: "result", valueBoolean: false },
+        { name: "message", valueString: `Code "${code}" is not in ${scope}` }
+      ]);
+    }
+
+    const parameter = [];
+    const displays = [concept.display, ...(concept.designation || []).map(designation => designation.value)];
+    if (display !== undefined && !displays.includes(display)) {
+      parameter.push(
+        { name: "result", valueBoolean: false },
+        { name: "message", valueString: `Wrong display "${display}" for code "${code}", expected "${concept.display}"` }
+      );
+    } else {
+      parameter.push({ name: "result", valueBoolean: true });
+    }
+
+    parameter.push({ name: "display", valueString: concept.display });
+    if (!isActive(concept)) {
+      parameter.push({ name: "inactive", valueBoolean: true });
+    }
+    return createParameters(parameter);
+  }
+
+  /**
+   * CodeSystem $validate-code: whether a code (and display) is in the CodeSystem
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The Parameters resource with the result
+   * @throws {OperationError} When the code is missing or the system is not the loaded CodeSystem
+   */
+  validateCode(params) {
+    const { system, code, version, display } = this.readCoding(params, 'url');
+    if (!code) {
+      throw new OperationError('Parameter "code" is required', 400, 'required');
+    }
+    this.checkSystem(system, version);
+
+    return this.createValidationResult(this.getConcept(code), code, display, this.codeSystem.url);
+  }
+
+  /**
+   * CodeSystem $subsumes: the subsumption relationship between two codes
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The Parameters resource with the outcome
+   * @throws {OperationError} When a code is missing or unknown
+   */
+  subsumes(params) {
+    const codingA = getParameter(params, 'codingA') || {};
+    const codingB = getParameter(params, 'codingB') || {};
+    const codeA = getParameter(params, 'codeA') || codingA.code;
+    const codeB = getParameter(params, 'codeB') || codingB.code;
+    if (!codeA || !codeB) {
+      throw new OperationError('Parameters "codeA" and "codeB" are required', 400, 'required');
+    }
+    this.checkSystem(getParameter(params, 'system') || codingA.system || codingB.system, getParameter(params, 'version'));
+
+    [codeA, codeB].forEach(code => {
+      if (!this.getConcept(code)) {
+        throw new OperationError(`Code "${code}" is not in ${this.codeSystem.url}`, 404, 'not-found');
+      }
+    });
+
+    let outcome = 'not-subsumed';
+    if (codeA === codeB) {
+      outcome = 'equivalent';
+    } else if (this.getAncestors(codeB).has(codeA)) {
+      outcome = 'subsumes';
+    } else if (this.getAncestors(codeA).has(codeB)) {
+      outcome = 'subsumed-by';
+    }
+
+    return createParameters([{ name: "outcome", valueCode: outcome }]);
+  }
+
+  /**
+   * Find the ValueSet of an operation: a posted ValueSet, a known URL or the whole CodeSystem.
+   * Parameters named after a CodeSystem filter (e.g. class=TPU) add an "=" filter.
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The ValueSet
+   * @throws {OperationError} When the URL is not a known ValueSet
+   */
+  resolveValueSet(params) {
+    let valueSet = getParameter(params, 'valueSet');
+    if (!valueSet && getParameter(params, 'url') === undefined) {
+      // The ValueSet of the whole CodeSystem is built first
+      valueSet = this.valueSets.values().next().value;
+    } else if (!valueSet) {
+      const [url, version] = String(getParameter(params, 'url')).split('|');
+      valueSet = this.valueSets.get(url);
+      if (!valueSet) {
+        throw new OperationError(`Unknown ValueSet "${url}"`, 404, 'not-found');
+      }
+      if (version && version !== valueSet.version) {
+        throw new OperationError(`Version "${version}" of ValueSet ${url} is not available`, 404, 'not-found');
+      }
+    }
+
+    const shorthandFilters = [];
+    for (const [property, values] of params) {
+      if (this.filters.has(property)) {
+        values.forEach(value => shorthandFilters.push({ property, op: "=", value: String(value) }));
+      }
+    }
+    if (shorthandFilters.length === 0) {
+      return valueSet;
+    }
+
+    // Shorthand filters narrow every include of the ValueSet
+    const compose = valueSet.compose || { include: [{ system: this.codeSystem.url }] };
+    return {
+      ...valueSet,
+      compose: {
+        ...compose,
+        include: compose.include.map(include => ({ ...include, filter: [...(include.filter || []), ...shorthandFilters] }))
+      }
+    };
+  }
+
+  /**
+   * Create the test of a ValueSet filter against a concept
+   * @param {Object} filter - The filter with property, op and value
+   * @returns {Function} Function returning true for the concepts the filter selects
+   * @throws {OperationError} When the CodeSystem does not declare the filter or operator
+   */
+  createFilterTest(filter) {
+    const operators = this.filters.get(filter.property);
+    if (!operators) {
+      throw new OperationError(`Filter on "${filter.property}" is not supported, supported filters: ${Array.from(this.filters.keys()).join(', ')}`, 400, 'not-supported');
+    }
+    if (!operators.includes(filter.op)) {
+      throw new OperationError(`Operator "${filter.op}" is not supported for filter "${filter.property}", supported operators: ${operators.join(', ')}`, 400, 'not-supported');
+    }
+
+    const values = concept => getPropertyValues(concept, filter.property).map(String);
+    if (filter.op === 'regex') {
+      let pattern;
+      try {
+        pattern = new RegExp(`^(?:${filter.value})$`);
+      } catch (error) {
+        throw new OperationError(`Invalid regex "${filter.value}" for filter "${filter.property}": ${error.message}`);
+      }
+      return concept => values(concept).some(value => pattern.test(value));
+    }
+    return concept => values(concept).includes(String(filter.value));
+  }
+
+  /**
+   * Select the concepts of a ValueSet compose include or exclude
+   * @param {Object} include - The include or exclude
+   * @returns {Array<Object>} The selected concepts
+   * @throws {OperationError} When it draws from another code system or uses an unsupported filter
+   */
+  selectConcepts(include) {
+    this.checkSystem(include.system, include.version);
+
+    if (include.valueSet) {
+      throw new OperationError('Including other ValueSets is not supported', 400, 'not-supported');
+    }
+
+    if (include.concept) {
+      return include.concept.map(entry => this.getConcept(entry.code)).filter(Boolean);
+    }
+
+    const tests = (include.filter || []).map(filter => this.createFilterTest(filter));
+    return Array.from(this.conceptsByCode.values()).filter(concept => tests.every(test => test(concept)));
+  }
+
+  /**
+   * Get the concepts of a ValueSet in CodeSystem order
+   * @param {Object} valueSet - The ValueSet
+   * @param {boolean} [activeOnly] - Leave inactive concepts out
+   * @returns {Array<Object>} The concepts
+   */
+  getValueSetConcepts(valueSet, activeOnly) {
+    const compose = valueSet.compose || { include: [{ system: this.codeSystem.url }] };
+    const included = new Set();
+    compose.include.forEach(include => this.selectConcepts(include).forEach(concept => included.add(concept.code)));
+    (compose.exclude || []).forEach(exclude => this.selectConcepts(exclude).forEach(concept => included.delete(concept.code)));
+
+    const skipInactive = activeOnly || compose.inactive === false;
+    return Array.from(this.conceptsByCode.values())
+      .filter(concept => included.has(concept.code) && (!skipInactive || isActive(concept)));
+  }
+
+  /**
+   * ValueSet $expand: the concepts of a ValueSet, optionally filtered by text and paged
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The ValueSet with its expansion
+   */
+  expand(params) {
+    const valueSet = this.resolveValueSet(params);
+    const offset = getIntegerParameter(params, 'offset') || 0;
+    const requestedCount = getIntegerParameter(params, 'count');
+    const count = requestedCount === undefined ? this.maxExpansionSize : Math.min(requestedCount, this.maxExpansionSize);
+    const activeOnly = getBooleanParameter(params, 'activeOnly');
+    const text = getParameter(params, 'filter');
+
+    let concepts = this.getValueSetConcepts(valueSet, activeOnly);
+    if (text) {
+      const needle = String(text).toLowerCase();
+      concepts = concepts.filter(concept =>
+        [concept.display, ...(concept.designation || []).map(designation => designation.value)]
+          .some(value => value && String(value).toLowerCase().includes(needle))
+      );
+    }
+
+    const parameter = [{ name: "offset", valueInteger: offset }, { name: "count", valueInteger: count }];
+    if (text) {
+      parameter.push({ name: "filter", valueString: String(text) });
+    }
+    if (activeOnly !== undefined) {
+      parameter.push({ name: "activeOnly", valueBoolean: activeOnly });
+    }
+
+    const { expansion, ...definition } = valueSet;
+    return {
+      ...definition,
+      expansion: {
+        identifier: `urn:uuid:${crypto.randomUUID()}`,
+        timestamp: new Date().toISOString(),
+        total: concepts.length,
+        offset,
+        parameter,
+        contains: concepts.slice(offset, offset + count).map(concept => {
+          const entry = {
+            system: this.codeSystem.url,
+            version: this.codeSystem.version,
+            code: concept.code,
+            display: concept.display
+          };
+          if (!isActive(concept)) {
+            entry.inactive = true;
+          }
+          return entry;
+        })
+      }
+    };
+  }
+
+  /**
+   * ValueSet $validate-code: whether a code is in a ValueSet
+   * @param {Map} params - Map of parameter name to values
+   * @returns {Object} The Parameters resource with the result
+   * @throws {OperationError} When the code is missing or the ValueSet is unknown
+   */
+  validateValueSetCode(params) {
+    const { system, code, version, display } = this.readCoding(params);
+    if (!code) {
+      throw new OperationError('Parameter "code" is required', 400, 'required');
+    }
+
+    const valueSet = this.resolveValueSet(params);
+    if (system !== undefined && system !== this.codeSystem.url) {
+      return this.createValidationResult(null, code, display, `ValueSet ${valueSet.url}`);
+    }
+    this.checkSystem(system, version);
+
+    const member = this.getValueSetConcepts(valueSet, getBooleanParameter(params, 'activeOnly'))
+      .find(concept => concept.code === String(code));
+    return this.createValidationResult(member || null, code, display, `ValueSet ${valueSet.url}`);
+  }
+}
+
+module.exports = {
+  TerminologyService,
+  OperationError
+};
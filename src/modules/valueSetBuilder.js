@@ -0,0 +1,134 @@
+/**
+ * Module for building the TMT ValueSets
+ *
+ * Builds the ValueSet of the whole CodeSystem, referenced by its valueSet
+ * element, and one ValueSet per TMT class using the class filter of the
+ * CodeSystem. ValueSets can optionally carry a pre-computed expansion.
+ */
+const { getRegisteredEntityTypes } = require('./processorRegistry');
+const { getPropertyValue, isActive } = require('../utils/conceptUtils');
+
+/**
+ * Get the classes present in a CodeSystem, in TMT class order
+ * @param {Object} codeSystem - The CodeSystem
+ * @returns {Array<string>} The classes
+ */
+function getClasses(codeSystem) {
+  const present = new Set((codeSystem.concept || []).map(concept => getPropertyValue(concept, 'class')).filter(Boolean));
+  const order = getRegisteredEntityTypes();
+
+  return [
+    ...order.filter(entityType => present.has(entityType)),
+    ...Array.from(present).filter(entityType => !order.includes(entityType)).sort()
+  ];
+}
+
+/**
+ * Build the expansion of a ValueSet
+ * @param {Object} valueSet - The ValueSet
+ * @param {Object} codeSystem - The CodeSystem the ValueSet draws from
+ * @param {Array} concepts - The concepts in the ValueSet
+ * @returns {Object} The expansion
+ */
+function buildExpansion(valueSet, codeSystem, concepts) {
+  return {
+    identifier: `${valueSet.url}/expansion/${codeSystem.version}`,
+    timestamp: new Date().toISOString(),
+    total: concepts.length,
+    contains: concepts.map(concept => ({
+      system: codeSystem.url,
+      version: codeSystem.version,
+      code: concept.code,
+      display: concept.display
+    }))
+  };
+}
+
+/**
+ * Build a ValueSet over the CodeSystem
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} definition - The ValueSet definition
+ * @param {string} definition.id - Resource id
+ * @param {string} definition.url - Canonical URL
+ * @param {string} definition.name - Computer-friendly name
+ * @param {string} definition.title - Human-friendly title
+ * @param {string} [definition.conceptClass] - Class to restrict the ValueSet to
+ * @param {Object} valueSetConfig - The ValueSet configuration
+ * @returns {Object} The ValueSet
+ */
+function buildValueSet(codeSystem, definition, valueSetConfig) {
+  const include = {
+    system: codeSystem.url,
+    version: codeSystem.version
+  };
+  if (definition.conceptClass) {
+    include.filter = [{ property: "class", op: "=", value: definition.conceptClass }];
+  }
+
+  const valueSet = {
+    resourceType: "ValueSet",
+    id: definition.id,
+    url: definition.url,
+    version: codeSystem.version,
+    name: definition.name,
+    title: definition.title,
+    status: codeSystem.status,
+    experimental: codeSystem.experimental,
+    date: codeSystem.date,
+    publisher: codeSystem.publisher,
+    copyright: codeSystem.copyright,
+    compose: {
+      include: [include]
+    }
+  };
+
+  if (valueSetConfig.activeOnly) {
+    valueSet.compose.inactive = false;
+  }
+
+  if (valueSetConfig.expansion) {
+    const concepts = (codeSystem.concept || []).filter(concept =>
+      (!definition.conceptClass || getPropertyValue(concept, 'class') === definition.conceptClass) &&
+      (!valueSetConfig.activeOnly || isActive(concept))
+    );
+    valueSet.expansion = buildExpansion(valueSet, codeSystem, concepts);
+  }
+
+  return valueSet;
+}
+
+/**
+ * Build the ValueSet of the whole CodeSystem and one ValueSet per class
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {Object} valueSetConfig - The ValueSet configuration
+ * @param {boolean} [valueSetConfig.expansion] - Whether to add pre-computed expansions
+ * @param {boolean} [valueSetConfig.activeOnly] - Whether to leave inactive concepts out
+ * @returns {Array<Object>} The ValueSets, starting with the whole CodeSystem
+ */
+function buildValueSets(codeSystem, valueSetConfig) {
+  const baseUrl = codeSystem.valueSet || `${codeSystem.url}/vs`;
+  const name = codeSystem.name || 'TMT';
+
+  const definitions = [{
+    id: name,
+    url: baseUrl,
+    name,
+    title: `${name} - all concepts`
+  }];
+
+  getClasses(codeSystem).forEach(conceptClass => {
+    definitions.push({
+      id: `${name}-${conceptClass}`,
+      url: `${baseUrl}/${conceptClass.toLowerCase()}`,
+      name: `${name}_${conceptClass}`,
+      title: `${name} - ${conceptClass} concepts`,
+      conceptClass
+    });
+  });
+
+  return definitions.map(definition => buildValueSet(codeSystem, definition, valueSetConfig));
+}
+
+module.exports = {
+  buildValueSets
+};
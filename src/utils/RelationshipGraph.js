@@ -0,0 +1,133 @@
+/**
+ * Graph of all TMT hierarchy edges
+ *
+ * The graph is the single authoritative set of parent-child edges for a run.
+ * Processors emit both the parent and the child properties of a concept from
+ * it, so an edge always appears on both of its ends.
+ */
+
+class RelationshipGraph {
+  /**
+   * Constructor for the RelationshipGraph
+   */
+  constructor() {
+    this.parentsByChild = new Map();
+    this.childrenByParent = new Map();
+    this.edgeCount = 0;
+    this.sources = [];
+    this.sourceFiles = new Map();
+  }
+
+  /**
+   * Add all edges of a relationship file to the graph
+   * @param {string} source - Name of the relationship file pattern (e.g. "gptotp")
+   * @param {RelationshipIndex} index - Index over the file's rows
+   * @param {string} [fileName] - Name of the file the pattern matched (e.g. "GPtoTP20250407.xls")
+   */
+  addSource(source, index, fileName) {
+    this.sources.push(source);
+    if (fileName) {
+      this.sourceFiles.set(source, fileName);
+    }
+
+    for (const [parentCode, childCodes] of index.childrenByParent) {
+      childCodes.forEach(childCode => this.addEdge(parentCode, childCode, source));
+    }
+  }
+
+  /**
+   * Add a single edge to the graph. An edge already read from another relationship
+   * file is not added again, but keeps that file as one more of its sources.
+   * @param {string} parentCode - The parent concept code
+   * @param {string} childCode - The child concept code
+   * @param {string} source - Name of the relationship file the edge comes from
+   * @returns {boolean} True if the edge was added
+   */
+  addEdge(parentCode, childCode, source) {
+    if (!this.childrenByParent.has(parentCode)) {
+      this.childrenByParent.set(parentCode, new Map());
+    }
+    const children = this.childrenByParent.get(parentCode);
+    if (children.has(childCode)) {
+      children.get(childCode).add(source);
+      return false;
+    }
+
+    // Both ends share the set of sources of the edge
+    const sources = new Set([source]);
+    children.set(childCode, sources);
+
+    if (!this.parentsByChild.has(childCode)) {
+      this.parentsByChild.set(childCode, new Map());
+    }
+    this.parentsByChild.get(childCode).set(parentCode, sources);
+
+    this.edgeCount++;
+    return true;
+  }
+
+  /**
+   * Get the parent codes of a concept
+   * @param {string} code - The concept code
+   * @param {Array<string>} [sources] - Only include edges from these relationship files
+   * @returns {Array<string>} Parent codes
+   */
+  getParents(code, sources) {
+    return this.selectCodes(this.parentsByChild.get(String(code)), sources);
+  }
+
+  /**
+   * Get the relationship files an edge comes from
+   * @param {string} parentCode - The parent concept code
+   * @param {string} childCode - The child concept code
+   * @returns {Array<string>} Names of the relationship file patterns in the order they were read, empty if the graph does not have the edge
+   */
+  getEdgeSources(parentCode, childCode) {
+    const parents = this.parentsByChild.get(String(childCode));
+    return parents && parents.has(String(parentCode)) ? Array.from(parents.get(String(parentCode))) : [];
+  }
+
+  /**
+   * Get the child codes of a concept
+   * @param {string} code - The concept code
+   * @param {Array<string>} [sources] - Only include edges from these relationship files
+   * @returns {Array<string>} Child codes
+   */
+  getChildren(code, sources) {
+    return this.selectCodes(this.childrenByParent.get(String(code)), sources);
+  }
+
+  /**
+   * Select the codes of an adjacency map, optionally filtered by edge source
+   * @param {Map} adjacent - Map of adjacent code to the set of sources of the edge
+   * @param {Array<string>} [sources] - Only include edges from these relationship files
+   * @returns {Array<string>} The selected codes
+   */
+  selectCodes(adjacent, sources) {
+    if (!adjacent) {
+      return [];
+    }
+
+    const codes = [];
+    for (const [code, edgeSources] of adjacent) {
+      if (!sources || sources.some(source => edgeSources.has(source))) {
+        codes.push(code);
+      }
+    }
+    return codes;
+  }
+
+  /**
+   * Iterate over all edges of the graph
+   * @returns {Iterable<Object>} Edges with parent, child and the array of relationship files they come from
+   */
+  *edges() {
+    for (const [parent, children] of this.childrenByParent) {
+      for (const [child, sources] of children) {
+        yield { parent, child, sources: Array.from(sources) };
+      }
+    }
+  }
+}
+
+module.exports = RelationshipGraph;
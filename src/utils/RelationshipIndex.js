@@ -0,0 +1,67 @@
+/**
+ * Index over the rows of a TMT relationship file
+ *
+ * Relationship files list one edge per row with the parent TMTID in the first
+ * column and the child TMTID in the second. The index maps each TMTID to its
+ * parents and children so processors can look up a concept's relationships
+ * without scanning the whole sheet.
+ */
+
+class RelationshipIndex {
+  /**
+   * Constructor for the RelationshipIndex
+   * @param {Array} rows - The rows of the relationship file
+   */
+  constructor(rows = []) {
+    this.rowCount = rows.length;
+    this.parentsByChild = new Map();
+    this.childrenByParent = new Map();
+
+    rows.forEach(row => this.addRow(row));
+  }
+
+  /**
+   * Add a relationship row to the index
+   * @param {Array} row - The row with parent code in column 0 and child code in column 1
+   */
+  addRow(row) {
+    if (!row || row.length < 2) return;
+    if (row[0] === undefined || row[0] === null || row[1] === undefined || row[1] === null) return;
+
+    const parentCode = String(row[0]);
+    const childCode = String(row[1]);
+
+    // Skip header rows such as "TMTID(GP) | TMTID(TP)"
+    if (parentCode.startsWith('TMTID(')) return;
+
+    if (!this.parentsByChild.has(childCode)) {
+      this.parentsByChild.set(childCode, []);
+    }
+    this.parentsByChild.get(childCode).push(parentCode);
+
+    if (!this.childrenByParent.has(parentCode)) {
+      this.childrenByParent.set(parentCode, []);
+    }
+    this.childrenByParent.get(parentCode).push(childCode);
+  }
+
+  /**
+   * Get the parent codes of a concept
+   * @param {string} code - The child concept code
+   * @returns {Array<string>} Parent codes in file order
+   */
+  getParents(code) {
+    return this.parentsByChild.get(String(code)) || [];
+  }
+
+  /**
+   * Get the child codes of a concept
+   * @param {string} code - The parent concept code
+   * @returns {Array<string>} Child codes in file order
+   */
+  getChildren(code) {
+    return this.childrenByParent.get(String(code)) || [];
+  }
+}
+
+module.exports = RelationshipIndex;
@@ -0,0 +1,155 @@
+/**
+ * Shared access to the files of an extracted TMT release
+ *
+ * Concept and relationship spreadsheets are parsed the first time a processor
+ * asks for them and cached, so files used by several processors (e.g.
+ * GPPtoTPP by both the GPP and TPP processors) are only read once per run.
+ */
+const fs = require('fs');
+const path = require('path');
+const { readExcelFile, findFiles } = require('./fileUtils');
+const RelationshipIndex = require('./RelationshipIndex');
+const RelationshipGraph = require('./RelationshipGraph');
+const { MissingDirectoryError, MissingConceptFileError } = require('./errors');
+
+class TMTRelease {
+  /**
+   * Constructor for the TMTRelease
+   * @param {string} tmtDirPath - Path to the TMT directory
+   * @param {string} tmtBonusDirPath - Path to the TMT bonus directory
+   * @param {Object} [logger=console] - Receives the progress messages through its log method
+   */
+  constructor(tmtDirPath, tmtBonusDirPath, logger = console) {
+    this.tmtDirPath = tmtDirPath;
+    this.tmtBonusDirPath = tmtBonusDirPath;
+    this.logger = logger;
+    this.conceptDir = path.join(tmtBonusDirPath, 'Concept');
+    this.relationshipDir = path.join(tmtBonusDirPath, 'Relationship');
+
+    // Parsed files keyed by file path
+    this.conceptRows = new Map();
+    this.relationshipIndexes = new Map();
+    this.relationshipGraph = null;
+  }
+
+  /**
+   * Ensure a directory of the extracted release exists
+   * @param {string} dirPath - Path to the directory
+   */
+  ensureDirectory(dirPath) {
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+      throw new MissingDirectoryError(`Directory not found: ${dirPath}`, {
+        directory: dirPath
+      });
+    }
+  }
+
+  /**
+   * Find the concept file of an entity type (e.g. GP20250407.xls)
+   * @param {string} entityType - The entity type (e.g. "SUBS", "GP")
+   * @returns {string} Path to the concept file
+   */
+  findConceptFile(entityType) {
+    this.ensureDirectory(this.conceptDir);
+
+    const entityFilePattern = new RegExp(`^${entityType}\\d{8}\\.xls$`, 'i');
+    const entityFiles = findFiles(this.conceptDir, entityFilePattern);
+
+    if (entityFiles.length === 0) {
+      throw new MissingConceptFileError(`${entityType} file not found in ${this.conceptDir}`, {
+        entityType,
+        directory: this.conceptDir
+      });
+    }
+
+    return entityFiles[0];
+  }
+
+  /**
+   * Find a relationship file with a specific pattern
+   * @param {string} pattern - Pattern to match in the filename (e.g. "gptotp")
+   * @returns {string} Path to the found file, or null if there is none
+   */
+  findRelationshipFile(pattern) {
+    this.ensureDirectory(this.relationshipDir);
+
+    const files = findFiles(this.relationshipDir, new RegExp(pattern, 'i'));
+    return files.length > 0 ? files[0] : null;
+  }
+
+  /**
+   * Find the SNAPSHOT file (TMTRFYYYYMMDD_SNAPSHOT.xls) in the TMT directory
+   * @returns {string} Path to the SNAPSHOT file, or null if there is none
+   */
+  findSnapshotFile() {
+    if (!fs.existsSync(this.tmtDirPath)) {
+      return null;
+    }
+
+    const files = findFiles(this.tmtDirPath, /_SNAPSHOT\.xlsx?$/i);
+    return files.length > 0 ? files[0] : null;
+  }
+
+  /**
+   * Get the rows of a concept or SNAPSHOT file, reading it on first use
+   * @param {string} filePath - Path to the file
+   * @returns {Array} The rows
+   */
+  getConceptRows(filePath) {
+    if (!this.conceptRows.has(filePath)) {
+      this.conceptRows.set(filePath, readExcelFile(filePath));
+    }
+    return this.conceptRows.get(filePath);
+  }
+
+  /**
+   * Get the index of a relationship file, reading it on first use
+   * @param {string} filePath - Path to the relationship file (may be null)
+   * @returns {RelationshipIndex} Index over the file's rows
+   */
+  getRelationshipIndex(filePath) {
+    if (!filePath) {
+      return new RelationshipIndex([]);
+    }
+
+    if (!this.relationshipIndexes.has(filePath)) {
+      this.relationshipIndexes.set(filePath, new RelationshipIndex(readExcelFile(filePath)));
+    }
+    return this.relationshipIndexes.get(filePath);
+  }
+
+  /**
+   * Get the graph of all hierarchy edges in the release, building it on first use.
+   * The orchestrator builds the graph up front from the relationship files of all
+   * active processors, so the patterns only matter when a processor runs on its own.
+   * @param {Array<string>} patterns - Filename patterns of the relationship files to include
+   * @returns {RelationshipGraph} The relationship graph
+   */
+  getRelationshipGraph(patterns) {
+    if (!this.relationshipGraph) {
+      const graph = new RelationshipGraph();
+      
+      for (const pattern of patterns) {
+        const filePath = this.findRelationshipFile(pattern);
+        if (filePath) {
+          graph.addSource(pattern, this.getRelationshipIndex(filePath), path.basename(filePath));
+        }
+      }
+      
+      this.logger.log(`Built relationship graph with ${graph.edgeCount} edges from ${graph.sources.length} relationship files`);
+      this.relationshipGraph = graph;
+    }
+    return this.relationshipGraph;
+  }
+
+  /**
+   * Release all cached files and the relationship graph
+   */
+  clear() {
+    this.conceptRows.clear();
+    this.relationshipIndexes.clear();
+    this.relationshipGraph = null;
+  }
+}
+
+module.exports = TMTRelease;
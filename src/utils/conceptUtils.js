@@ -0,0 +1,68 @@
+/**
+ * Utility functions for reading CodeSystem concepts
+ */
+
+/**
+ * Get the value of a concept property, whatever its value type
+ * @param {Object} property - The concept property
+ * @returns {*} The property value, or undefined if the property has no value
+ */
+function getValue(property) {
+  const key = Object.keys(property).find(name => name.startsWith('value'));
+  return key ? property[key] : undefined;
+}
+
+/**
+ * Get all values of a concept property
+ * @param {Object} concept - The concept
+ * @param {string} code - The property code
+ * @returns {Array} The property values in concept order
+ */
+function getPropertyValues(concept, code) {
+  return (concept.property || [])
+    .filter(property => property.code === code)
+    .map(getValue)
+    .filter(value => value !== undefined);
+}
+
+/**
+ * Get the first value of a concept property
+ * @param {Object} concept - The concept
+ * @param {string} code - The property code
+ * @returns {*} The property value, or undefined if the concept does not have the property
+ */
+function getPropertyValue(concept, code) {
+  return getPropertyValues(concept, code)[0];
+}
+
+/**
+ * Check whether a concept is active, i.e. its status is neither retired nor inactive
+ * @param {Object} concept - The concept
+ * @returns {boolean} True if the concept is active
+ */
+function isActive(concept) {
+  const status = getPropertyValue(concept, 'status');
+  return status !== 'retired' && status !== 'inactive' && getPropertyValue(concept, 'inactive') !== true;
+}
+
+/**
+ * Index the concepts of a CodeSystem by code
+ * @param {Object} codeSystem - The CodeSystem
+ * @returns {Map} Map of concept code to concept (first occurrence wins)
+ */
+function indexConcepts(codeSystem) {
+  const conceptsByCode = new Map();
+  (codeSystem.concept || []).forEach(concept => {
+    if (concept && concept.code && !conceptsByCode.has(concept.code)) {
+      conceptsByCode.set(concept.code, concept);
+    }
+  });
+  return conceptsByCode;
+}
+
+module.exports = {
+  getPropertyValues,
+  getPropertyValue,
+  isActive,
+  indexConcepts
+};
@@ -0,0 +1,149 @@
+/**
+ * Error types raised by the converter
+ *
+ * Every error carries a machine-readable code and the process exit code the
+ * command-line interface uses when the error ends a run.
+ */
+
+class TMTError extends Error {
+  /**
+   * Constructor for the TMTError
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Additional machine-readable details
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'TMT_ERROR';
+    this.exitCode = 1;
+    this.details = details;
+  }
+
+  /**
+   * Serialize the error for the error summary file
+   * @returns {Object} Plain object describing the error
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      exitCode: this.exitCode,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Raised when the zip file cannot be read or extracted
+ */
+class ZipExtractionError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'ZIP_EXTRACTION_FAILED';
+    this.exitCode = 10;
+  }
+}
+
+/**
+ * Raised when an expected directory is missing from the extracted release
+ */
+class MissingDirectoryError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'MISSING_DIRECTORY';
+    this.exitCode = 11;
+  }
+}
+
+/**
+ * Raised when the concept file of an entity type is missing
+ */
+class MissingConceptFileError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'MISSING_CONCEPT_FILE';
+    this.exitCode = 12;
+  }
+}
+
+/**
+ * Raised when one or more relationship files required by a processor are missing
+ */
+class MissingRelationshipFileError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'MISSING_RELATIONSHIP_FILE';
+    this.exitCode = 13;
+  }
+}
+
+/**
+ * Raised when a spreadsheet cannot be read or parsed
+ */
+class SpreadsheetReadError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'SPREADSHEET_UNREADABLE';
+    this.exitCode = 14;
+  }
+}
+
+/**
+ * Raised when the CodeSystem template cannot be read or has an invalid shape
+ */
+class TemplateInvalidError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'TEMPLATE_INVALID';
+    this.exitCode = 15;
+  }
+}
+
+/**
+ * Raised when the configuration or the conversion parameters contain invalid values
+ */
+class ConfigurationError extends TMTError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'CONFIGURATION_INVALID';
+    this.exitCode = 16;
+  }
+}
+
+/**
+ * Builds the error summary written when a run fails
+ * @param {Error} error - The error that ended the run
+ * @param {Object} [context] - Additional information about the run (e.g. version)
+ * @returns {Object} Machine-readable error summary
+ */
+function createErrorSummary(error, context = {}) {
+  const errorJson = error instanceof TMTError
+    ? error.toJSON()
+    : {
+      name: error.name || 'Error',
+      code: 'UNEXPECTED_ERROR',
+      exitCode: 1,
+      message: error.message,
+      details: {}
+    };
+
+  return {
+    status: 'failed',
+    date: new Date().toISOString(),
+    ...context,
+    error: errorJson
+  };
+}
+
+module.exports = {
+  TMTError,
+  ZipExtractionError,
+  MissingDirectoryError,
+  MissingConceptFileError,
+  MissingRelationshipFileError,
+  SpreadsheetReadError,
+  TemplateInvalidError,
+  ConfigurationError,
+  createErrorSummary
+};
@@ -3,9 +3,12 @@
  */
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
 const AdmZip = require('adm-zip');
 const XLSX = require('xlsx');
 const fsExtra = require('fs-extra');
+const { ZipExtractionError, SpreadsheetReadError } = require('./errors');
 
 /**
  * Ensure a directory exists, create if it doesn't
@@ -21,17 +24,39 @@ function ensureDir(dir) {
  * @param {string} destDir - Destination directory
  */
 function extractZip(zipFilePath, destDir) {
-  const zip = new AdmZip(zipFilePath);
-  zip.extractAllTo(destDir, true);
+  if (!fs.existsSync(zipFilePath)) {
+    throw new ZipExtractionError(`Zip file not found: ${zipFilePath}`, { path: zipFilePath });
+  }
+  
+  try {
+    const zip = new AdmZip(zipFilePath);
+    zip.extractAllTo(destDir, true);
+  } catch (error) {
+    throw new ZipExtractionError(`Unable to extract zip file ${zipFilePath}: ${error.message}`, { path: zipFilePath });
+  }
 }
 
 /**
  * Read a JSON file and parse its contents
- * @param {string} filePath - Path to the JSON file
+ * @param {string} filePath - Path to the JSON file (gzip-compressed if it ends with .gz)
  * @returns {Object} Parsed JSON object
  */
 function readJsonFile(filePath) {
-  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const content = fs.readFileSync(filePath);
+  return JSON.parse((filePath.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8'));
+}
+
+/**
+ * Read a newline-delimited JSON file
+ * @param {string} filePath - Path to the NDJSON file (gzip-compressed if it ends with .gz)
+ * @returns {Array<Object>} The parsed objects, one per non-empty line
+ */
+function readNdjsonFile(filePath) {
+  const content = fs.readFileSync(filePath);
+  return (filePath.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
 }
 
 /**
@@ -43,6 +68,197 @@ function writeJsonFile(filePath, data) {
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
 }
 
+/**
+ * Indent every line after the first of a serialized value
+ * @param {string} json - The serialized value
+ * @param {string} indent - The indentation to add
+ * @returns {string} The indented value
+ */
+function indentJson(json, indent) {
+  return json.replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Write a chunk to a stream, waiting for the stream to drain when its buffer is full
+ * @param {stream.Writable} output - The stream to write to
+ * @param {string} chunk - The chunk to write
+ * @returns {Promise} Resolves when the stream can take more data, rejects when the stream fails
+ */
+function writeChunk(output, chunk) {
+  if (output.errored) {
+    return Promise.reject(output.errored);
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  // A failing stream never drains, so whichever comes first settles the write
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('error', onError);
+      resolve();
+    };
+    const onError = error => {
+      output.off('drain', onDrain);
+      reject(error);
+    };
+    output.once('drain', onDrain);
+    output.once('error', onError);
+  });
+}
+
+/**
+ * Open a write stream to a file, optionally through gzip
+ * @param {string} filePath - Path to output file
+ * @param {boolean} [gzip=false] - Compress the output with gzip
+ * @returns {Object} Object with the stream to write to and a finished promise that resolves once the file is written
+ */
+function openOutputStream(filePath, gzip = false) {
+  const fileStream = fs.createWriteStream(filePath);
+  const gzipStream = gzip ? zlib.createGzip() : null;
+
+  // The pipeline passes an error of either stream on to the other, so a write to the gzip stream fails too
+  const finished = new Promise((resolve, reject) => {
+    const done = error => (error ? reject(error) : resolve());
+    if (gzipStream) {
+      stream.pipeline(gzipStream, fileStream, done);
+    } else {
+      stream.finished(fileStream, done);
+    }
+  });
+
+  // The writes report an error first; the writer awaits finished once it stops writing
+  finished.catch(() => {});
+
+  return { stream: gzipStream || fileStream, finished };
+}
+
+/**
+ * Write a file through an output stream and wait until it is written.
+ * When writing fails the stream is destroyed, so the file is closed.
+ * @param {string} filePath - Path to output file
+ * @param {boolean} gzip - Compress the output with gzip
+ * @param {Function} write - Async function writing the content to the stream it is given
+ * @returns {Promise} Resolves when the file has been written, rejects with the first error
+ */
+async function writeOutputFile(filePath, gzip, write) {
+  const { stream: output, finished } = openOutputStream(filePath, gzip);
+  try {
+    await write(output);
+    output.end();
+  } catch (error) {
+    // finished rejects with the error of the failed stream, or with this one
+    output.destroy(error);
+  } finally {
+    await finished;
+  }
+}
+
+/**
+ * Write a resource to a JSON file, streaming its concept array one concept at a time.
+ * Only a single concept is serialized at once, so memory use does not grow with the
+ * number of concepts. The output is identical to writeJsonFile.
+ * @param {string} filePath - Path to output file
+ * @param {Object} resource - The resource to write (e.g. a CodeSystem)
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.minify=false] - Write without whitespace
+ * @param {boolean} [options.gzip=false] - Compress the output with gzip
+ * @returns {Promise} Resolves when the file has been written
+ */
+async function writeCodeSystemFile(filePath, resource, options = {}) {
+  const space = options.minify ? 0 : 2;
+  const newline = options.minify ? '' : '\n';
+  const indent = options.minify ? '' : '  ';
+  const separator = options.minify ? ':' : ': ';
+
+  const keys = Object.keys(resource).filter(key => resource[key] !== undefined);
+
+  return writeOutputFile(filePath, options.gzip, async output => {
+    await writeChunk(output, `{${newline}`);
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const value = resource[key];
+      await writeChunk(output, `${indent}${JSON.stringify(key)}${separator}`);
+
+      if (key === 'concept' && Array.isArray(value) && value.length > 0) {
+        await writeChunk(output, `[${newline}`);
+        for (let j = 0; j < value.length; j++) {
+          const concept = indentJson(JSON.stringify(value[j], null, space), indent + indent);
+          await writeChunk(output, `${indent}${indent}${concept}${j < value.length - 1 ? ',' : ''}${newline}`);
+        }
+        await writeChunk(output, `${indent}]`);
+      } else {
+        await writeChunk(output, indentJson(JSON.stringify(value, null, space), indent));
+      }
+
+      await writeChunk(output, `${i < keys.length - 1 ? ',' : ''}${newline}`);
+    }
+
+    await writeChunk(output, '}');
+  });
+}
+
+/**
+ * Write objects to a newline-delimited JSON file, one object per line
+ * @param {string} filePath - Path to output file
+ * @param {Iterable} items - Objects to write
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.gzip=false] - Compress the output with gzip
+ * @returns {Promise<number>} Resolves with the number of lines written
+ */
+async function writeNdjsonFile(filePath, items, options = {}) {
+  let count = 0;
+  await writeOutputFile(filePath, options.gzip, async output => {
+    for (const item of items) {
+      await writeChunk(output, JSON.stringify(item) + '\n');
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * Quote a field of a delimited file when it contains the delimiter, a quote or a line break
+ * @param {*} value - The field value (null and undefined become an empty field)
+ * @param {string} delimiter - The field delimiter
+ * @returns {string} The field as written to the file
+ */
+function formatDelimitedField(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Write rows to a delimited (CSV or TSV) file with CRLF line endings
+ * @param {string} filePath - Path to output file
+ * @param {Array<string>} header - The column names
+ * @param {Iterable<Array>} rows - The rows, one value per column
+ * @param {Object} [options] - Write options
+ * @param {string} [options.delimiter=","] - The field delimiter
+ * @param {boolean} [options.bom=false] - Start the file with a UTF-8 byte order mark
+ * @returns {Promise<number>} Resolves with the number of rows written (without the header)
+ */
+async function writeDelimitedFile(filePath, header, rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const formatRow = row => row.map(value => formatDelimitedField(value, delimiter)).join(delimiter) + '\r\n';
+
+  let count = 0;
+  await writeOutputFile(filePath, false, async output => {
+    // Excel only detects UTF-8 (and so shows Thai text correctly) with a byte order mark
+    await writeChunk(output, (options.bom ? '\uFEFF' : '') + formatRow(header));
+
+    for (const row of rows) {
+      await writeChunk(output, formatRow(row));
+      count++;
+    }
+  });
+  return count;
+}
+
 /**
  * Recursively explore a directory and return all files and directories
  * @param {string} dir - Directory to explore
@@ -79,7 +295,17 @@ function exploreDirectory(dir, relativePath = '') {
  * @returns {Object} Excel data as JSON object
  */
 function readExcelFile(filePath) {
-  const workbook = XLSX.readFile(filePath);
+  let workbook;
+  try {
+    workbook = XLSX.readFile(filePath);
+  } catch (error) {
+    throw new SpreadsheetReadError(`Unable to read spreadsheet ${filePath}: ${error.message}`, { path: filePath });
+  }
+  
+  if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+    throw new SpreadsheetReadError(`Spreadsheet ${filePath} contains no sheets`, { path: filePath });
+  }
+  
   const sheet = workbook.Sheets[workbook.SheetNames[0]];
   return XLSX.utils.sheet_to_json(sheet, { header: 1 });
 }
@@ -109,7 +335,11 @@ module.exports = {
   ensureDir,
   extractZip,
   readJsonFile,
+  readNdjsonFile,
   writeJsonFile,
+  writeCodeSystemFile,
+  writeNdjsonFile,
+  writeDelimitedFile,
   exploreDirectory,
   readExcelFile,
   findFiles,
@@ -0,0 +1,65 @@
+/**
+ * Utility functions for reading the columns and cells of TMT spreadsheets
+ */
+
+// Day zero of Excel date serial numbers; exact from serial 61 (1 March 1900), after Excel's 29 February 1900
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Range of the Excel date serial numbers read as dates (1 March 1900 to 31 December 9999)
+const MIN_EXCEL_SERIAL = 61;
+const MAX_EXCEL_SERIAL = 2958465;
+
+/**
+ * Normalize a column header for matching (e.g. "Dosage Form" becomes "DOSAGEFORM")
+ * @param {*} name - The column header
+ * @returns {string} The normalized header
+ */
+function normalizeColumnName(name) {
+  return String(name === undefined || name === null ? '' : name)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Find the index of a column in a header row
+ * @param {Array} headerRow - The header row
+ * @param {string} columnName - The column to find
+ * @returns {number} The column index, or -1 if the column is not present
+ */
+function findColumn(headerRow, columnName) {
+  const normalized = normalizeColumnName(columnName);
+  return headerRow.findIndex(header => normalizeColumnName(header) === normalized);
+}
+
+/**
+ * Format a date from a spreadsheet cell as a FHIR dateTime in Thai time
+ * @param {*} value - The date: YYYYMMDD, an ISO date or an Excel date serial number (e.g. 45782)
+ * @returns {string} The dateTime, or null if the value is not a recognised date
+ */
+function formatDateTime(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) {
+    return `${compact[1]}-${compact[2]}-${compact[3]}T00:00:00+07:00`;
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return text.length === 10 ? `${text}T00:00:00+07:00` : text;
+  }
+
+  // Date cells are read as the number of days since the Excel epoch
+  if (typeof value === 'number' && value >= MIN_EXCEL_SERIAL && value <= MAX_EXCEL_SERIAL) {
+    const date = new Date(EXCEL_EPOCH + Math.floor(value) * 24 * 60 * 60 * 1000);
+    return `${date.toISOString().slice(0, 10)}T00:00:00+07:00`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeColumnName,
+  findColumn,
+  formatDateTime
+};
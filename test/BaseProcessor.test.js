@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProcessor = require('../src/modules/BaseProcessor');
+const RelationshipGraph = require('../src/utils/RelationshipGraph');
+const RelationshipIndex = require('../src/utils/RelationshipIndex');
+const { MissingRelationshipFileError } = require('../src/utils/errors');
+
+/**
+ * Build an in-memory stand-in for an extracted release
+ * @param {Array<Array>} conceptRows - The rows of the concept file
+ * @param {Object} files - Map of relationship file pattern to its [parent, child] rows
+ * @returns {Object} Object with the methods of TMTRelease the processors use
+ */
+function createRelease(conceptRows, files) {
+  const indexes = {};
+  Object.entries(files).forEach(([pattern, rows]) => {
+    indexes[pattern] = new RelationshipIndex(rows);
+  });
+
+  return {
+    findConceptFile: entityType => `${entityType}20250407.xls`,
+    getConceptRows: () => conceptRows,
+    findRelationshipFile: pattern => (indexes[pattern] ? pattern : null),
+    getRelationshipIndex: filePath => indexes[filePath] || new RelationshipIndex([]),
+    getRelationshipGraph(patterns) {
+      const graph = new RelationshipGraph();
+      patterns.filter(pattern => indexes[pattern]).forEach(pattern => graph.addSource(pattern, indexes[pattern]));
+      return graph;
+    }
+  };
+}
+
+/**
+ * List the values of a property of a concept
+ * @param {Object} concept - The concept
+ * @param {string} code - The property code
+ * @returns {Array<string>} The values
+ */
+function propertyValues(concept, code) {
+  return concept.property.filter(property => property.code === code).map(property => property.valueCode);
+}
+
+class GPPProcessor extends BaseProcessor {
+  constructor() {
+    super('GPP', { parents: ['gputogpp', 'gpptogpp'], children: ['gpptotpp'] });
+  }
+}
+
+test('Parents and children come from the declared relationship files', () => {
+  const release = createRelease(
+    [['TMTID(GPP)', 'FSN'], [5001, 'paracetamol 500 mg tablet, 10 tablets'], [5002, 'paracetamol 500 mg tablet, 20 tablets']],
+    {
+      gputogpp: [[4001, 5001]],
+      gpptogpp: [[5001, 5002]],
+      gpptotpp: [[5001, 8001]]
+    }
+  );
+  const templateJson = { concept: [] };
+
+  assert.equal(new GPPProcessor().process(templateJson, release), 2);
+
+  const [first, second] = templateJson.concept;
+  assert.equal(first.code, '5001');
+  assert.equal(first.display, 'paracetamol 500 mg tablet, 10 tablets');
+  assert.deepEqual(propertyValues(first, 'class'), ['GPP']);
+  assert.deepEqual(propertyValues(first, 'parent'), ['4001']);
+  // The GPP to GPP edge is only declared as a parent file, so 5002 is not a child of 5001
+  assert.deepEqual(propertyValues(first, 'child'), ['8001']);
+  assert.deepEqual(propertyValues(second, 'parent'), ['5001']);
+});
+
+test('A declared relationship file missing from the release is reported by pattern', () => {
+  const release = createRelease([[5001, 'paracetamol 500 mg tablet, 10 tablets']], {
+    gputogpp: [[4001, 5001]]
+  });
+
+  assert.throws(() => new GPPProcessor().process({ concept: [] }, release), error => {
+    assert.ok(error instanceof MissingRelationshipFileError);
+    assert.equal(error.details.entityType, 'GPP');
+    assert.deepEqual(error.details.missing, ['gpptogpp', 'gpptotpp']);
+    return true;
+  });
+});
+
+test('The specification lists each relationship file pattern once', () => {
+  const processor = new BaseProcessor('GPP', { parents: ['gpptogpp'], children: ['gpptogpp', 'gpptotpp'] });
+
+  assert.deepEqual(processor.getRelationshipFilePatterns(), ['gpptogpp', 'gpptotpp']);
+  assert.deepEqual(new BaseProcessor('SUBS').getRelationshipFilePatterns(), []);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RelationshipGraph = require('../src/utils/RelationshipGraph');
+const RelationshipIndex = require('../src/utils/RelationshipIndex');
+
+/**
+ * Build a graph from relationship files given as rows
+ * @param {Object} files - Map of relationship file pattern to its [parent, child] rows
+ * @returns {RelationshipGraph} The graph
+ */
+function createGraph(files) {
+  const graph = new RelationshipGraph();
+  Object.entries(files).forEach(([source, rows]) => {
+    graph.addSource(source, new RelationshipIndex([[`TMTID(${source})`, 'TMTID'], ...rows]));
+  });
+  return graph;
+}
+
+test('An edge read from two relationship files keeps both sources', () => {
+  const graph = createGraph({
+    gpptogpp: [['8001', '8002']],
+    gputogpp: [['4001', '8002'], ['8001', '8002']]
+  });
+
+  assert.equal(graph.edgeCount, 2);
+  assert.deepEqual(graph.getEdgeSources('8001', '8002'), ['gpptogpp', 'gputogpp']);
+  assert.deepEqual(graph.getEdgeSources('4001', '8002'), ['gputogpp']);
+  assert.deepEqual(graph.getEdgeSources('4001', '9999'), []);
+});
+
+test('Filtering by source selects an edge from any of its files', () => {
+  const graph = createGraph({
+    gpptogpp: [['8001', '8002']],
+    gputogpp: [['4001', '8002'], ['8001', '8002']]
+  });
+
+  // A processor that only declares the file read second still gets the edge
+  assert.deepEqual(graph.getParents('8002', ['gputogpp']), ['8001', '4001']);
+  assert.deepEqual(graph.getParents('8002', ['gpptogpp']), ['8001']);
+  assert.deepEqual(graph.getChildren('8001', ['gputogpp']), ['8002']);
+  assert.deepEqual(graph.getChildren('4001', ['gpptogpp']), []);
+  assert.deepEqual(graph.getParents('8002'), ['8001', '4001']);
+});
+
+test('edges() lists each edge once with all its sources', () => {
+  const graph = createGraph({
+    gptotp: [['3001', '5001']],
+    gpptogpp: [['8001', '8002']],
+    gputogpp: [['8001', '8002']]
+  });
+
+  assert.deepEqual(Array.from(graph.edges()), [
+    { parent: '3001', child: '5001', sources: ['gptotp'] },
+    { parent: '8001', child: '8002', sources: ['gpptogpp', 'gputogpp'] }
+  ]);
+});
+
+test('Both ends of an edge are read from the graph', () => {
+  const graph = createGraph({
+    gptotp: [['3001', '5001'], ['3001', '5002']],
+    tptotpu: [['5001', '7001']]
+  });
+
+  assert.deepEqual(graph.getChildren('3001'), ['5001', '5002']);
+  assert.deepEqual(graph.getParents('5001'), ['3001']);
+  assert.deepEqual(graph.getParents(7001), ['5001']);
+  assert.deepEqual(graph.getChildren('9999'), []);
+  assert.deepEqual(graph.sources, ['gptotp', 'tptotpu']);
+});
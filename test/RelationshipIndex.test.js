@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RelationshipIndex = require('../src/utils/RelationshipIndex');
+
+test('Rows are indexed by parent and by child code in file order', () => {
+  const index = new RelationshipIndex([
+    [4001, 7001],
+    [4001, 7002],
+    ['4002', '7002']
+  ]);
+
+  assert.equal(index.rowCount, 3);
+  assert.deepEqual(index.getChildren('4001'), ['7001', '7002']);
+  assert.deepEqual(index.getChildren(4002), ['7002']);
+  assert.deepEqual(index.getParents('7002'), ['4001', '4002']);
+  assert.deepEqual(index.getParents('7001'), ['4001']);
+});
+
+test('Unknown codes and incomplete rows have no relationships', () => {
+  const index = new RelationshipIndex([[4001], [null, 7001], [4001, undefined], [], null]);
+
+  assert.deepEqual(index.getChildren('4001'), []);
+  assert.deepEqual(index.getParents('7001'), []);
+  assert.deepEqual(new RelationshipIndex().getParents('7001'), []);
+});
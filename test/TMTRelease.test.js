@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const TMTRelease = require('../src/utils/TMTRelease');
+const { MissingConceptFileError, MissingDirectoryError } = require('../src/utils/errors');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+/**
+ * Extract the sample release into a temporary directory
+ * @param {Object} t - The test context, used to remove the directory afterwards
+ * @returns {TMTRelease} The release over the extracted directories
+ */
+function extractSampleRelease(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-release-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const release = createSampleRelease();
+  delete release.concepts.TPP;
+  const zipPath = createReleaseZip(dir, '20250407', release);
+  new AdmZip(zipPath).extractAllTo(path.join(dir, 'extract'), true);
+
+  return new TMTRelease(
+    path.join(dir, 'extract', 'TMTRF20250407'),
+    path.join(dir, 'extract', 'TMTRF20250407_BONUS')
+  );
+}
+
+test('Concept files are found by entity type', t => {
+  const release = extractSampleRelease(t);
+
+  assert.match(path.basename(release.findConceptFile('GP')), /^GP20250407\.xls$/);
+  assert.throws(() => release.findConceptFile('TPP'), MissingConceptFileError);
+  assert.throws(
+    () => new TMTRelease('/nonexistent', '/nonexistent/BONUS').findConceptFile('GP'),
+    MissingDirectoryError
+  );
+});
+
+test('Concept rows are read once and cached', t => {
+  const release = extractSampleRelease(t);
+  const filePath = release.findConceptFile('GP');
+
+  const rows = release.getConceptRows(filePath);
+  assert.equal(rows.length, 3);
+  assert.equal(release.getConceptRows(filePath), rows);
+});
+
+test('Relationship indexes are read once and cached', t => {
+  const release = extractSampleRelease(t);
+  const filePath = release.findRelationshipFile('gptogpu');
+
+  const index = release.getRelationshipIndex(filePath);
+  assert.deepEqual(index.getChildren('3001'), ['4001']);
+  assert.equal(release.getRelationshipIndex(filePath), index);
+
+  assert.equal(release.findRelationshipFile('nosuchfile'), null);
+  assert.equal(release.getRelationshipIndex(null).rowCount, 0);
+});
+
+test('clear() releases the cached files', t => {
+  const release = extractSampleRelease(t);
+  const conceptFile = release.findConceptFile('GP');
+  const relationshipFile = release.findRelationshipFile('gptogpu');
+
+  const rows = release.getConceptRows(conceptFile);
+  const index = release.getRelationshipIndex(relationshipFile);
+  release.clear();
+
+  assert.equal(release.conceptRows.size, 0);
+  assert.equal(release.relationshipIndexes.size, 0);
+  assert.notEqual(release.getConceptRows(conceptFile), rows);
+  assert.notEqual(release.getRelationshipIndex(relationshipFile), index);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, parseArgs, main } = require('../src/cli');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+let dir;
+
+/**
+ * Run the command-line interface in its own process
+ * @param {Array<string>} args - The arguments
+ * @returns {Object} The result of spawnSync with stdout and stderr as text
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [path.resolve(__dirname, '../index.js'), ...args], {
+    cwd: path.resolve(__dirname, '..'),
+    encoding: 'utf8',
+    timeout: 60000
+  });
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-cli-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Arguments are parsed into a command, positionals and options', () => {
+  assert.deepEqual(parseArgs(['--version', '20250505', '--no-cleanup', '--report=false']), {
+    command: 'convert',
+    positionals: [],
+    options: { version: '20250505', cleanup: false, report: false }
+  });
+  assert.deepEqual(parseArgs(['validate', '--zip=release.zip', '-h']).options, { zip: 'release.zip', help: true });
+
+  assert.throws(() => parseArgs(['--unknown']), /Unknown option: --unknown/);
+  assert.throws(() => parseArgs(['--version']), /Option --version requires a value/);
+});
+
+test('Invalid usage exits with the usage code', async () => {
+  assert.equal(await main(['publish']), EXIT_CODES.USAGE);
+  assert.equal(await main(['--unknown']), EXIT_CODES.USAGE);
+  assert.equal(await main(['--version', '2025-05-05']), EXIT_CODES.USAGE);
+  assert.equal(await main(['validate', '--out', path.join(dir, 'CS-TMT.json')]), EXIT_CODES.USAGE);
+  assert.equal(await main(['diff', 'a.json', 'b.json', '--version', '20250505']), EXIT_CODES.USAGE);
+  assert.equal(await main(['diff', 'a.json']), EXIT_CODES.USAGE);
+  assert.equal(await main(['help']), EXIT_CODES.SUCCESS);
+});
+
+test('convert writes the CodeSystem named with --out and keeps the temp directory with --no-cleanup', async () => {
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const outFile = path.join(dir, 'output', 'CS-TMT-20250407.json');
+  const tempDir = path.join(dir, 'temp');
+
+  const exitCode = await main(['convert', '--version', '20250407', '--zip', zipPath, '--out', outFile, '--temp-dir', tempDir, '--no-cleanup']);
+  assert.equal(exitCode, EXIT_CODES.SUCCESS);
+
+  const codeSystem = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+  assert.equal(codeSystem.version, '20250407');
+  assert.ok(codeSystem.concept.some(concept => concept.code === '3001'));
+  assert.ok(fs.existsSync(tempDir));
+});
+
+test('validate checks the release without writing the CodeSystem', async () => {
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const exitCode = await main(['validate', '--version', '20250407', '--zip', zipPath, '--temp-dir', path.join(dir, 'temp')]);
+
+  assert.equal(exitCode, EXIT_CODES.SUCCESS);
+  assert.equal(fs.existsSync(path.join(dir, 'temp')), false);
+});
+
+test('search and inspect print only their results to stdout', () => {
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const flags = ['--temp-dir', path.join(dir, 'temp'), '--no-snapshot'];
+
+  const search = runCli(['search', 'ibuprofen', zipPath, ...flags]);
+  assert.equal(search.status, EXIT_CODES.SUCCESS, search.stderr);
+  assert.deepEqual(search.stdout.trim().split('\n'), [
+    '1002  SUBS  ibuprofen',
+    '2002  VTM   ibuprofen',
+    '3002  GP    ibuprofen 400 mg tablet',
+    '4002  GPU   ibuprofen 400 mg tablet, 1 tablet'
+  ]);
+  assert.match(search.stderr, /Configuration loaded successfully/);
+  assert.match(search.stderr, /Indexing \d+ concepts/);
+
+  const inspect = runCli(['inspect', '2002', zipPath, '--graph', 'mermaid', ...flags]);
+  assert.equal(inspect.status, EXIT_CODES.SUCCESS, inspect.stderr);
+  assert.ok(inspect.stdout.startsWith('flowchart TD\n'));
+  assert.match(inspect.stderr, /Configuration loaded successfully/);
+});
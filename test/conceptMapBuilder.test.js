@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildConceptMaps } = require('../src/modules/conceptMapBuilder');
+const RelationshipGraph = require('../src/utils/RelationshipGraph');
+const RelationshipIndex = require('../src/utils/RelationshipIndex');
+const { processTMTData } = require('../src/index');
+const { createSampleCodeSystem, createSampleRelease, createReleaseZip, createTestConfig } = require('./helpers');
+
+const TP_TO_GP = { source: 'TP', target: 'GP', relationship: 'gptotp', equivalence: 'wider' };
+
+/**
+ * Build a graph from relationship files given as rows
+ * @param {Object} files - Map of relationship file pattern to its [parent, child] rows
+ * @returns {RelationshipGraph} The graph
+ */
+function createGraph(files) {
+  const graph = new RelationshipGraph();
+  Object.entries(files).forEach(([source, rows]) => {
+    graph.addSource(source, new RelationshipIndex([[`TMTID(${source})`, 'TMTID'], ...rows]));
+  });
+  return graph;
+}
+
+test('Each trade product maps to its generic product', () => {
+  const graph = createGraph({
+    gptotp: [['3001', '5001'], ['3002', '5002'], ['3001', '9999']],
+    vtmtogp: [['2001', '3001']]
+  });
+
+  const [conceptMap] = buildConceptMaps(createSampleCodeSystem(), graph, { maps: [TP_TO_GP] });
+
+  assert.equal(conceptMap.id, 'TMT-TP-to-GP');
+  assert.equal(conceptMap.url, 'http://tmt.this.or.th/cm/tp-to-gp');
+  assert.equal(conceptMap.sourceCanonical, 'http://tmt.this.or.th/vs/tp');
+  assert.equal(conceptMap.targetCanonical, 'http://tmt.this.or.th/vs/gp');
+  assert.deepEqual(conceptMap.group[0].element, [
+    { code: '5001', display: 'Paracap 500 mg tablet', target: [{ code: '3001', display: 'paracetamol 500 mg tablet', equivalence: 'wider' }] },
+    { code: '5002', display: 'Brufen 400 mg tablet', target: [{ code: '3002', display: 'ibuprofen 400 mg tablet', equivalence: 'wider' }] }
+  ]);
+});
+
+test('An edge also read from another relationship file is still mapped', () => {
+  const graph = createGraph({
+    gptotp: [['3001', '5001']],
+    gptotpu: [['3001', '5001']]
+  });
+
+  const [conceptMap] = buildConceptMaps(createSampleCodeSystem(), graph, { maps: [TP_TO_GP] });
+
+  assert.deepEqual(conceptMap.group[0].element.map(element => element.code), ['5001']);
+});
+
+test('Maps of relationship files that were not read are skipped', () => {
+  const graph = createGraph({ vtmtogp: [['2001', '3001']] });
+
+  assert.deepEqual(buildConceptMaps(createSampleCodeSystem(), graph, { maps: [TP_TO_GP] }), []);
+});
+
+test('A run writes a ConceptMap file per map', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-conceptmap-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const result = await processTMTData(createTestConfig(dir, { input: { zipFile: zipPath } }));
+
+  assert.equal(result.conceptMapFiles.length, 3);
+  const tpuToGpu = JSON.parse(fs.readFileSync(path.join(dir, 'output', 'ConceptMap-TMT-TPU-to-GPU.json'), 'utf8'));
+  assert.deepEqual(tpuToGpu.group[0].element.map(element => [element.code, element.target[0].code]), [['7001', '4001']]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConceptSearchIndex, tokenize } = require('../src/modules/conceptSearch');
+const { createSampleCodeSystem } = require('./helpers');
+
+/**
+ * Search the sample CodeSystem and keep the codes and scores of the results
+ * @param {ConceptSearchIndex} index - The index
+ * @param {string} query - The search text
+ * @param {Object} [options] - Search options
+ * @returns {Array<Array>} [code, score] per result, best match first
+ */
+function search(index, query, options) {
+  return index.search(query, options).map(result => [result.code, result.score]);
+}
+
+/**
+ * List the codes of the results of a search
+ * @param {ConceptSearchIndex} index - The index
+ * @param {string} query - The search text
+ * @param {Object} [options] - Search options
+ * @returns {Array<string>} The codes, best match first
+ */
+function searchCodes(index, query, options) {
+  return index.search(query, options).map(result => result.code);
+}
+
+const segmenters = [
+  { name: 'with the Thai segmentation of the runtime', segmenter: undefined },
+  { name: 'with character bigrams', segmenter: null }
+];
+
+for (const { name, segmenter } of segmenters) {
+  test(`Latin queries rank whole words, prefixes and displays starting with the query ${name}`, () => {
+    const index = new ConceptSearchIndex(createSampleCodeSystem(), { segmenter });
+
+    // A whole display word (3) with the exact display bonus (2) or the starts-with bonus (1)
+    assert.deepEqual(search(index, 'paracetamol'), [['1001', 5], ['2001', 5], ['3001', 4]]);
+
+    // A prefix earns 0.6 of the weight; ties go to the shorter display, then the lower code
+    assert.deepEqual(search(index, 'Para'), [['1001', 2.8], ['2001', 2.8], ['5001', 2.8], ['3001', 2.8]]);
+
+    // Every word has to match and the scores add up
+    assert.deepEqual(search(index, 'paracetamol 500'), [['3001', 7]]);
+
+    // Active concepts rank above inactive ones with the same score
+    assert.deepEqual(searchCodes(index, 'tablet'), ['5001', '3002', '3001', '5002']);
+  });
+
+  test(`A code typed in full ranks first ${name}`, () => {
+    const index = new ConceptSearchIndex(createSampleCodeSystem(), { segmenter });
+    assert.deepEqual(search(index, ' 3001 '), [['3001', 1000]]);
+    assert.deepEqual(search(index, '300'), []);
+  });
+
+  test(`Thai queries find the Thai designations ${name}`, () => {
+    const index = new ConceptSearchIndex(createSampleCodeSystem(), { segmenter });
+    assert.deepEqual(searchCodes(index, 'พาราเซตามอล'), ['1001', '3001']);
+    assert.deepEqual(searchCodes(index, 'พารา'), ['1001', '3001']);
+    assert.deepEqual(searchCodes(index, 'ไอบู'), ['1002', '3002']);
+    assert.deepEqual(searchCodes(index, 'ยาเม็ด'), ['3002', '3001']);
+
+    // Part of a transliterated name the segmentation splits differently
+    assert.deepEqual(searchCodes(index, 'เซตามอล'), ['1001', '3001']);
+    assert.deepEqual(searchCodes(index, 'โพรเฟน'), ['1002', '3002']);
+    assert.deepEqual(searchCodes(index, 'พาราเซตามอล 500'), ['3001']);
+  });
+
+  test(`The class and active filters and the limit apply to the results ${name}`, () => {
+    const index = new ConceptSearchIndex(createSampleCodeSystem(), { segmenter });
+    assert.deepEqual(searchCodes(index, 'tablet', { classes: ['GP'] }), ['3002', '3001']);
+    assert.deepEqual(searchCodes(index, 'tablet', { activeOnly: true }), ['5001', '3002', '3001']);
+    assert.deepEqual(searchCodes(index, 'tablet', { limit: 2 }), ['5001', '3002']);
+    assert.deepEqual(searchCodes(index, '3001', { classes: ['SUBS'] }), []);
+  });
+}
+
+test('Display words weigh more than designation words', () => {
+  const codeSystem = createSampleCodeSystem();
+  codeSystem.concept[1].designation.push({ language: 'en', value: 'paracetamol free' });
+  const index = new ConceptSearchIndex(codeSystem, { segmenter: null });
+
+  assert.deepEqual(search(index, 'paracetamol'), [['1001', 5], ['2001', 5], ['3001', 4], ['1002', 2]]);
+  assert.deepEqual(search(index, 'fre'), [['1002', 1.2]]);
+});
+
+test('Text is split into lower-case words around Thai runs', () => {
+  assert.deepEqual(tokenize('Paracetamol 500 mg/5 mL', null), ['paracetamol', '500', 'mg', '5', 'ml']);
+  assert.deepEqual(tokenize('ยา 500', null), ['ยา', '500']);
+  assert.deepEqual(tokenize('พารา', null), ['พา', 'าร', 'รา']);
+  assert.deepEqual(tokenize(null), []);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BASE_DIR, DEFAULT_CONFIG, mergeConfig, loadConfig, resolvePaths } = require('../src/config');
+
+test('The defaults are the values of config.json', () => {
+  const configJson = JSON.parse(fs.readFileSync(path.join(BASE_DIR, 'config.json'), 'utf8'));
+  assert.deepEqual(DEFAULT_CONFIG, configJson);
+  assert.deepEqual(loadConfig(), configJson);
+});
+
+test('A configuration file is merged over config.json', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-config-'));
+  try {
+    const configPath = path.join(dir, 'release.json');
+    fs.writeFileSync(configPath, JSON.stringify({ version: '20250505', output: { dir: 'release' } }));
+
+    const config = loadConfig(configPath);
+    assert.equal(config.version, '20250505');
+    assert.equal(config.output.dir, 'release');
+    assert.equal(config.output.fileName, DEFAULT_CONFIG.output.fileName);
+    assert.deepEqual(config.validation, DEFAULT_CONFIG.validation);
+
+    assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Configuration file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Undefined overrides keep the base value', () => {
+  const config = mergeConfig({ output: { dir: 'output', fileName: 'CS-TMT.json' } }, {
+    version: undefined,
+    output: { dir: undefined, fileName: 'CS-TMT-20250505.json' }
+  });
+  assert.deepEqual(config, { output: { dir: 'output', fileName: 'CS-TMT-20250505.json' } });
+});
+
+test('Relative paths are resolved against the application directory', () => {
+  const paths = resolvePaths(mergeConfig(DEFAULT_CONFIG, { version: '20250505' }));
+  assert.equal(paths.zipFile, path.join(BASE_DIR, 'input', 'TMTRF20250505.zip'));
+  assert.equal(paths.outputFile, path.join(BASE_DIR, 'output', DEFAULT_CONFIG.output.fileName));
+
+  const zipFile = path.join(os.tmpdir(), 'release.zip');
+  assert.equal(resolvePaths(mergeConfig(DEFAULT_CONFIG, { input: { zipFile } })).zipFile, zipFile);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convert } = require('../src/index');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-convert-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * List the values of a property of a concept
+ * @param {Object} concept - The concept
+ * @param {string} code - The property code
+ * @returns {Array<string>} The values, sorted
+ */
+function propertyValues(concept, code) {
+  return concept.property.filter(property => property.code === code).map(property => property.valueCode).sort();
+}
+
+test('convert returns the CodeSystem of a release without writing files', async () => {
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const extractDir = path.join(dir, 'temp');
+  const { codeSystem, validation } = await convert({ zipPath, version: '20250407', options: { extractDir } });
+
+  assert.equal(codeSystem.resourceType, 'CodeSystem');
+  assert.equal(codeSystem.version, '20250407');
+  assert.equal(codeSystem.date, '2025-04-07T00:00:00+07:00');
+  assert.equal(codeSystem.title, 'Thai Medicines Terminology (TMT) 20250407');
+  assert.equal(codeSystem.concept.length, 12);
+  assert.equal(codeSystem.concept.some(concept => concept.code === 'TEMPLATE'), false);
+
+  const gp = codeSystem.concept.find(concept => concept.code === '3001');
+  assert.equal(gp.display, 'paracetamol 500 mg tablet');
+  assert.deepEqual(propertyValues(gp, 'class'), ['GP']);
+  assert.deepEqual(propertyValues(gp, 'parent'), ['2001']);
+  assert.deepEqual(propertyValues(gp, 'child'), ['4001', '6001']);
+
+  assert.equal(validation.valid, true);
+  assert.equal(validation.stats.totalConcepts, 12);
+  assert.equal(fs.existsSync(extractDir), false);
+  assert.deepEqual(fs.readdirSync(dir), ['TMTRF20250407.zip']);
+});
+
+test('convert uses a template object and keeps the extracted files on request', async () => {
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const template = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../input/TMT-CS-template.json'), 'utf8'));
+  template.url = 'http://example.org/tmt';
+  const extractDir = path.join(dir, 'temp');
+
+  const { codeSystem } = await convert({ zipPath, template, version: '20250407', options: { extractDir, cleanup: false } });
+  assert.equal(codeSystem.url, 'http://example.org/tmt');
+  assert.notEqual(template.concept, codeSystem.concept);
+  assert.ok(fs.existsSync(path.join(extractDir, 'TMTRF20250407_BONUS')));
+});
+
+test('convert requires the zip path and the version', async () => {
+  await assert.rejects(convert({ version: '20250407' }), /zipPath is required/);
+  await assert.rejects(convert({ zipPath: path.join(dir, 'TMTRF20250407.zip') }), /version is required/);
+});
+
+test('Requiring the package exposes the API without running the command-line interface', () => {
+  const script = "console.log(typeof require('./index.js').convert);";
+  const result = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.resolve(__dirname, '..'),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, 'function\n');
+});
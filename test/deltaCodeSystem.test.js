@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findChangedConcepts, buildDeltaCodeSystem } = require('../src/modules/deltaCodeSystem');
+const { processTMTData } = require('../src/index');
+const { createConcept, createCodeSystem, createSampleRelease, createReleaseZip, createTestConfig } = require('./helpers');
+
+test('New and changed concepts are in the delta, unchanged ones are not', () => {
+  const previous = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] }),
+    createConcept('1002', 'ibuprofen', 'SUBS'),
+    createConcept('1003', 'aspirin', 'SUBS')
+  ], '20250407');
+  const current = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] }),
+    createConcept('1002', 'ibuprofen', 'SUBS', { status: 'inactive' }),
+    createConcept('1004', 'codeine', 'SUBS')
+  ], '20250505');
+
+  assert.deepEqual(findChangedConcepts(current, previous).map(concept => concept.code), ['1002', '1004']);
+});
+
+test('The order of properties and designations is not a change', () => {
+  const concept = createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { parents: ['2001'], children: ['4001', '6001'] });
+  concept.designation = [
+    { language: 'en', value: 'paracetamol 500 mg tablet' },
+    { language: 'th', value: 'พาราเซตามอล 500 มก. ยาเม็ด' }
+  ];
+  const reordered = {
+    ...concept,
+    property: [...concept.property].reverse(),
+    designation: [...concept.designation].reverse()
+  };
+
+  assert.deepEqual(findChangedConcepts(createCodeSystem([reordered]), createCodeSystem([concept])), []);
+});
+
+test('The delta is a fragment of the current CodeSystem', () => {
+  const previous = createCodeSystem([createConcept('1001', 'paracetamol', 'SUBS')], '20250407');
+  const current = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS'),
+    createConcept('1003', 'aspirin', 'SUBS')
+  ], '20250505');
+
+  const delta = buildDeltaCodeSystem(current, previous);
+
+  assert.equal(delta.content, 'fragment');
+  assert.equal(delta.id, 'TMT-delta');
+  assert.equal(delta.version, '20250505');
+  assert.equal(delta.title, 'Thai Medicines Terminology (TMT) 20250505 (changes since 20250407)');
+  assert.deepEqual(delta.property, current.property);
+  assert.deepEqual(delta.concept.map(concept => concept.code), ['1003']);
+  assert.equal(current.content, 'complete');
+});
+
+test('A run with a previous output writes the delta next to the CodeSystem', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-delta-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const previousZip = createReleaseZip(dir, '20250407', createSampleRelease());
+  const previousResult = await processTMTData(createTestConfig(dir, {
+    version: '20250407',
+    input: { zipFile: previousZip },
+    output: { fileName: 'CS-TMT-20250407.json' }
+  }));
+
+  const release = createSampleRelease();
+  release.concepts.SUBS.push({ code: 1003, FSN: 'aspirin' });
+  const currentZip = createReleaseZip(dir, '20250505', release);
+  const result = await processTMTData(createTestConfig(dir, {
+    version: '20250505',
+    input: { zipFile: currentZip, previousFile: previousResult.outputFile }
+  }));
+
+  assert.equal(result.deltaFile, path.join(dir, 'output', 'CS-TMT-delta.json'));
+  const delta = JSON.parse(fs.readFileSync(result.deltaFile, 'utf8'));
+  assert.equal(delta.content, 'fragment');
+  assert.deepEqual(delta.concept.map(concept => concept.code), ['1003']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DESIGNATION_USES,
+  processDesignationData,
+  createDesignation,
+  detectLanguage
+} = require('../src/modules/designationProcessor');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+const DESIGNATION_CONFIG = {
+  columns: {
+    FSN: { use: 'fsn' },
+    THAINAME: { use: 'preferred', language: 'th' },
+    SYNONYM: { use: 'synonym' }
+  }
+};
+
+/**
+ * Build an in-memory stand-in for an extracted release
+ * @param {Object} conceptFiles - Map of entity type to the rows of its concept file
+ * @param {Array<Array>} [snapshotRows] - The rows of the SNAPSHOT file
+ * @returns {Object} Object with the methods of TMTRelease the designation processor uses
+ */
+function createRelease(conceptFiles, snapshotRows) {
+  return {
+    findConceptFile: entityType => entityType,
+    findSnapshotFile: () => (snapshotRows ? 'SNAPSHOT' : null),
+    getConceptRows: filePath => (filePath === 'SNAPSHOT' ? snapshotRows : conceptFiles[filePath])
+  };
+}
+
+/**
+ * Find a concept of a CodeSystem by code
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} code - The concept code
+ * @returns {Object} The concept
+ */
+function findConcept(codeSystem, code) {
+  return codeSystem.concept.find(concept => concept.code === code);
+}
+
+test('The language of a name is detected from its script', () => {
+  assert.equal(detectLanguage('พาราเซตามอล'), 'th');
+  assert.equal(detectLanguage('paracetamol (พาราเซตามอล)'), 'th');
+  assert.equal(detectLanguage('paracetamol'), 'en');
+});
+
+test('Designations carry the configured use and language', () => {
+  assert.deepEqual(createDesignation(' paracetamol ', { use: 'fsn' }), {
+    language: 'en',
+    value: 'paracetamol',
+    use: DESIGNATION_USES.fsn
+  });
+  assert.equal(createDesignation('paracetamol', { use: 'synonym', language: 'th' }).language, 'th');
+  assert.equal(createDesignation('paracetamol', { use: 'other' }).use, undefined);
+  assert.equal(createDesignation('  ', { use: 'fsn' }), null);
+  assert.equal(createDesignation(null, { use: 'fsn' }), null);
+});
+
+test('Names of the concept and SNAPSHOT files are added once per concept', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP'),
+    createConcept('7001', 'TYLENOL 500 mg tablet, 1 tablet', 'TPU')
+  ]);
+  const release = createRelease(
+    {
+      GP: [
+        ['TMTID(GP)', 'FSN', 'Thai Name'],
+        [3001, 'paracetamol 500 mg tablet', 'พาราเซตามอล 500 มก. ยาเม็ด'],
+        [3001, 'paracetamol 500 mg tablet', '']
+      ],
+      // Without a header row the name column is the English FSN
+      TPU: [[7001, 'TYLENOL 500 mg tablet, 1 tablet']]
+    },
+    [
+      ['TPUID', 'GPUID', 'Synonym'],
+      [7001, 4001, 'Tylenol'],
+      [7002, 4001, 'Sara']
+    ]
+  );
+
+  const addedCount = processDesignationData(codeSystem, release, ['GP', 'TPU'], DESIGNATION_CONFIG, { codeColumn: ['TPUID', 'GPUID'] });
+
+  assert.equal(addedCount, 4);
+  assert.deepEqual(findConcept(codeSystem, '3001').designation.map(designation => [designation.language, designation.use.code, designation.value]), [
+    ['en', DESIGNATION_USES.fsn.code, 'paracetamol 500 mg tablet'],
+    ['th', 'display', 'พาราเซตามอล 500 มก. ยาเม็ด']
+  ]);
+  assert.deepEqual(findConcept(codeSystem, '7001').designation.map(designation => [designation.language, designation.use.code, designation.value]), [
+    ['en', DESIGNATION_USES.fsn.code, 'TYLENOL 500 mg tablet, 1 tablet'],
+    ['en', DESIGNATION_USES.synonym.code, 'Tylenol']
+  ]);
+});
+
+test('SNAPSHOT names are skipped when the SNAPSHOT is disabled', () => {
+  const codeSystem = createCodeSystem([createConcept('7001', 'TYLENOL 500 mg tablet, 1 tablet', 'TPU')]);
+  const release = createRelease({ TPU: [] }, [['TPUID', 'Synonym'], [7001, 'Tylenol']]);
+
+  assert.equal(processDesignationData(codeSystem, release, ['TPU'], DESIGNATION_CONFIG, { enabled: false, codeColumn: 'TPUID' }), 0);
+  assert.equal(findConcept(codeSystem, '7001').designation, undefined);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const errors = require('../src/utils/errors');
+const { convert } = require('../src/index');
+const { loadConfig } = require('../src/config');
+const { EXIT_CODES, main } = require('../src/cli');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-errors-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Every error type has its own code and exit code', () => {
+  const types = [
+    ['ZipExtractionError', 'ZIP_EXTRACTION_FAILED', 10],
+    ['MissingDirectoryError', 'MISSING_DIRECTORY', 11],
+    ['MissingConceptFileError', 'MISSING_CONCEPT_FILE', 12],
+    ['MissingRelationshipFileError', 'MISSING_RELATIONSHIP_FILE', 13],
+    ['SpreadsheetReadError', 'SPREADSHEET_UNREADABLE', 14],
+    ['TemplateInvalidError', 'TEMPLATE_INVALID', 15],
+    ['ConfigurationError', 'CONFIGURATION_INVALID', 16]
+  ];
+
+  for (const [name, code, exitCode] of types) {
+    const error = new errors[name]('Something is wrong', { path: 'input/file' });
+    assert.ok(error instanceof errors.TMTError);
+    assert.deepEqual(error.toJSON(), { name, code, exitCode, message: 'Something is wrong', details: { path: 'input/file' } });
+  }
+});
+
+test('The error summary describes converter and unexpected errors', () => {
+  const summary = errors.createErrorSummary(new errors.MissingConceptFileError('GPP file not found'), { version: '20250407' });
+  assert.equal(summary.status, 'failed');
+  assert.equal(summary.version, '20250407');
+  assert.equal(summary.error.code, 'MISSING_CONCEPT_FILE');
+
+  assert.deepEqual(errors.createErrorSummary(new TypeError('x is undefined')).error, {
+    name: 'TypeError',
+    code: 'UNEXPECTED_ERROR',
+    exitCode: 1,
+    message: 'x is undefined',
+    details: {}
+  });
+});
+
+test('convert rejects with the error type of what is wrong with the release', async () => {
+  const options = { extractDir: path.join(dir, 'temp') };
+  const convertRelease = (release, params = {}) => convert({
+    zipPath: createReleaseZip(dir, '20250407', release),
+    version: '20250407',
+    options,
+    ...params
+  });
+
+  await assert.rejects(convert({ zipPath: path.join(dir, 'missing.zip'), version: '20250407', options }), errors.ZipExtractionError);
+
+  const withoutGpp = createSampleRelease();
+  delete withoutGpp.concepts.GPP;
+  await assert.rejects(convertRelease(withoutGpp), errors.MissingConceptFileError);
+
+  const withoutGpuToGpp = createSampleRelease();
+  withoutGpuToGpp.relationships.GPUtoGPP = null;
+  await assert.rejects(convertRelease(withoutGpuToGpp), errors.MissingRelationshipFileError);
+
+  await assert.rejects(convertRelease(createSampleRelease(), { template: { resourceType: 'ValueSet' } }), errors.TemplateInvalidError);
+  await assert.rejects(convertRelease(createSampleRelease(), { templatePath: path.join(dir, 'missing.json') }), errors.TemplateInvalidError);
+
+  const emptyZip = path.join(dir, 'TMTRF20250505.zip');
+  const zip = new AdmZip();
+  zip.addFile('README.txt', Buffer.from('not a release'));
+  zip.writeZip(emptyZip);
+  await assert.rejects(convert({ zipPath: emptyZip, version: '20250505', options }), errors.MissingDirectoryError);
+});
+
+test('Missing conversion parameters and configuration files are configuration errors', async () => {
+  await assert.rejects(convert({ version: '20250407' }), { name: 'ConfigurationError', details: { parameter: 'zipPath' } });
+  await assert.rejects(convert({ zipPath: 'TMTRF20250407.zip' }), { name: 'ConfigurationError', details: { parameter: 'version' } });
+  assert.throws(() => loadConfig(path.join(dir, 'missing.json')), errors.ConfigurationError);
+});
+
+test('A failed run exits with the code of the error and writes the error summary', async () => {
+  const outFile = path.join(dir, 'output', 'CS-TMT.json');
+  const flags = ['--out', outFile, '--temp-dir', path.join(dir, 'temp')];
+
+  const exitCode = await main(['convert', '--version', '20250407', '--zip', path.join(dir, 'missing.zip'), ...flags]);
+  assert.equal(exitCode, 10);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'output', 'error-summary.json'), 'utf8'));
+  assert.equal(summary.error.code, 'ZIP_EXTRACTION_FAILED');
+  assert.equal(summary.version, '20250407');
+
+  assert.equal(await main(['convert', '--config', path.join(dir, 'missing.json')]), 16);
+});
+
+test('convert exits with the validation code when references are invalid, after writing the output', async () => {
+  const release = createSampleRelease();
+  release.relationships.GPtoTP.push([3002, 6999]);
+  const zipPath = createReleaseZip(dir, '20250407', release);
+  const outFile = path.join(dir, 'output', 'CS-TMT.json');
+
+  const exitCode = await main(['convert', '--version', '20250407', '--zip', zipPath, '--out', outFile, '--temp-dir', path.join(dir, 'temp')]);
+  assert.equal(exitCode, EXIT_CODES.VALIDATION_FAILED);
+  assert.ok(fs.existsSync(outFile));
+  assert.ok(fs.existsSync(path.join(dir, 'output', 'validation-report.json')));
+});
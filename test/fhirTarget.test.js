@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  FHIR_TARGETS,
+  getFhirTarget,
+  applyFhirTarget,
+  adaptConceptMap,
+  validateCodeSystemShape
+} = require('../src/modules/fhirTarget');
+const { ConfigurationError } = require('../src/utils/errors');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+const TEMPLATE_FILE = path.resolve(__dirname, '../input/TMT-CS-template.json');
+
+/**
+ * Read the bundled CodeSystem template
+ * @returns {Object} The template
+ */
+function readTemplate() {
+  return JSON.parse(fs.readFileSync(TEMPLATE_FILE, 'utf8'));
+}
+
+/**
+ * Get the URI a CodeSystem binds a property to
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} code - The property code
+ * @returns {string} The URI, or undefined if the property has none
+ */
+function propertyUri(codeSystem, code) {
+  return codeSystem.property.find(property => property.code === code).uri;
+}
+
+test('Targets are looked up case-insensitively and default to R4', () => {
+  assert.equal(getFhirTarget().name, 'r4');
+  assert.equal(getFhirTarget('R5').fhirVersion, '5.0.0');
+  assert.throws(() => getFhirTarget('dstu2'), ConfigurationError);
+});
+
+test('R4B binds and validates like R4', () => {
+  const { name, fhirVersion, ...r4b } = FHIR_TARGETS.r4b;
+  const { name: r4Name, fhirVersion: r4Version, ...r4 } = FHIR_TARGETS.r4;
+
+  assert.equal(fhirVersion, '4.3.0');
+  assert.deepEqual(r4b, r4);
+});
+
+test('status is bound to #status for R5 only', () => {
+  const r4 = readTemplate();
+  applyFhirTarget(r4, getFhirTarget('r4'));
+  assert.equal(propertyUri(r4, 'status'), undefined);
+  assert.equal(propertyUri(r4, 'inactive'), 'http://hl7.org/fhir/concept-properties#inactive');
+
+  const r5 = readTemplate();
+  applyFhirTarget(r5, getFhirTarget('r5'));
+  assert.equal(propertyUri(r5, 'status'), 'http://hl7.org/fhir/concept-properties#status');
+  assert.equal(propertyUri(r5, 'effectiveDate'), 'http://hl7.org/fhir/concept-properties#effectiveDate');
+});
+
+test('deprecationDate is bound to #deprecated for R4 and #deprecationDate for R5', () => {
+  ['r4', 'r4b'].forEach(name => {
+    const template = readTemplate();
+    applyFhirTarget(template, getFhirTarget(name));
+    assert.equal(propertyUri(template, 'deprecationDate'), 'http://hl7.org/fhir/concept-properties#deprecated');
+    assert.equal(propertyUri(template, 'effectiveDate'), undefined);
+    assert.deepEqual(validateCodeSystemShape({ ...template, concept: [] }, getFhirTarget(name)), []);
+  });
+
+  const template = readTemplate();
+  applyFhirTarget(template, getFhirTarget('r5'));
+  assert.equal(propertyUri(template, 'deprecationDate'), 'http://hl7.org/fhir/concept-properties#deprecationDate');
+  assert.deepEqual(validateCodeSystemShape({ ...template, concept: [] }, getFhirTarget('r5')), []);
+});
+
+test('A template declaring deprecated is bound like deprecationDate', () => {
+  const codeSystem = {
+    property: [{ code: 'deprecated', uri: 'http://hl7.org/fhir/concept-properties#deprecated', type: 'dateTime' }]
+  };
+
+  applyFhirTarget(codeSystem, getFhirTarget('r5'));
+  assert.equal(propertyUri(codeSystem, 'deprecated'), 'http://hl7.org/fhir/concept-properties#deprecationDate');
+  applyFhirTarget(codeSystem, getFhirTarget('r4'));
+  assert.equal(propertyUri(codeSystem, 'deprecated'), 'http://hl7.org/fhir/concept-properties#deprecated');
+});
+
+test('R5 ConceptMaps use relationship and scope canonicals', () => {
+  const conceptMap = {
+    resourceType: 'ConceptMap',
+    sourceCanonical: 'http://tmt.this.or.th/vs/tp',
+    targetCanonical: 'http://tmt.this.or.th/vs/gp',
+    group: [{ element: [{ code: '5001', target: [{ code: '3001', equivalence: 'wider' }] }] }]
+  };
+
+  assert.equal(adaptConceptMap(conceptMap, getFhirTarget('r4')), conceptMap);
+
+  const r5 = adaptConceptMap(conceptMap, getFhirTarget('r5'));
+  assert.equal(r5.sourceCanonical, undefined);
+  assert.equal(r5.sourceScopeCanonical, 'http://tmt.this.or.th/vs/tp');
+  assert.equal(r5.targetScopeCanonical, 'http://tmt.this.or.th/vs/gp');
+  assert.deepEqual(r5.group[0].element[0].target, [{ code: '3001', relationship: 'source-is-narrower-than-target' }]);
+});
+
+test('Shape issues are reported once per message with example codes', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS'),
+    createConcept('1002', 'ibuprofen', 'SUBS')
+  ]);
+  codeSystem.content = 'partial';
+  codeSystem.property.push({ code: 'effectiveDate', uri: 'http://hl7.org/fhir/concept-properties#effectiveDate', type: 'dateTime' });
+  codeSystem.concept.forEach(concept => concept.property.push({ code: 'strength', valueString: '500 mg' }));
+
+  const issues = validateCodeSystemShape(codeSystem, getFhirTarget('r4'));
+
+  assert.deepEqual(issues, [
+    { message: 'content "partial" is not a r4 content mode', count: 1, examples: [] },
+    { message: 'Property "status" uses http://hl7.org/fhir/concept-properties#status, which r4 does not define', count: 1, examples: [] },
+    { message: 'Property "effectiveDate" uses http://hl7.org/fhir/concept-properties#effectiveDate, which r4 does not define', count: 1, examples: [] },
+    { message: 'Concept property "strength" is not declared', count: 2, examples: ['1001', '1002'] }
+  ]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readJsonFile,
+  readNdjsonFile,
+  writeJsonFile,
+  writeCodeSystemFile,
+  writeNdjsonFile,
+  writeDelimitedFile
+} = require('../src/utils/fileUtils');
+const { createSampleCodeSystem } = require('./helpers');
+
+// A write that hangs fails the test instead of the run
+const TIMEOUT = { timeout: 10000 };
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-files-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Build enough lines to fill the buffer of a write stream
+ * @returns {Array<Object>} The items
+ */
+function createLargeItems() {
+  return Array.from({ length: 2000 }, (_, index) => ({ code: String(index), display: 'x'.repeat(100) }));
+}
+
+test('writeCodeSystemFile writes the same JSON as writeJsonFile', TIMEOUT, async () => {
+  const codeSystem = createSampleCodeSystem();
+  const expected = path.join(dir, 'expected.json');
+  writeJsonFile(expected, codeSystem);
+
+  const streamed = path.join(dir, 'streamed.json');
+  await writeCodeSystemFile(streamed, codeSystem);
+  assert.equal(fs.readFileSync(streamed, 'utf8'), fs.readFileSync(expected, 'utf8'));
+
+  const minified = path.join(dir, 'minified.json');
+  await writeCodeSystemFile(minified, codeSystem, { minify: true });
+  assert.equal(fs.readFileSync(minified, 'utf8'), JSON.stringify(codeSystem));
+
+  const compressed = path.join(dir, 'compressed.json.gz');
+  await writeCodeSystemFile(compressed, codeSystem, { gzip: true });
+  assert.deepEqual(readJsonFile(compressed), codeSystem);
+});
+
+test('writeCodeSystemFile streams large concept arrays', TIMEOUT, async () => {
+  const codeSystem = { ...createSampleCodeSystem(), concept: createLargeItems() };
+  const file = path.join(dir, 'large.json.gz');
+
+  await writeCodeSystemFile(file, codeSystem, { gzip: true });
+  assert.deepEqual(readJsonFile(file), codeSystem);
+});
+
+test('writeNdjsonFile writes one object per line', TIMEOUT, async () => {
+  const file = path.join(dir, 'items.ndjson');
+  const count = await writeNdjsonFile(file, [{ code: '1001' }, { code: '1002' }]);
+
+  assert.equal(count, 2);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"code":"1001"}\n{"code":"1002"}\n');
+  assert.deepEqual(readNdjsonFile(file), [{ code: '1001' }, { code: '1002' }]);
+
+  const compressed = path.join(dir, 'items.ndjson.gz');
+  await writeNdjsonFile(compressed, createLargeItems(), { gzip: true });
+  assert.deepEqual(readNdjsonFile(compressed), createLargeItems());
+});
+
+test('writeDelimitedFile quotes fields and starts with a byte order mark', TIMEOUT, async () => {
+  const file = path.join(dir, 'concepts.csv');
+  const count = await writeDelimitedFile(file, ['code', 'display'], [['1001', 'a, "b"'], ['1002', null]], { bom: true });
+
+  assert.equal(count, 2);
+  assert.equal(fs.readFileSync(file, 'utf8'), '\uFEFFcode,display\r\n1001,"a, ""b"""\r\n1002,\r\n');
+});
+
+test('A file that cannot be written rejects instead of hanging', TIMEOUT, async () => {
+  const missing = path.join(dir, 'missing', 'file');
+  const codeSystem = { ...createSampleCodeSystem(), concept: createLargeItems() };
+
+  await assert.rejects(writeCodeSystemFile(`${missing}.json`, codeSystem), { code: 'ENOENT' });
+  await assert.rejects(writeCodeSystemFile(`${missing}.json.gz`, codeSystem, { gzip: true }), { code: 'ENOENT' });
+  await assert.rejects(writeNdjsonFile(`${missing}.ndjson`, createLargeItems()), { code: 'ENOENT' });
+  await assert.rejects(writeNdjsonFile(`${missing}.ndjson.gz`, createLargeItems(), { gzip: true }), { code: 'ENOENT' });
+  await assert.rejects(
+    writeDelimitedFile(`${missing}.csv`, ['code', 'display'], createLargeItems().map(item => [item.code, item.display])),
+    { code: 'ENOENT' }
+  );
+
+  // Small files fail as well, once the stream opens the file
+  await assert.rejects(writeCodeSystemFile(`${missing}.json`, createSampleCodeSystem(), { minify: true }), { code: 'ENOENT' });
+});
+
+test('An error while producing the content rejects and closes the file', TIMEOUT, async () => {
+  const codeSystem = createSampleCodeSystem();
+  Object.defineProperty(codeSystem.concept, 1, {
+    enumerable: true,
+    get: () => { throw new Error('concept 2 is broken'); }
+  });
+
+  const file = path.join(dir, 'broken.json.gz');
+  await assert.rejects(writeCodeSystemFile(file, codeSystem, { gzip: true }), /concept 2 is broken/);
+
+  /**
+   * Yield a row and then fail
+   * @returns {Iterable<Array>} The rows
+   */
+  function* failingRows() {
+    yield ['1001', 'paracetamol'];
+    throw new Error('row 2 is broken');
+  }
+  await assert.rejects(writeDelimitedFile(path.join(dir, 'broken.csv'), ['code', 'display'], failingRows()), /row 2 is broken/);
+  await assert.rejects(writeNdjsonFile(path.join(dir, 'broken.ndjson.gz'), failingRows(), { gzip: true }), /row 2 is broken/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportFlatFiles } = require('../src/modules/flatExporter');
+const RelationshipGraph = require('../src/utils/RelationshipGraph');
+const RelationshipIndex = require('../src/utils/RelationshipIndex');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-flat-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Read the lines of a written file without its byte order mark
+ * @param {string} filePath - The file
+ * @returns {Array<string>} The lines
+ */
+function readLines(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  assert.ok(content.startsWith('﻿'));
+  return content.slice(1).split('\r\n').filter(line => line !== '');
+}
+
+/**
+ * Build a CodeSystem with a GPU and a TPU that is both its child and a child of its GPP
+ * @returns {Object} The CodeSystem
+ */
+function createFlatCodeSystem() {
+  const tpu = createConcept('7001', 'TYLENOL 500 mg tablet, 1 tablet', 'TPU', { parents: ['4001'] });
+  tpu.property.push({ code: 'manufacturer', valueString: 'JANSSEN, Thailand' });
+
+  return createCodeSystem([
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { children: ['7001'], thai: 'พาราเซตามอล 500 มก.' }),
+    tpu
+  ]);
+}
+
+test('Concepts are written with their Thai name and SNAPSHOT attributes', async () => {
+  const files = await exportFlatFiles(createFlatCodeSystem(), dir, { format: 'csv' }, null, {
+    attributes: { MANUFACTURER: 'manufacturer' }
+  });
+
+  assert.deepEqual(files, [path.join(dir, 'concepts.csv'), path.join(dir, 'relationships.csv')]);
+  assert.deepEqual(readLines(files[0]), [
+    'code,display,displayTh,class,status,manufacturer',
+    '4001,"paracetamol 500 mg tablet, 1 tablet",พาราเซตามอล 500 มก.,GPU,active,',
+    '7001,"TYLENOL 500 mg tablet, 1 tablet",,TPU,active,"JANSSEN, Thailand"'
+  ]);
+  assert.deepEqual(readLines(files[1]), ['source,target,type,sourceFile', '4001,7001,GPUtoTPU,']);
+});
+
+test('The relationships name every file an edge was read from', async () => {
+  const graph = new RelationshipGraph();
+  graph.addSource('gputotpu', new RelationshipIndex([['TMTID(GPU)', 'TMTID(TPU)'], ['4001', '7001']]), 'GPUtoTPU20250407.xls');
+  graph.addSource('tputotpu', new RelationshipIndex([['TMTID(GPU)', 'TMTID(TPU)'], ['4001', '7001']]));
+
+  const [, relationshipsFile] = await exportFlatFiles(createFlatCodeSystem(), dir, { format: 'tsv' }, graph);
+
+  assert.deepEqual(readLines(relationshipsFile), [
+    'source\ttarget\ttype\tsourceFile',
+    '4001\t7001\tGPUtoTPU\tGPUtoTPU20250407.xls|tputotpu'
+  ]);
+});
@@ -0,0 +1,205 @@
+/**
+ * Helpers building small CodeSystems and TMT release zips for the tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const { DEFAULT_CONFIG, mergeConfig } = require('../src/config');
+
+// Relationship files of a TMT release, from parent class to child class
+const RELATIONSHIP_FILES = [
+  'SUBStoVTM', 'VTMtoGP', 'GPtoTP', 'GPtoGPU', 'GPUtoTPU', 'GPUtoGPP',
+  'GPPtoGPP', 'GPPtoTPP', 'TPtoTPU', 'TPUtoTPP', 'TPPtoTPP'
+];
+
+/**
+ * Build a concept the way the processors do
+ * @param {string} code - The concept code
+ * @param {string} display - The English display
+ * @param {string} conceptClass - The TMT class (e.g. GP)
+ * @param {Object} [options] - Concept options
+ * @param {Array<string>} [options.parents] - Parent codes
+ * @param {Array<string>} [options.children] - Child codes
+ * @param {string} [options.status="active"] - The status
+ * @param {string} [options.thai] - Thai display designation
+ * @returns {Object} The concept
+ */
+function createConcept(code, display, conceptClass, options = {}) {
+  const property = [
+    { code: "class", valueCode: conceptClass },
+    { code: "status", valueCode: options.status || "active" }
+  ];
+  (options.parents || []).forEach(parent => property.push({ code: "parent", valueCode: parent }));
+  (options.children || []).forEach(child => property.push({ code: "child", valueCode: child }));
+
+  const concept = { code, display, property };
+  if (options.thai) {
+    concept.designation = [{
+      language: "th",
+      use: { system: "http://terminology.hl7.org/CodeSystem/designation-usage", code: "display" },
+      value: options.thai
+    }];
+  }
+  return concept;
+}
+
+/**
+ * Build a CodeSystem around a list of concepts
+ * @param {Array<Object>} concepts - The concepts
+ * @param {string} [version="20250407"] - The release version
+ * @returns {Object} The CodeSystem
+ */
+function createCodeSystem(concepts, version = '20250407') {
+  return {
+    resourceType: "CodeSystem",
+    id: "TMT",
+    url: "http://tmt.this.or.th",
+    version,
+    name: "TMT",
+    title: `Thai Medicines Terminology (TMT) ${version}`,
+    status: "active",
+    valueSet: "http://tmt.this.or.th/vs",
+    hierarchyMeaning: "is-a",
+    content: "complete",
+    filter: [
+      { code: "class", operator: ["=", "regex"], value: "The value of the property." },
+      { code: "status", operator: ["="], value: "The value of the property." }
+    ],
+    property: [
+      { code: "class", type: "code" },
+      { code: "status", uri: "http://hl7.org/fhir/concept-properties#status", type: "code" },
+      { code: "parent", uri: "http://hl7.org/fhir/concept-properties#parent", type: "code" },
+      { code: "child", uri: "http://hl7.org/fhir/concept-properties#child", type: "code" }
+    ],
+    concept: concepts
+  };
+}
+
+/**
+ * Build a small drug hierarchy: SUBS → VTM → GP → TP for paracetamol and ibuprofen
+ * @param {string} [version="20250407"] - The release version
+ * @returns {Object} The CodeSystem
+ */
+function createSampleCodeSystem(version = '20250407') {
+  return createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'], thai: 'พาราเซตามอล' }),
+    createConcept('1002', 'ibuprofen', 'SUBS', { children: ['2002'], thai: 'ไอบูโพรเฟน' }),
+    createConcept('2001', 'paracetamol', 'VTM', { parents: ['1001'], children: ['3001'] }),
+    createConcept('2002', 'ibuprofen', 'VTM', { parents: ['1002'], children: ['3002'] }),
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { parents: ['2001'], children: ['5001'], thai: 'พาราเซตามอล 500 มก. ยาเม็ด' }),
+    createConcept('3002', 'ibuprofen 400 mg tablet', 'GP', { parents: ['2002'], children: ['5002'], thai: 'ไอบูโพรเฟน 400 มก. ยาเม็ด' }),
+    createConcept('5001', 'Paracap 500 mg tablet', 'TP', { parents: ['3001'] }),
+    createConcept('5002', 'Brufen 400 mg tablet', 'TP', { parents: ['3002'], status: 'inactive' })
+  ], version);
+}
+
+/**
+ * Build the content of a small release with one paracetamol and one ibuprofen product line
+ * @returns {Object} Object with the concept rows per class and the [parent, child] rows per relationship file
+ */
+function createSampleRelease() {
+  return {
+    concepts: {
+      SUBS: [{ code: 1001, FSN: 'paracetamol' }, { code: 1002, FSN: 'ibuprofen' }],
+      VTM: [{ code: 2001, FSN: 'paracetamol' }, { code: 2002, FSN: 'ibuprofen' }],
+      GP: [{ code: 3001, FSN: 'paracetamol 500 mg tablet' }, { code: 3002, FSN: 'ibuprofen 400 mg tablet' }],
+      GPU: [{ code: 4001, FSN: 'paracetamol 500 mg tablet, 1 tablet' }, { code: 4002, FSN: 'ibuprofen 400 mg tablet, 1 tablet' }],
+      GPP: [{ code: 5001, FSN: 'paracetamol 500 mg tablet, 10 tablets' }],
+      TP: [{ code: 6001, FSN: 'TYLENOL (JANSSEN) (paracetamol 500 mg) tablet' }],
+      TPU: [{ code: 7001, FSN: 'TYLENOL (JANSSEN) (paracetamol 500 mg) tablet, 1 tablet' }],
+      TPP: [{ code: 8001, FSN: 'TYLENOL (JANSSEN) (paracetamol 500 mg) tablet, 10 tablets' }]
+    },
+    relationships: {
+      SUBStoVTM: [[1001, 2001], [1002, 2002]],
+      VTMtoGP: [[2001, 3001], [2002, 3002]],
+      GPtoTP: [[3001, 6001]],
+      GPtoGPU: [[3001, 4001], [3002, 4002]],
+      GPUtoTPU: [[4001, 7001]],
+      GPUtoGPP: [[4001, 5001]],
+      GPPtoTPP: [[5001, 8001]],
+      TPtoTPU: [[6001, 7001]],
+      TPUtoTPP: [[7001, 8001]]
+    }
+  };
+}
+
+/**
+ * Write rows as an Excel 97 sheet
+ * @param {string} filePath - Path of the .xls file
+ * @param {Array<Array>} rows - The rows, starting with the header row
+ */
+function writeSheet(filePath, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  XLSX.writeFile(workbook, filePath, { bookType: 'biff8' });
+}
+
+/**
+ * Write a TMT release zip with the layout of the published releases
+ * @param {string} dir - Directory to write TMTRF<version>.zip to
+ * @param {string} version - The release version (YYYYMMDD)
+ * @param {Object} release - The release content, see createSampleRelease; concept rows are
+ *   objects with the code and a value per further column (e.g. FSN, STATUS), and a
+ *   relationship file set to null is left out of the release
+ * @returns {string} Path of the zip file
+ */
+function createReleaseZip(dir, version, release) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-release-'));
+  const bonusDir = path.join(root, `TMTRF${version}_BONUS`);
+  fs.mkdirSync(path.join(root, `TMTRF${version}`));
+  fs.mkdirSync(path.join(bonusDir, 'Concept'), { recursive: true });
+  fs.mkdirSync(path.join(bonusDir, 'Relationship'));
+
+  try {
+    for (const [conceptClass, rows] of Object.entries(release.concepts)) {
+      const columns = Array.from(new Set(rows.flatMap(row => Object.keys(row).filter(key => key !== 'code'))));
+      writeSheet(
+        path.join(bonusDir, 'Concept', `${conceptClass}${version}.xls`),
+        [[`TMTID(${conceptClass})`, ...columns], ...rows.map(row => [row.code, ...columns.map(column => row[column])])]
+      );
+    }
+
+    RELATIONSHIP_FILES.filter(name => release.relationships[name] !== null).forEach(name => {
+      const [parentClass, childClass] = name.split('to');
+      writeSheet(
+        path.join(bonusDir, 'Relationship', `${name}${version}.xls`),
+        [[`TMTID(${parentClass})`, `TMTID(${childClass})`], ...(release.relationships[name] || [])]
+      );
+    });
+
+    const zipPath = path.join(dir, `TMTRF${version}.zip`);
+    const zip = new AdmZip();
+    zip.addLocalFolder(root);
+    zip.writeZip(zipPath);
+    return zipPath;
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build a configuration with the output and temp directories inside a directory
+ * @param {string} dir - The directory
+ * @param {Object} [overrides] - Configuration overrides, merged like the configuration file
+ * @returns {Object} The merged configuration
+ */
+function createTestConfig(dir, overrides = {}) {
+  const config = mergeConfig(DEFAULT_CONFIG, {
+    input: { dir: path.resolve(__dirname, '../input') },
+    output: { dir: path.join(dir, 'output') },
+    temp: { dir: path.join(dir, 'temp') },
+    snapshot: { enabled: false }
+  });
+  return mergeConfig(config, overrides);
+}
+
+module.exports = {
+  createConcept,
+  createCodeSystem,
+  createSampleCodeSystem,
+  createSampleRelease,
+  createReleaseZip,
+  createTestConfig
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHierarchy, formatHierarchyText, formatDot, formatMermaid } = require('../src/modules/hierarchyExplorer');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+/**
+ * Build a product line where the TPU is reached through both its GPU and its TP
+ * @returns {Object} The CodeSystem
+ */
+function createProductLine() {
+  return createCodeSystem([
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { children: ['4001', '6001'] }),
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { parents: ['3001'], children: ['7001'] }),
+    createConcept('6001', 'TYLENOL (JANSSEN) tablet', 'TP', { parents: ['3001'], children: ['7001'] }),
+    createConcept('7001', 'TYLENOL tablet, 1 tablet', 'TPU', { parents: ['4001', '6001'], children: ['8001'] }),
+    createConcept('8001', 'TYLENOL tablet, 10 tablets', 'TPP', { parents: ['7001'], status: 'inactive' })
+  ]);
+}
+
+test('A concept reached twice is listed once with its subtree and then marked (see above)', () => {
+  const text = formatHierarchyText(buildHierarchy(createProductLine(), '3001'));
+
+  assert.match(text, /^3001 \[GP\] paracetamol 500 mg tablet\n/);
+  assert.ok(text.endsWith([
+    'Descendants:',
+    '3001 [GP] paracetamol 500 mg tablet',
+    '├── 4001 [GPU] paracetamol 500 mg tablet, 1 tablet',
+    '│   └── 7001 [TPU] TYLENOL tablet, 1 tablet',
+    '│       └── 8001 [TPP] TYLENOL tablet, 10 tablets (inactive)',
+    '└── 6001 [TP] TYLENOL (JANSSEN) tablet',
+    '    └── 7001 [TPU] TYLENOL tablet, 1 tablet (see above)',
+    ''
+  ].join('\n')));
+});
+
+test('The trees stop at cycles, unknown codes and the depth limit', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('5001', 'paracetamol 500 mg tablet, 10 tablets', 'GPP', { parents: ['5002'], children: ['5002'] }),
+    createConcept('5002', 'paracetamol 500 mg tablet, 100 tablets', 'GPP', { parents: ['5001', '9999'], children: ['5001'] })
+  ]);
+
+  const hierarchy = buildHierarchy(codeSystem, '5001');
+  assert.deepEqual(hierarchy.descendants.nodes.map(node => node.code), ['5002']);
+  assert.deepEqual(hierarchy.descendants.nodes[0].nodes, []);
+  assert.deepEqual(hierarchy.ancestors.nodes[0].nodes.map(node => node.code), ['9999']);
+  assert.match(formatHierarchyText(hierarchy), /└── 9999 \(not in the CodeSystem\)/);
+
+  const limited = buildHierarchy(createProductLine(), '3001', { maxDepth: 1 });
+  assert.deepEqual(limited.descendants.nodes.map(node => node.nodes.length), [0, 0]);
+  assert.equal(buildHierarchy(createProductLine(), '1234'), null);
+});
+
+test('DOT labels escape backslashes and quotes', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('3001', 'paracetamol "500" mg\\tablet', 'GP', { children: ['4001'] }),
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { parents: ['3001'], status: 'inactive' })
+  ]);
+  const dot = formatDot(buildHierarchy(codeSystem, '3001'));
+
+  assert.ok(dot.startsWith('digraph TMT {\n'));
+  assert.match(dot, /^ {2}"3001" \[label="3001 \[GP\]\\nparacetamol \\"500\\" mg\\\\tablet", style=filled, fillcolor="#ffe08a"\];$/m);
+  assert.match(dot, /^ {2}"4001" \[label=".*", style=dashed\];$/m);
+  assert.match(dot, /^ {2}"3001" -> "4001";$/m);
+});
+
+test('Mermaid labels escape quotes and node ids keep letters, digits and underscores', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('TMT-3001', 'paracetamol "500" mg tablet', 'GP', { children: ['4001'] }),
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { parents: ['TMT-3001'] })
+  ]);
+  const mermaid = formatMermaid(buildHierarchy(codeSystem, '4001'));
+
+  assert.deepEqual(mermaid.split('\n'), [
+    'flowchart TD',
+    '  c4001["4001 [GPU]<br/>paracetamol 500 mg tablet, 1 tablet"]',
+    '  cTMT_3001["TMT-3001 [GP]<br/>paracetamol #quot;500#quot; mg tablet"]',
+    '  cTMT_3001 --> c4001',
+    '  style c4001 fill:#ffe08a',
+    ''
+  ]);
+});
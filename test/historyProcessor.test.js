@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convert } = require('../src/index');
+const { indexConcepts } = require('../src/utils/conceptUtils');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+/**
+ * Convert a release and index its concepts
+ * @param {Object} release - The release content, see createSampleRelease
+ * @returns {Promise<Map>} Map of concept code to concept
+ */
+async function convertRelease(release) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-history-'));
+  try {
+    const zipPath = createReleaseZip(dir, '20250505', release);
+    const { codeSystem } = await convert({
+      zipPath,
+      version: '20250505',
+      options: { extractDir: path.join(dir, 'temp'), snapshot: { enabled: false }, processors: ['SUBS', 'VTM', 'GP'] }
+    });
+    return indexConcepts(codeSystem);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('Change dates stored as Excel date cells become effective dates', async () => {
+  const release = createSampleRelease();
+  release.concepts.GP[0].CHANGEDATE = new Date(2025, 4, 5);
+  release.concepts.GP[0].STATUS = 'CHANGED';
+  release.concepts.GP[1].CHANGEDATE = 20250407;
+  release.concepts.GP[1].STATUS = 'INACTIVE';
+
+  const concepts = await convertRelease(release);
+  assert.deepEqual(concepts.get('3001').property.filter(property => property.code !== 'child' && property.code !== 'parent'), [
+    { code: 'class', valueCode: 'GP' },
+    { code: 'status', valueCode: 'active' },
+    { code: 'abstract', valueBoolean: false },
+    { code: 'inactive', valueBoolean: false },
+    { code: 'effectiveDate', valueDateTime: '2025-05-05T00:00:00+07:00' }
+  ]);
+  assert.deepEqual(concepts.get('3002').property.filter(property => ['status', 'inactive', 'effectiveDate', 'deprecationDate'].includes(property.code)), [
+    { code: 'status', valueCode: 'retired' },
+    { code: 'inactive', valueBoolean: true },
+    { code: 'effectiveDate', valueDateTime: '2025-04-07T00:00:00+07:00' },
+    { code: 'deprecationDate', valueDateTime: '2025-04-07T00:00:00+07:00' }
+  ]);
+});
+
+test('Concept files without history columns get no history properties', async () => {
+  const release = createSampleRelease();
+  release.concepts.GP.forEach(row => {
+    row.STATUS = 'NEW';
+  });
+
+  const concepts = await convertRelease(release);
+  assert.deepEqual(concepts.get('1001').property, [
+    { code: 'class', valueCode: 'SUBS' },
+    { code: 'status', valueCode: 'active' },
+    { code: 'abstract', valueBoolean: false },
+    { code: 'child', valueCode: '2001' }
+  ]);
+
+  // A file with only some of the columns still gets the inactive flag
+  const gp = concepts.get('3001').property.filter(property => ['status', 'inactive', 'effectiveDate'].includes(property.code));
+  assert.deepEqual(gp, [{ code: 'status', valueCode: 'active' }, { code: 'inactive', valueBoolean: false }]);
+});
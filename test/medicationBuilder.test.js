@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildMedicationResources } = require('../src/modules/medicationBuilder');
+const { processTMTData } = require('../src/index');
+const { createConcept, createCodeSystem, createSampleRelease, createReleaseZip, createTestConfig } = require('./helpers');
+
+/**
+ * Build a CodeSystem with one trade product unit and its generic ancestry
+ * @returns {Object} The CodeSystem
+ */
+function createMedicationCodeSystem() {
+  const tpu = createConcept('7001', 'TYLENOL 500 mg tablet, 1 tablet', 'TPU', { parents: ['4001'] });
+  tpu.property.push(
+    { code: 'manufacturer', valueString: 'JANSSEN' },
+    { code: 'strength', valueString: '500 mg' },
+    { code: 'packSize', valueInteger: 10 }
+  );
+  tpu.designation = [{ language: 'en', value: 'Tylenol' }];
+
+  return createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] }),
+    createConcept('2001', 'paracetamol', 'VTM', { parents: ['1001'], children: ['3001'] }),
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { parents: ['2001'], children: ['4001'] }),
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { parents: ['3001'], children: ['7001'], status: 'inactive' }),
+    tpu
+  ]);
+}
+
+test('Concepts of the configured classes become MedicationKnowledge and Medication resources', () => {
+  const { medicationKnowledge, medication } = buildMedicationResources(createMedicationCodeSystem(), { classes: ['TPU', 'GPU'] });
+
+  assert.deepEqual(medicationKnowledge.map(resource => resource.id), ['tmt-4001', 'tmt-7001']);
+  assert.deepEqual(medication.map(resource => resource.id), ['tmt-4001', 'tmt-7001']);
+  assert.equal(medicationKnowledge[0].status, 'inactive');
+
+  const tylenol = medicationKnowledge[1];
+  assert.equal(tylenol.status, 'active');
+  assert.deepEqual(tylenol.code.coding, [{ system: 'http://tmt.this.or.th', version: '20250407', code: '7001', display: 'TYLENOL 500 mg tablet, 1 tablet' }]);
+  assert.deepEqual(tylenol.manufacturer, { display: 'JANSSEN' });
+  assert.deepEqual(tylenol.synonym, ['Tylenol']);
+  assert.deepEqual(tylenol.packaging, { quantity: { value: 10 } });
+  assert.deepEqual(tylenol.drugCharacteristic, [{ type: { text: 'strength' }, valueString: '500 mg' }]);
+  assert.deepEqual(tylenol.relatedMedicationKnowledge, [{ type: { text: 'GPU' }, reference: [{ reference: 'MedicationKnowledge/tmt-4001' }] }]);
+});
+
+test('Ingredients are the SUBS ancestors of the concept', () => {
+  const { medication } = buildMedicationResources(createMedicationCodeSystem(), { classes: ['TPU'] });
+
+  assert.equal(medication.length, 1);
+  assert.deepEqual(medication[0].ingredient.map(ingredient => ingredient.itemCodeableConcept.coding[0].code), ['1001']);
+  assert.deepEqual(medication[0].manufacturer, { display: 'JANSSEN' });
+});
+
+test('A run with medications enabled writes one NDJSON file per resource type', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-medication-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const result = await processTMTData(createTestConfig(dir, { input: { zipFile: zipPath }, medications: { enabled: true, classes: ['TPU'] } }));
+
+  assert.deepEqual(result.medicationFiles, [
+    path.join(dir, 'output', 'MedicationKnowledge.ndjson'),
+    path.join(dir, 'output', 'Medication.ndjson')
+  ]);
+  const lines = fs.readFileSync(result.medicationFiles[0], 'utf8').trim().split('\n');
+  assert.equal(lines.length, 1);
+  assert.equal(JSON.parse(lines[0]).resourceType, 'MedicationKnowledge');
+});
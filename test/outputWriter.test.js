@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getManifestFile, writeCodeSystemOutput, readCodeSystemOutput } = require('../src/modules/outputWriter');
+const { loadCodeSystem } = require('../src/index');
+const { ConfigurationError } = require('../src/utils/errors');
+const { createSampleCodeSystem, createTestConfig } = require('./helpers');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-output-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+for (const outputConfig of [
+  { mode: 'ndjson' },
+  { mode: 'ndjson', gzip: true },
+  { mode: 'per-class' },
+  { mode: 'chunked', chunkSize: 3 },
+  { mode: 'chunked', chunkSize: 3, gzip: true }
+]) {
+  test(`The ${outputConfig.mode} output${outputConfig.gzip ? ' with gzip' : ''} is read back through its manifest`, async () => {
+    const codeSystem = createSampleCodeSystem();
+    const outputFile = path.join(dir, outputConfig.gzip ? 'CS-TMT.json.gz' : 'CS-TMT.json');
+    const { manifestFile } = await writeCodeSystemOutput(codeSystem, outputFile, outputConfig);
+
+    assert.equal(manifestFile, path.join(dir, 'CS-TMT-manifest.json'));
+    assert.equal(getManifestFile(outputFile), manifestFile);
+    assert.deepEqual(readCodeSystemOutput(manifestFile).concept, codeSystem.concept);
+    assert.equal(readCodeSystemOutput(manifestFile).content, 'complete');
+  });
+}
+
+test('loadCodeSystem finds the manifest of the configured output file', async () => {
+  const codeSystem = createSampleCodeSystem();
+  const outputFile = path.join(dir, 'CS-TMT.json');
+  await writeCodeSystemOutput(codeSystem, outputFile, { mode: 'per-class' });
+  const config = createTestConfig(dir);
+
+  const loaded = await loadCodeSystem(outputFile, config);
+  assert.equal(loaded.version, codeSystem.version);
+  assert.deepEqual(loaded.concept, codeSystem.concept);
+
+  const fromManifest = await loadCodeSystem(getManifestFile(outputFile), config);
+  assert.deepEqual(fromManifest, loaded);
+});
+
+test('A missing output or listed file and a foreign manifest are configuration errors', async () => {
+  const outputFile = path.join(dir, 'CS-TMT.json');
+  const config = createTestConfig(dir);
+  await assert.rejects(loadCodeSystem(outputFile, config), ConfigurationError);
+
+  const { files, manifestFile } = await writeCodeSystemOutput(createSampleCodeSystem(), outputFile, { mode: 'chunked', chunkSize: 3 });
+  fs.rmSync(files[1]);
+  assert.throws(() => readCodeSystemOutput(manifestFile), /CS-TMT-2\.json listed in .* not found/);
+
+  fs.writeFileSync(manifestFile, JSON.stringify({ mode: 'single', files: [] }));
+  assert.throws(() => readCodeSystemOutput(manifestFile), ConfigurationError);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProcessor = require('../src/modules/BaseProcessor');
+const {
+  registerProcessor,
+  getRegisteredEntityTypes,
+  getProcessors,
+  getRelationshipFilePatterns
+} = require('../src/modules/processorRegistry');
+const { convert } = require('../src/index');
+const { ConfigurationError } = require('../src/utils/errors');
+const { createSampleRelease, createReleaseZip } = require('./helpers');
+
+test('The built-in processors are registered in hierarchy order', () => {
+  assert.deepEqual(getRegisteredEntityTypes(), ['SUBS', 'VTM', 'GP', 'GPU', 'GPP', 'TPU', 'TP', 'TPP']);
+  assert.deepEqual(getProcessors().map(processor => processor.entityType), getRegisteredEntityTypes());
+});
+
+test('Processors are returned in the requested order', () => {
+  const processors = getProcessors(['GP', 'SUBS']);
+
+  assert.deepEqual(processors.map(processor => processor.entityType), ['GP', 'SUBS']);
+  assert.deepEqual(getRelationshipFilePatterns(processors).sort(), ['gptogpu', 'gptotp', 'substovtm', 'vtmtogp']);
+});
+
+test('Unknown processors and invalid registrations are configuration errors', () => {
+  assert.throws(() => getProcessors(['GP', 'XYZ']), error => {
+    assert.ok(error instanceof ConfigurationError);
+    assert.equal(error.exitCode, 16);
+    assert.deepEqual(error.details.unknown, ['XYZ']);
+    assert.ok(error.details.available.includes('GP'));
+    return true;
+  });
+  assert.throws(() => registerProcessor({ entityType: 'XYZ' }), ConfigurationError);
+  assert.throws(() => registerProcessor(null), ConfigurationError);
+});
+
+test('A registered processor can be selected by entity type', () => {
+  class ExampleProcessor extends BaseProcessor {
+    constructor() {
+      super('EXAMPLE', { parents: ['gptoexample'] });
+    }
+  }
+  registerProcessor(new ExampleProcessor());
+
+  assert.ok(getRegisteredEntityTypes().includes('EXAMPLE'));
+  assert.deepEqual(getProcessors(['EXAMPLE'])[0].getRelationshipFilePatterns(), ['gptoexample']);
+});
+
+test('convert only includes the selected classes', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const { codeSystem } = await convert({
+    zipPath,
+    version: '20250407',
+    options: { extractDir: path.join(dir, 'temp'), processors: ['SUBS', 'VTM', 'GP'] }
+  });
+
+  const classes = new Set(codeSystem.concept.map(concept =>
+    concept.property.find(property => property.code === 'class').valueCode));
+  assert.deepEqual(Array.from(classes).sort(), ['GP', 'SUBS', 'VTM']);
+  assert.equal(codeSystem.concept.length, 6);
+});
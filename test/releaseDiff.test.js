@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffCodeSystems, formatMarkdownReport, formatHtmlReport } = require('../src/modules/releaseDiff');
+const { diffReleases } = require('../src/index');
+const { createConcept, createCodeSystem, createSampleRelease, createReleaseZip, createTestConfig } = require('./helpers');
+
+test('Concepts new in the current release are added', () => {
+  const previous = createCodeSystem([createConcept('1001', 'paracetamol', 'SUBS')], '20250407');
+  const current = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS'),
+    createConcept('1003', 'aspirin', 'SUBS'),
+    createConcept('1004', 'codeine', 'SUBS', { status: 'inactive' })
+  ], '20250505');
+
+  const diff = diffCodeSystems(previous, current);
+  assert.deepEqual(diff.classes.SUBS.added, [{ code: '1003', display: 'aspirin' }]);
+  assert.equal(diff.summary.total.added, 1);
+  assert.deepEqual(diff.from, { version: '20250407', concepts: 1 });
+  assert.deepEqual(diff.to, { version: '20250505', concepts: 3 });
+});
+
+test('Concepts missing from or retired in the current release are retired', () => {
+  const previous = createCodeSystem([
+    createConcept('7001', 'TYLENOL tablet', 'TPU'),
+    createConcept('7002', 'BRUFEN tablet', 'TPU'),
+    createConcept('7003', 'PONSTAN capsule', 'TPU', { status: 'inactive' })
+  ]);
+  const current = createCodeSystem([
+    createConcept('7001', 'TYLENOL tablet', 'TPU', { status: 'retired' })
+  ]);
+
+  const diff = diffCodeSystems(previous, current);
+  assert.deepEqual(diff.classes.TPU.retired, [
+    { code: '7001', display: 'TYLENOL tablet' },
+    { code: '7002', display: 'BRUFEN tablet' }
+  ]);
+  assert.equal(diff.summary.byClass.TPU.retired, 2);
+});
+
+test('A retired concept that is active again counts as added', () => {
+  const previous = createCodeSystem([createConcept('7001', 'TYLENOL tablet', 'TPU', { status: 'retired' })]);
+  const current = createCodeSystem([createConcept('7001', 'TYLENOL tablet', 'TPU')]);
+
+  assert.deepEqual(diffCodeSystems(previous, current).classes.TPU.added, [{ code: '7001', display: 'TYLENOL tablet' }]);
+});
+
+test('Changed displays, classes and parents are renamed, reclassified and re-parented', () => {
+  const previous = createCodeSystem([
+    createConcept('3002', 'ibuprofen 400 mg film-coated tablet', 'GP', { parents: ['2002'] }),
+    createConcept('4003', 'ibuprofen 200 mg tablet', 'GP', { parents: ['2002'] })
+  ]);
+  const current = createCodeSystem([
+    createConcept('3002', 'ibuprofen 400 mg tablet', 'GP', { parents: ['2002'] }),
+    createConcept('4003', 'ibuprofen 200 mg tablet, 1 tablet', 'GPU', { parents: ['3002'] })
+  ]);
+
+  const diff = diffCodeSystems(previous, current);
+  assert.deepEqual(diff.classes.GP.renamed, [
+    { code: '3002', from: 'ibuprofen 400 mg film-coated tablet', to: 'ibuprofen 400 mg tablet' }
+  ]);
+
+  // A reclassified concept is reported under its new class
+  assert.deepEqual(diff.classes.GPU.reclassified, [
+    { code: '4003', display: 'ibuprofen 200 mg tablet, 1 tablet', from: 'GP', to: 'GPU' }
+  ]);
+  assert.deepEqual(diff.classes.GPU.renamed.map(change => change.code), ['4003']);
+  assert.deepEqual(diff.classes.GPU.reparented, [
+    { code: '4003', display: 'ibuprofen 200 mg tablet, 1 tablet', added: ['3002'], removed: ['2002'] }
+  ]);
+  assert.deepEqual(Object.keys(diff.classes), ['GP', 'GPU']);
+});
+
+test('Identical releases have no changes', () => {
+  const codeSystem = createCodeSystem([createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] })]);
+  const diff = diffCodeSystems(codeSystem, codeSystem);
+  assert.deepEqual(diff.summary.total, { added: 0, retired: 0, renamed: 0, reclassified: 0, reparented: 0 });
+});
+
+test('The reports list the changes with escaped text', () => {
+  const previous = createCodeSystem([createConcept('3001', 'a | b', 'GP')]);
+  const current = createCodeSystem([createConcept('3001', '<a> & b', 'GP')]);
+  const diff = diffCodeSystems(previous, current);
+
+  const markdown = formatMarkdownReport(diff);
+  assert.match(markdown, /### Renamed \(1\)/);
+  assert.match(markdown, /\| 3001 \| a \\\| b \| <a> & b \|/);
+
+  const html = formatHtmlReport(diff);
+  assert.match(html, /&lt;a&gt; &amp; b/);
+  assert.doesNotMatch(html, /<a>/);
+});
+
+test('diffReleases converts two release zips, writes the reports and removes the temp directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-diff-'));
+  try {
+    const previousZip = createReleaseZip(dir, '20250407', createSampleRelease());
+
+    // The next release adds aspirin, renames the ibuprofen GP and withdraws the Tylenol TP
+    const release = createSampleRelease();
+    release.concepts.SUBS.push({ code: 1003, FSN: 'aspirin' });
+    release.concepts.GP[1].FSN = 'ibuprofen 400 mg film-coated tablet';
+    release.concepts.TP = [];
+    release.relationships.GPtoTP = [];
+    release.relationships.TPtoTPU = [];
+    const currentZip = createReleaseZip(dir, '20250505', release);
+
+    const config = createTestConfig(dir);
+    const { diff, files } = await diffReleases(config, previousZip, currentZip);
+
+    assert.equal(diff.from.version, '20250407');
+    assert.equal(diff.to.version, '20250505');
+    assert.deepEqual(diff.summary.total, { added: 1, retired: 1, renamed: 1, reclassified: 0, reparented: 1 });
+    assert.deepEqual(diff.classes.SUBS.added, [{ code: '1003', display: 'aspirin' }]);
+    assert.deepEqual(diff.classes.TP.retired.map(change => change.code), ['6001']);
+    assert.deepEqual(diff.classes.GP.renamed.map(change => change.to), ['ibuprofen 400 mg film-coated tablet']);
+    assert.deepEqual(diff.classes.TPU.reparented, [
+      { code: '7001', display: 'TYLENOL (JANSSEN) (paracetamol 500 mg) tablet, 1 tablet', added: [], removed: ['6001'] }
+    ]);
+
+    const outputBase = path.join(dir, 'output', 'TMT-diff-20250407-20250505');
+    assert.deepEqual(files, ['json', 'md', 'html'].map(format => `${outputBase}.${format}`));
+    files.forEach(file => assert.ok(fs.existsSync(file), `${file} is written`));
+    assert.equal(fs.existsSync(config.temp.dir), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
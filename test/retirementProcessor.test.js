@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { retireMissingConcepts } = require('../src/modules/retirementProcessor');
+const { convert } = require('../src/index');
+const { getPropertyValue } = require('../src/utils/conceptUtils');
+const { createConcept, createCodeSystem, createSampleRelease, createReleaseZip } = require('./helpers');
+
+const RETIREMENT_DATE = '2025-05-05T00:00:00+07:00';
+
+test('Missing concepts are carried forward as retired without their hierarchy', () => {
+  const previous = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] }),
+    createConcept('1002', 'ibuprofen', 'SUBS', { children: ['2002'] })
+  ]);
+  const current = createCodeSystem([createConcept('1001', 'paracetamol', 'SUBS', { children: ['2001'] })]);
+
+  assert.equal(retireMissingConcepts(current, previous, RETIREMENT_DATE), 1);
+  const retired = current.concept[1];
+  assert.equal(retired.code, '1002');
+  assert.deepEqual(retired.property, [
+    { code: 'class', valueCode: 'SUBS' },
+    { code: 'status', valueCode: 'retired' },
+    { code: 'inactive', valueBoolean: true },
+    { code: 'deprecationDate', valueDateTime: RETIREMENT_DATE }
+  ]);
+});
+
+test('Concepts retired in an earlier release keep their deprecationDate but lose their hierarchy', () => {
+  const retired = createConcept('1002', 'ibuprofen', 'SUBS', { status: 'retired', children: ['2002'] });
+  retired.property.push({ code: 'deprecationDate', valueDateTime: '2025-04-07T00:00:00+07:00' });
+  const current = createCodeSystem([]);
+
+  retireMissingConcepts(current, createCodeSystem([retired]), RETIREMENT_DATE);
+  assert.deepEqual(current.concept[0].property, [
+    { code: 'class', valueCode: 'SUBS' },
+    { code: 'status', valueCode: 'retired' },
+    { code: 'deprecationDate', valueDateTime: '2025-04-07T00:00:00+07:00' }
+  ]);
+  assert.ok(retired.property.some(property => property.code === 'child'), 'the previous output is not modified');
+});
+
+test('Only concepts of the converted classes are retired', () => {
+  const previous = createCodeSystem([
+    createConcept('1001', 'paracetamol', 'SUBS'),
+    createConcept('1002', 'ibuprofen', 'SUBS'),
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP'),
+    createConcept('7001', 'TYLENOL tablet', 'TPU')
+  ]);
+  const current = createCodeSystem([createConcept('1001', 'paracetamol', 'SUBS')]);
+
+  assert.equal(retireMissingConcepts(current, previous, RETIREMENT_DATE, ['SUBS', 'VTM']), 1);
+  assert.deepEqual(current.concept.map(concept => concept.code), ['1001', '1002']);
+});
+
+test('Converting a subset of the classes against a complete previous output retires nothing else', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-retire-'));
+  try {
+    const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+    const options = { extractDir: path.join(dir, 'temp'), snapshot: { enabled: false } };
+    const { codeSystem: previous } = await convert({ zipPath, version: '20250407', options });
+
+    // An unchanged release
+    const unchanged = await convert({
+      zipPath,
+      version: '20250407',
+      options: { ...options, processors: ['SUBS', 'VTM'], previous }
+    });
+    const classes = unchanged.codeSystem.concept.map(concept => getPropertyValue(concept, 'class'));
+    assert.deepEqual(Array.from(new Set(classes)), ['SUBS', 'VTM']);
+    assert.equal(unchanged.codeSystem.concept.length, 4);
+    assert.deepEqual(unchanged.delta.concept, []);
+
+    // A release without ibuprofen retires the SUBS concept only
+    const release = createSampleRelease();
+    release.concepts.SUBS.pop();
+    release.relationships.SUBStoVTM.pop();
+    const nextZip = createReleaseZip(dir, '20250505', release);
+    const next = await convert({
+      zipPath: nextZip,
+      version: '20250505',
+      options: { ...options, processors: ['SUBS', 'VTM'], previous }
+    });
+    const retired = next.codeSystem.concept.filter(concept => getPropertyValue(concept, 'status') === 'retired');
+    assert.deepEqual(retired.map(concept => concept.code), ['1002']);
+
+    // Retired concepts are added before the validation, which checks them like the others
+    assert.equal(next.validation.stats.totalConcepts, next.codeSystem.concept.length);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
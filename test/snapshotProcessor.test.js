@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processSnapshotData, createPropertyValue } = require('../src/modules/snapshotProcessor');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+// SNAPSHOT rows with one row per ingredient of a product
+const SNAPSHOT_ROWS = [
+  ['TPUID', 'GPUID', 'FSN', 'Manufacturer', 'Strength', 'Pack Size'],
+  [7001, 4001, 'TYLENOL (paracetamol 500 mg) tablet', 'JANSSEN', '500 mg', '10'],
+  [7001, 4001, 'TYLENOL (paracetamol 500 mg) tablet', 'JANSSEN', '500 mg', '10'],
+  [7002, 4001, 'SARA (paracetamol 500 mg) tablet', 'THAI NAKORN PATANA', '500 mg', ''],
+  [null, null, 'row without a TMTID']
+];
+
+/**
+ * Build an in-memory stand-in for an extracted release with a SNAPSHOT file
+ * @param {Array<Array>} rows - The SNAPSHOT rows
+ * @returns {Object} Object with the methods of TMTRelease the SNAPSHOT processor uses
+ */
+function createRelease(rows) {
+  return {
+    findSnapshotFile: () => 'TMTRF20250407_SNAPSHOT.xls',
+    getConceptRows: () => rows
+  };
+}
+
+/**
+ * Build a CodeSystem declaring some of the SNAPSHOT properties
+ * @returns {Object} The CodeSystem
+ */
+function createSnapshotCodeSystem() {
+  const codeSystem = createCodeSystem([
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU'),
+    createConcept('7001', 'TYLENOL (paracetamol 500 mg) tablet, 1 tablet', 'TPU'),
+    createConcept('7002', 'SARA (paracetamol 500 mg) tablet, 1 tablet', 'TPU')
+  ]);
+  codeSystem.property.push(
+    { code: 'manufacturer', type: 'string' },
+    { code: 'strength', type: 'string' },
+    { code: 'packSize', type: 'integer' }
+  );
+  return codeSystem;
+}
+
+/**
+ * List the SNAPSHOT properties of a concept
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} code - The concept code
+ * @returns {Array<Object>} The properties other than class, status, parent and child
+ */
+function snapshotProperties(codeSystem, code) {
+  return codeSystem.concept.find(concept => concept.code === code).property
+    .filter(property => !['class', 'status', 'parent', 'child'].includes(property.code));
+}
+
+test('Attributes declared in the template are added once per concept', () => {
+  const codeSystem = createSnapshotCodeSystem();
+  const snapshot = { codeColumn: 'TPUID', attributes: { MANUFACTURER: 'manufacturer', PACKSIZE: 'packSize', FSN: 'fsn' } };
+
+  assert.equal(processSnapshotData(codeSystem, createRelease(SNAPSHOT_ROWS), snapshot), 2);
+
+  assert.deepEqual(snapshotProperties(codeSystem, '7001'), [
+    { code: 'manufacturer', valueString: 'JANSSEN' },
+    { code: 'packSize', valueInteger: 10 }
+  ]);
+  assert.deepEqual(snapshotProperties(codeSystem, '7002'), [{ code: 'manufacturer', valueString: 'THAI NAKORN PATANA' }]);
+  assert.deepEqual(snapshotProperties(codeSystem, '4001'), []);
+});
+
+test('Attributes are added to the concepts of every listed code column', () => {
+  const codeSystem = createSnapshotCodeSystem();
+  const snapshot = { codeColumn: ['TPUID', 'GPUID'], attributes: { STRENGTH: 'strength' } };
+
+  assert.equal(processSnapshotData(codeSystem, createRelease(SNAPSHOT_ROWS), snapshot), 3);
+
+  assert.deepEqual(snapshotProperties(codeSystem, '4001'), [{ code: 'strength', valueString: '500 mg' }]);
+  assert.deepEqual(snapshotProperties(codeSystem, '7002'), [{ code: 'strength', valueString: '500 mg' }]);
+});
+
+test('A missing code column or SNAPSHOT file adds no attributes', () => {
+  const codeSystem = createSnapshotCodeSystem();
+
+  assert.equal(processSnapshotData(codeSystem, createRelease(SNAPSHOT_ROWS), { codeColumn: 'TPPID', attributes: { STRENGTH: 'strength' } }), 0);
+  assert.equal(processSnapshotData(codeSystem, { findSnapshotFile: () => null }, { codeColumn: 'TPUID', attributes: {} }), 0);
+  assert.deepEqual(snapshotProperties(codeSystem, '7001'), []);
+});
+
+test('dateTime attributes go through the date formatter', () => {
+  assert.deepEqual(createPropertyValue('registrationDate', 'dateTime', 45782), { code: 'registrationDate', valueDateTime: '2025-05-05T00:00:00+07:00' });
+  assert.deepEqual(createPropertyValue('registrationDate', 'dateTime', '20250505'), { code: 'registrationDate', valueDateTime: '2025-05-05T00:00:00+07:00' });
+  assert.equal(createPropertyValue('registrationDate', 'dateTime', 'soon'), null);
+});
+
+test('Attributes get the value element of their declared type', () => {
+  assert.deepEqual(createPropertyValue('packSize', 'integer', '10'), { code: 'packSize', valueInteger: 10 });
+  assert.equal(createPropertyValue('packSize', 'integer', '1.5'), null);
+  assert.deepEqual(createPropertyValue('strength', 'string', ' 500 mg '), { code: 'strength', valueString: '500 mg' });
+  assert.deepEqual(createPropertyValue('abstract', 'boolean', 'Y'), { code: 'abstract', valueBoolean: true });
+  assert.equal(createPropertyValue('strength', 'string', '  '), null);
+});
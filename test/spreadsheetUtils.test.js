@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeColumnName, findColumn, formatDateTime } = require('../src/utils/spreadsheetUtils');
+
+test('Columns are found whatever their case and punctuation', () => {
+  assert.equal(normalizeColumnName('Dosage Form'), 'DOSAGEFORM');
+  assert.equal(normalizeColumnName(null), '');
+  assert.equal(findColumn(['TPUID', 'Dosage Form'], 'DOSAGEFORM'), 1);
+  assert.equal(findColumn(['TPUID'], 'FSN'), -1);
+});
+
+test('Dates are formatted as FHIR dateTimes in Thai time', () => {
+  assert.equal(formatDateTime('20250505'), '2025-05-05T00:00:00+07:00');
+  assert.equal(formatDateTime(20250505), '2025-05-05T00:00:00+07:00');
+  assert.equal(formatDateTime('2025-05-05'), '2025-05-05T00:00:00+07:00');
+  assert.equal(formatDateTime('2025-05-05T10:30:00+07:00'), '2025-05-05T10:30:00+07:00');
+});
+
+test('Excel date serial numbers are converted to dates', () => {
+  assert.equal(formatDateTime(45782), '2025-05-05T00:00:00+07:00');
+  assert.equal(formatDateTime(45782.75), '2025-05-05T00:00:00+07:00');
+  assert.equal(formatDateTime(61), '1900-03-01T00:00:00+07:00');
+  assert.equal(formatDateTime(36526), '2000-01-01T00:00:00+07:00');
+});
+
+test('Values that are not dates are not formatted', () => {
+  [undefined, null, '', 'unknown', '45782', 12, -1, 3000000].forEach(value => {
+    assert.equal(formatDateTime(value), null, `${value} is not a date`);
+  });
+});
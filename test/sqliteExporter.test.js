@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { exportToSqlite } = require('../src/modules/sqliteExporter');
+const { createConcept, createCodeSystem, createSampleCodeSystem } = require('./helpers');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-sqlite-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Export a CodeSystem and run a query against the database
+ * @param {Object} codeSystem - The CodeSystem
+ * @param {string} sql - The query
+ * @returns {Promise<Object>} Object with the export counts and the result rows
+ */
+async function exportAndQuery(codeSystem, sql) {
+  const file = path.join(dir, 'TMT.sqlite');
+  const counts = await exportToSqlite(codeSystem, file);
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(file));
+  try {
+    const [result] = db.exec(sql);
+    return { counts, rows: result ? result.values : [] };
+  } finally {
+    db.close();
+  }
+}
+
+test('Concepts, properties and designations are exported', async () => {
+  const { counts, rows } = await exportAndQuery(
+    createSampleCodeSystem(),
+    "SELECT code, display, class, status, inactive FROM concepts WHERE class = 'TP' ORDER BY code"
+  );
+
+  assert.deepEqual(counts, { concepts: 8, edges: 6, closure: 8 + 6 + 4 + 2 });
+  assert.deepEqual(rows, [
+    ['5001', 'Paracap 500 mg tablet', 'TP', 'active', 0],
+    ['5002', 'Brufen 400 mg tablet', 'TP', 'inactive', 1]
+  ]);
+});
+
+test('The closure records each ancestor of a diamond once, at its shortest depth', async () => {
+  // GPP 5001 is reached from TPP 8001 through TPU 7001 and directly; GPU 4001 through TPU 7001 and GPP 5001
+  const codeSystem = createCodeSystem([
+    createConcept('4001', 'paracetamol 500 mg tablet, 1 tablet', 'GPU', { children: ['5001', '7001'] }),
+    createConcept('5001', 'paracetamol 500 mg tablet, 10 tablets', 'GPP', { parents: ['4001'], children: ['8001'] }),
+    createConcept('7001', 'TYLENOL 500 mg tablet, 1 tablet', 'TPU', { parents: ['4001'], children: ['8001'] }),
+    createConcept('8001', 'TYLENOL 500 mg tablet, 10 tablets', 'TPP', { parents: ['5001', '7001'] })
+  ]);
+
+  const { counts, rows } = await exportAndQuery(
+    codeSystem,
+    "SELECT ancestor, depth FROM closure WHERE descendant = '8001' ORDER BY depth, ancestor"
+  );
+
+  assert.equal(counts.edges, 4);
+  assert.deepEqual(rows, [['8001', 0], ['5001', 1], ['7001', 1], ['4001', 2]]);
+});
+
+test('A cycle in the hierarchy ends the closure walk', async () => {
+  const codeSystem = createCodeSystem([
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { parents: ['3002'] }),
+    createConcept('3002', 'paracetamol 500 mg tablet', 'GP', { parents: ['3001'] })
+  ]);
+
+  const { rows } = await exportAndQuery(codeSystem, 'SELECT ancestor, descendant, depth FROM closure ORDER BY descendant, depth');
+
+  assert.deepEqual(rows, [['3001', '3001', 0], ['3002', '3001', 1], ['3002', '3002', 0], ['3001', '3002', 1]]);
+});
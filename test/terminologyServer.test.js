@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTerminologyServer } = require('../src/modules/terminologyServer');
+const { createSampleCodeSystem } = require('./helpers');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = createTerminologyServer(createSampleCodeSystem(), { fhirVersion: '4.0.1' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a request to the test server
+ * @param {string} path - The path with its query string
+ * @param {Object} [body] - Resource to POST; without one the request is a GET
+ * @returns {Promise<Object>} Object with the status, content type and parsed body
+ */
+async function request(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/fhir+json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+    body: await response.json()
+  };
+}
+
+test('GET /metadata returns the CapabilityStatement', async () => {
+  const { status, contentType, body } = await request('/metadata');
+  assert.equal(status, 200);
+  assert.match(contentType, /^application\/fhir\+json/);
+  assert.equal(body.resourceType, 'CapabilityStatement');
+  assert.equal(body.fhirVersion, '4.0.1');
+});
+
+test('GET operations answer with query parameters', async () => {
+  const lookup = await request('/CodeSystem/$lookup?system=http://tmt.this.or.th&code=3001');
+  assert.equal(lookup.status, 200);
+  assert.equal(lookup.body.parameter.find(parameter => parameter.name === 'display').valueString, 'paracetamol 500 mg tablet');
+
+  const subsumes = await request('/CodeSystem/$subsumes?codeA=1001&codeB=5001');
+  assert.deepEqual(subsumes.body.parameter, [{ name: 'outcome', valueCode: 'subsumes' }]);
+
+  const validate = await request('/CodeSystem/$validate-code?url=http://tmt.this.or.th&code=9999');
+  assert.equal(validate.status, 200);
+  assert.equal(validate.body.parameter[0].valueBoolean, false);
+
+  const expand = await request('/ValueSet/TMT-GP/$expand');
+  assert.equal(expand.status, 200);
+  assert.deepEqual(expand.body.expansion.contains.map(entry => entry.code), ['3001', '3002']);
+
+  const member = await request('/ValueSet/$validate-code?url=http://tmt.this.or.th/vs/tp&code=5001');
+  assert.equal(member.body.parameter[0].valueBoolean, true);
+});
+
+test('POST operations read a Parameters resource', async () => {
+  const lookup = await request('/CodeSystem/$lookup', {
+    resourceType: 'Parameters',
+    parameter: [{ name: 'coding', valueCoding: { system: 'http://tmt.this.or.th', code: '2002' } }]
+  });
+  assert.equal(lookup.status, 200);
+  assert.equal(lookup.body.parameter.find(parameter => parameter.name === 'display').valueString, 'ibuprofen');
+
+  const expand = await request('/ValueSet/$expand', {
+    resourceType: 'Parameters',
+    parameter: [
+      {
+        name: 'valueSet',
+        resource: {
+          resourceType: 'ValueSet',
+          compose: { include: [{ system: 'http://tmt.this.or.th', filter: [{ property: 'class', op: '=', value: 'SUBS' }] }] }
+        }
+      },
+      { name: 'count', valueInteger: 1 }
+    ]
+  });
+  assert.equal(expand.status, 200);
+  assert.equal(expand.body.expansion.total, 2);
+  assert.deepEqual(expand.body.expansion.contains.map(entry => entry.code), ['1001']);
+});
+
+test('Operation errors are answered with an OperationOutcome', async () => {
+  const unknownCode = await request('/CodeSystem/$lookup?code=9999');
+  assert.equal(unknownCode.status, 404);
+  assert.equal(unknownCode.body.resourceType, 'OperationOutcome');
+  assert.equal(unknownCode.body.issue[0].code, 'not-found');
+
+  const missingCode = await request('/CodeSystem/$subsumes?codeA=1001');
+  assert.equal(missingCode.status, 400);
+  assert.equal(missingCode.body.issue[0].code, 'required');
+
+  const unknownValueSet = await request('/ValueSet/TMT-XYZ/$expand');
+  assert.equal(unknownValueSet.status, 404);
+
+  const unsupportedFilter = await request('/ValueSet/$expand?url=http://tmt.this.or.th/vs&count=abc');
+  assert.equal(unsupportedFilter.status, 400);
+  assert.equal(unsupportedFilter.body.issue[0].code, 'invalid');
+});
+
+test('POST bodies must be a JSON Parameters resource', async () => {
+  const notParameters = await request('/CodeSystem/$lookup', { resourceType: 'Patient' });
+  assert.equal(notParameters.status, 400);
+  assert.match(notParameters.body.issue[0].diagnostics, /Parameters resource/);
+
+  const notJson = await request('/CodeSystem/$lookup', '{not json');
+  assert.equal(notJson.status, 400);
+  assert.match(notJson.body.issue[0].diagnostics, /not valid JSON/);
+});
+
+test('A body larger than 1 MB is rejected with 413', async () => {
+  const { status, body } = await request('/CodeSystem/$lookup', {
+    resourceType: 'Parameters',
+    parameter: [{ name: 'display', valueString: 'x'.repeat(1024 * 1024 + 1) }]
+  });
+  assert.equal(status, 413);
+  assert.equal(body.issue[0].code, 'too-costly');
+});
+
+test('Unknown endpoints and methods are rejected', async () => {
+  const unknownPath = await request('/Patient/$everything');
+  assert.equal(unknownPath.status, 404);
+  assert.equal(unknownPath.body.resourceType, 'OperationOutcome');
+  assert.equal(unknownPath.body.issue[0].code, 'not-supported');
+
+  const unknownOperation = await request('/CodeSystem/$translate');
+  assert.equal(unknownOperation.status, 404);
+
+  const response = await fetch(`${baseUrl}/CodeSystem/$lookup?code=3001`, { method: 'DELETE' });
+  assert.equal(response.status, 405);
+  assert.equal((await response.json()).issue[0].code, 'not-supported');
+});
+
+test('A malformed percent-encoding in the path is rejected with 400', async () => {
+  const { status, body } = await request('/CodeSystem/%E0%A4/$lookup?code=3001');
+  assert.equal(status, 400);
+  assert.equal(body.resourceType, 'OperationOutcome');
+  assert.equal(body.issue[0].code, 'invalid');
+  assert.match(body.issue[0].diagnostics, /not validly percent-encoded/);
+});
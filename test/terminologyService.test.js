@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TerminologyService, OperationError } = require('../src/modules/terminologyService');
+const { createSampleCodeSystem } = require('./helpers');
+
+const SYSTEM = 'http://tmt.this.or.th';
+
+/**
+ * Build operation parameters from an object of name to value
+ * @param {Object} values - The parameter values; arrays give a parameter several values
+ * @returns {Map} Map of parameter name to values
+ */
+function params(values) {
+  return new Map(Object.entries(values).map(([name, value]) => [name, Array.isArray(value) ? value : [value]]));
+}
+
+/**
+ * Get the value of a parameter of a Parameters resource
+ * @param {Object} resource - The Parameters resource
+ * @param {string} name - The parameter name
+ * @returns {*} The value, or undefined if the parameter is missing
+ */
+function valueOf(resource, name) {
+  const parameter = resource.parameter.find(candidate => candidate.name === name);
+  if (!parameter) return undefined;
+  const valueKey = Object.keys(parameter).find(key => key.startsWith('value'));
+  return parameter[valueKey];
+}
+
+/**
+ * Assert that an operation fails with an OperationError
+ * @param {Function} operation - The operation
+ * @param {number} status - The expected HTTP status
+ * @param {string} issueCode - The expected issue type of the OperationOutcome
+ */
+function assertOperationError(operation, status, issueCode) {
+  assert.throws(operation, error => {
+    assert.ok(error instanceof OperationError);
+    assert.equal(error.status, status);
+    const outcome = error.toOperationOutcome();
+    assert.equal(outcome.resourceType, 'OperationOutcome');
+    assert.equal(outcome.issue[0].code, issueCode);
+    return true;
+  });
+}
+
+test('$lookup returns the display, designations and properties of a code', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const result = service.lookup(params({ system: SYSTEM, code: '3001' }));
+
+  assert.equal(result.resourceType, 'Parameters');
+  assert.equal(valueOf(result, 'display'), 'paracetamol 500 mg tablet');
+  assert.equal(valueOf(result, 'version'), '20250407');
+  const designation = result.parameter.find(parameter => parameter.name === 'designation');
+  assert.equal(designation.part.find(part => part.name === 'value').valueString, 'พาราเซตามอล 500 มก. ยาเม็ด');
+  const properties = result.parameter.filter(parameter => parameter.name === 'property').map(parameter => parameter.part[0].valueCode);
+  assert.deepEqual(properties, ['class', 'status', 'parent', 'child']);
+});
+
+test('$lookup only returns the requested properties', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const result = service.lookup(params({ code: '3001', property: ['class'] }));
+
+  assert.equal(result.parameter.filter(parameter => parameter.name === 'designation').length, 0);
+  const properties = result.parameter.filter(parameter => parameter.name === 'property');
+  assert.deepEqual(properties.map(parameter => parameter.part[1].valueCode), ['GP']);
+});
+
+test('$lookup fails for a missing code, an unknown code or another system', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  assertOperationError(() => service.lookup(params({ system: SYSTEM })), 400, 'required');
+  assertOperationError(() => service.lookup(params({ code: '9999' })), 404, 'not-found');
+  assertOperationError(() => service.lookup(params({ system: 'http://snomed.info/sct', code: '3001' })), 404, 'not-found');
+  assertOperationError(() => service.lookup(params({ code: '3001', version: '20240101' })), 404, 'not-found');
+});
+
+test('$validate-code checks the code and display', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+
+  assert.equal(valueOf(service.validateCode(params({ url: SYSTEM, code: '3001' })), 'result'), true);
+  assert.equal(valueOf(service.validateCode(params({ code: '3001', display: 'พาราเซตามอล 500 มก. ยาเม็ด' })), 'result'), true);
+
+  const wrongDisplay = service.validateCode(params({ code: '3001', display: 'aspirin' }));
+  assert.equal(valueOf(wrongDisplay, 'result'), false);
+  assert.match(valueOf(wrongDisplay, 'message'), /Wrong display "aspirin"/);
+
+  const unknown = service.validateCode(params({ code: '9999' }));
+  assert.equal(valueOf(unknown, 'result'), false);
+
+  const inactive = service.validateCode(params({ code: '5002' }));
+  assert.equal(valueOf(inactive, 'result'), true);
+  assert.equal(valueOf(inactive, 'inactive'), true);
+});
+
+test('$validate-code fails without a code or for another system', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  assertOperationError(() => service.validateCode(params({ url: SYSTEM })), 400, 'required');
+  assertOperationError(() => service.validateCode(params({ url: 'http://loinc.org', code: '3001' })), 404, 'not-found');
+});
+
+test('$subsumes follows the parent properties', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const outcome = (codeA, codeB) => valueOf(service.subsumes(params({ codeA, codeB })), 'outcome');
+
+  assert.equal(outcome('1001', '5001'), 'subsumes');
+  assert.equal(outcome('5001', '1001'), 'subsumed-by');
+  assert.equal(outcome('3001', '3001'), 'equivalent');
+  assert.equal(outcome('1001', '5002'), 'not-subsumed');
+  assert.equal(valueOf(service.subsumes(params({ codingA: { system: SYSTEM, code: '2001' }, codingB: { system: SYSTEM, code: '3001' } })), 'outcome'), 'subsumes');
+});
+
+test('$subsumes fails for a missing or unknown code', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  assertOperationError(() => service.subsumes(params({ codeA: '1001' })), 400, 'required');
+  assertOperationError(() => service.subsumes(params({ codeA: '1001', codeB: '9999' })), 404, 'not-found');
+});
+
+test('$expand returns the concepts of a ValueSet, filtered and paged', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+
+  const all = service.expand(params({}));
+  assert.equal(all.url, 'http://tmt.this.or.th/vs');
+  assert.equal(all.expansion.total, 8);
+
+  const gp = service.expand(params({ url: 'http://tmt.this.or.th/vs/gp' }));
+  assert.deepEqual(gp.expansion.contains.map(entry => entry.code), ['3001', '3002']);
+
+  const shorthand = service.expand(params({ class: 'TP', activeOnly: 'true' }));
+  assert.deepEqual(shorthand.expansion.contains.map(entry => entry.code), ['5001']);
+
+  const text = service.expand(params({ filter: 'ไอบู' }));
+  assert.deepEqual(text.expansion.contains.map(entry => entry.code), ['1002', '3002']);
+
+  const page = service.expand(params({ offset: '2', count: '3' }));
+  assert.equal(page.expansion.total, 8);
+  assert.deepEqual(page.expansion.contains.map(entry => entry.code), ['2001', '2002', '3001']);
+});
+
+test('$expand of a posted ValueSet applies its regex filter', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const valueSet = {
+    resourceType: "ValueSet",
+    compose: { include: [{ system: SYSTEM, filter: [{ property: "class", op: "regex", value: "SUBS|VTM" }] }] }
+  };
+
+  const result = service.expand(params({ valueSet }));
+  assert.deepEqual(result.expansion.contains.map(entry => entry.code), ['1001', '1002', '2001', '2002']);
+});
+
+test('$expand fails for an unknown ValueSet, filter or paging parameter', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const filtered = filter => ({ resourceType: "ValueSet", compose: { include: [{ system: SYSTEM, filter: [filter] }] } });
+
+  assertOperationError(() => service.expand(params({ url: 'http://tmt.this.or.th/vs/xyz' })), 404, 'not-found');
+  assertOperationError(() => service.expand(params({ valueSet: filtered({ property: 'manufacturer', op: '=', value: 'x' }) })), 400, 'not-supported');
+  assertOperationError(() => service.expand(params({ valueSet: filtered({ property: 'status', op: 'regex', value: '.*' }) })), 400, 'not-supported');
+  assertOperationError(() => service.expand(params({ count: '-1' })), 400, 'invalid');
+});
+
+test('ValueSet $validate-code checks membership', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const gp = 'http://tmt.this.or.th/vs/gp';
+
+  assert.equal(valueOf(service.validateValueSetCode(params({ url: gp, system: SYSTEM, code: '3001' })), 'result'), true);
+  assert.equal(valueOf(service.validateValueSetCode(params({ url: gp, system: SYSTEM, code: '5001' })), 'result'), false);
+  assert.equal(valueOf(service.validateValueSetCode(params({ url: gp, system: 'http://loinc.org', code: '3001' })), 'result'), false);
+  assert.equal(valueOf(service.validateValueSetCode(params({ system: SYSTEM, code: '5002', activeOnly: 'true' })), 'result'), false);
+  assertOperationError(() => service.validateValueSetCode(params({ url: gp })), 400, 'required');
+});
+
+test('bindInstance directs an operation to a ValueSet by id', () => {
+  const service = new TerminologyService(createSampleCodeSystem());
+  const instanceParams = params({});
+
+  service.bindInstance('ValueSet', 'TMT-TP', instanceParams);
+  assert.deepEqual(instanceParams.get('url'), ['http://tmt.this.or.th/vs/tp']);
+  assert.doesNotThrow(() => service.bindInstance('CodeSystem', 'TMT', params({})));
+  assertOperationError(() => service.bindInstance('ValueSet', 'TMT-XYZ', params({})), 404, 'not-found');
+  assertOperationError(() => service.bindInstance('CodeSystem', 'SNOMED', params({})), 404, 'not-found');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findAsymmetricReferences, validateParentChildReferences } = require('../src/index');
+const { createConcept, createCodeSystem } = require('./helpers');
+
+test('A pair recorded on only one end is an asymmetric reference', () => {
+  const concepts = [
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { children: ['5001', '5002'] }),
+    createConcept('5001', 'Paracap 500 mg tablet', 'TP', { parents: ['3001'] }),
+    createConcept('5002', 'Tylenol 500 mg tablet', 'TP'),
+    createConcept('5003', 'Sara 500 mg tablet', 'TP', { parents: ['3001'] })
+  ];
+
+  assert.deepEqual(findAsymmetricReferences(concepts), [
+    { concept: '5003', property: 'parent', reference: '3001' },
+    { concept: '3001', property: 'child', reference: '5002' }
+  ]);
+});
+
+test('Asymmetric references make the validation fail without counting as invalid', () => {
+  const codeSystem = createCodeSystem([
+    createConcept('3001', 'paracetamol 500 mg tablet', 'GP', { children: ['5001'] }),
+    createConcept('5001', 'Paracap 500 mg tablet', 'TP'),
+    createConcept('5002', 'Tylenol 500 mg tablet', 'TP', { parents: ['9999'] })
+  ]);
+
+  const result = validateParentChildReferences(codeSystem);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.stats.asymmetricRefs, 1);
+  assert.equal(result.stats.invalidParentRefs, 1);
+  assert.deepEqual(result.asymmetricReferences, [{ concept: '3001', property: 'child', reference: '5001' }]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildValueSets } = require('../src/modules/valueSetBuilder');
+const { processTMTData } = require('../src/index');
+const { createSampleCodeSystem, createSampleRelease, createReleaseZip, createTestConfig } = require('./helpers');
+
+test('There is a ValueSet for the whole CodeSystem and one per class in TMT order', () => {
+  const valueSets = buildValueSets(createSampleCodeSystem(), {});
+
+  assert.deepEqual(valueSets.map(valueSet => valueSet.id), ['TMT', 'TMT-SUBS', 'TMT-VTM', 'TMT-GP', 'TMT-TP']);
+  assert.equal(valueSets[0].url, 'http://tmt.this.or.th/vs');
+  assert.deepEqual(valueSets[0].compose.include, [{ system: 'http://tmt.this.or.th', version: '20250407' }]);
+
+  const gp = valueSets[3];
+  assert.equal(gp.resourceType, 'ValueSet');
+  assert.equal(gp.url, 'http://tmt.this.or.th/vs/gp');
+  assert.equal(gp.name, 'TMT_GP');
+  assert.equal(gp.version, '20250407');
+  assert.deepEqual(gp.compose.include[0].filter, [{ property: 'class', op: '=', value: 'GP' }]);
+  assert.equal(gp.expansion, undefined);
+});
+
+test('Expansions list the concepts of the ValueSet, without inactive ones when activeOnly is set', () => {
+  const codeSystem = createSampleCodeSystem();
+
+  const tp = buildValueSets(codeSystem, { expansion: true }).find(valueSet => valueSet.id === 'TMT-TP');
+  assert.equal(tp.expansion.total, 2);
+  assert.deepEqual(tp.expansion.contains[0], {
+    system: 'http://tmt.this.or.th',
+    version: '20250407',
+    code: '5001',
+    display: 'Paracap 500 mg tablet'
+  });
+
+  const [all, ...byClass] = buildValueSets(codeSystem, { expansion: true, activeOnly: true });
+  assert.equal(all.compose.inactive, false);
+  assert.equal(all.expansion.total, 7);
+  assert.deepEqual(byClass.find(valueSet => valueSet.id === 'TMT-TP').expansion.contains.map(entry => entry.code), ['5001']);
+});
+
+test('A run writes a ValueSet file per ValueSet', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmt-valueset-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const zipPath = createReleaseZip(dir, '20250407', createSampleRelease());
+  const result = await processTMTData(createTestConfig(dir, { input: { zipFile: zipPath }, valueSets: { enabled: true } }));
+
+  assert.equal(result.valueSetFiles.length, 9);
+  assert.ok(result.valueSetFiles.includes(path.join(dir, 'output', 'ValueSet-TMT-TPU.json')));
+  const tpu = JSON.parse(fs.readFileSync(path.join(dir, 'output', 'ValueSet-TMT-TPU.json'), 'utf8'));
+  assert.deepEqual(tpu.compose.include[0].filter, [{ property: 'class', op: '=', value: 'TPU' }]);
+});